@@ -2,29 +2,246 @@
 CREATE DATABASE IF NOT EXISTS medical_tracker;
 USE medical_tracker;
 
+-- Providers Table (directory of doctors and clinics, referenced by appointments and prescriptions)
+CREATE TABLE IF NOT EXISTS providers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    specialty VARCHAR(100),
+    clinic VARCHAR(255),
+    phone VARCHAR(50),
+    address VARCHAR(500),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_provider_name (name)
+);
+
 -- Medications Table
 CREATE TABLE IF NOT EXISTS medications (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     dosage VARCHAR(100) NOT NULL,
+    dosage_amount DECIMAL(12,4),
+    dosage_unit VARCHAR(20),
     frequency VARCHAR(100) NOT NULL,
     time TIME NOT NULL,
+    schedule JSON,
+    quantity_on_hand DECIMAL(10,2),
+    units_per_dose DECIMAL(6,2) NOT NULL DEFAULT 1,
+    refill_threshold INT NOT NULL DEFAULT 7,
+    refill_reminder_id INT,
+    start_date DATE,
+    end_date DATE,
+    taper JSON,
+    archived_at DATETIME,
+    critical BOOLEAN NOT NULL DEFAULT FALSE,
+    prescriber_id INT,
     taken BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (prescriber_id) REFERENCES providers(id) ON DELETE SET NULL
+);
+
+-- Dose Events Table (one row per take, skip, snooze or undo)
+CREATE TABLE IF NOT EXISTS dose_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    medication_id INT NOT NULL,
+    action ENUM('taken', 'skipped', 'snoozed', 'undone') NOT NULL,
+    reason ENUM('side_effects', 'forgot', 'out_of_stock', 'felt_better', 'doctor_advised', 'other'),
+    scheduled_time DATETIME,
+    event_time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    snooze_until DATETIME,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+);
+
+-- Medication Versions Table (prescription change history)
+CREATE TABLE IF NOT EXISTS medication_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    medication_id INT NOT NULL,
+    version INT NOT NULL,
+    change_type ENUM('created', 'updated', 'archived', 'restored') NOT NULL,
+    changes JSON NOT NULL,
+    changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_medication_version (medication_id, version),
+    FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+);
+
+-- Appointments Table (doctor is a copy of the provider's name)
+CREATE TABLE IF NOT EXISTS appointments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    provider_id INT,
+    doctor VARCHAR(255) NOT NULL,
+    type VARCHAR(100) NOT NULL,
+    date_time DATETIME NOT NULL,
+    duration_minutes INT NOT NULL DEFAULT 60,
+    travel_minutes INT NOT NULL DEFAULT 0,
+    location VARCHAR(500),
+    lead_times JSON,
+    auto_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+    status ENUM('scheduled', 'confirmed', 'rescheduled', 'completed', 'cancelled', 'no_show') NOT NULL DEFAULT 'scheduled',
+    status_changed_at DATETIME,
+    outcome_notes TEXT,
+    follow_up_needed BOOLEAN NOT NULL DEFAULT FALSE,
+    follow_up_date DATE,
+    prescriptions_changed BOOLEAN NOT NULL DEFAULT FALSE,
+    prescription_notes TEXT,
+    ical_uid VARCHAR(255),
+    ical_sequence INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_appointment_ical_uid (ical_uid),
+    INDEX idx_appointment_status (status),
+    FOREIGN KEY (provider_id) REFERENCES providers(id) ON DELETE SET NULL
 );
 
--- Reminders Table
+-- Reminders Table (optionally belonging to a medication or appointment; removed with it).
+-- template_step marks reminders generated for an appointment from the reminder template.
 CREATE TABLE IF NOT EXISTS reminders (
     id INT AUTO_INCREMENT PRIMARY KEY,
     title VARCHAR(255) NOT NULL,
     date_time DATETIME NOT NULL,
+    rrule VARCHAR(500),
     notes TEXT,
-    notified BOOLEAN DEFAULT FALSE,
+    lead_times JSON,
+    critical BOOLEAN NOT NULL DEFAULT FALSE,
+    category ENUM('medication', 'appointment', 'lab', 'exercise', 'custom') NOT NULL DEFAULT 'custom',
+    priority ENUM('low', 'normal', 'high') NOT NULL DEFAULT 'normal',
+    medication_id INT,
+    appointment_id INT,
+    template_step INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_reminder_category (category),
+    FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+);
+
+-- Reminder Overrides Table (edited or cancelled occurrences of a recurring reminder)
+CREATE TABLE IF NOT EXISTS reminder_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reminder_id INT NOT NULL,
+    occurrence_time DATETIME NOT NULL,
+    date_time DATETIME,
+    title VARCHAR(255),
+    notes TEXT,
+    cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_reminder_occurrence (reminder_id, occurrence_time),
+    FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE
+);
+
+-- Reminder States Table (lifecycle of each reminder occurrence; pending occurrences have no row)
+CREATE TABLE IF NOT EXISTS reminder_states (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reminder_id INT NOT NULL,
+    occurrence_time DATETIME NOT NULL,
+    status ENUM('pending', 'notified', 'acknowledged', 'snoozed', 'missed') NOT NULL DEFAULT 'pending',
+    notified_at DATETIME,
+    acknowledged_at DATETIME,
+    snoozed_until DATETIME,
+    missed_at DATETIME,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_reminder_state (reminder_id, occurrence_time),
+    INDEX idx_reminder_states_status (status),
+    FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE
+);
+
+-- Notification Dispatches Table (one row per notification the scheduler has sent)
+CREATE TABLE IF NOT EXISTS notification_dispatches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_type ENUM('reminder', 'medication', 'appointment') NOT NULL,
+    source_id INT NOT NULL,
+    due_time DATETIME NOT NULL,
+    scheduled_time DATETIME,
+    lead_minutes INT NOT NULL DEFAULT 0,
+    critical BOOLEAN NOT NULL DEFAULT FALSE,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    dispatched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    snoozed_until DATETIME,
+    UNIQUE KEY uniq_dispatch (source_type, source_id, due_time, lead_minutes)
+);
+
+-- Notification Deliveries Table (one row per notification per channel)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    dispatch_id INT NOT NULL,
+    channel VARCHAR(30) NOT NULL,
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_delivery (dispatch_id, channel),
+    INDEX idx_delivery_due (status, next_attempt_at),
+    FOREIGN KEY (dispatch_id) REFERENCES notification_dispatches(id) ON DELETE CASCADE
+);
+
+-- Notification Channels Table (per-channel on/off switch and settings such as the email address)
+CREATE TABLE IF NOT EXISTS notification_channels (
+    name VARCHAR(30) PRIMARY KEY,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    config JSON,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Notification Preferences Table (channels used for each notification type)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    notification_type VARCHAR(30) PRIMARY KEY,
+    channels JSON NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Push Subscriptions Table (browsers that receive web push notifications)
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    endpoint VARCHAR(500) NOT NULL UNIQUE,
+    p256dh VARCHAR(255) NOT NULL,
+    auth VARCHAR(255) NOT NULL,
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- App Settings Table (server-wide key/value settings such as generated VAPID keys)
+CREATE TABLE IF NOT EXISTS app_settings (
+    setting_key VARCHAR(100) PRIMARY KEY,
+    setting_value TEXT NOT NULL,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Caregivers Table (people alerted when a dose or critical reminder goes unanswered)
+CREATE TABLE IF NOT EXISTS caregivers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    channel ENUM('email', 'webhook') NOT NULL DEFAULT 'email',
+    address VARCHAR(500) NOT NULL,
+    delay_minutes INT NOT NULL DEFAULT 30,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Escalations Table (one row per caregiver alerted about an unanswered dose or reminder)
+CREATE TABLE IF NOT EXISTS escalations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_type ENUM('reminder', 'medication') NOT NULL,
+    source_id INT NOT NULL,
+    scheduled_time DATETIME NOT NULL,
+    dispatch_id INT,
+    caregiver_id INT,
+    status ENUM('pending', 'sent', 'failed', 'acknowledged') NOT NULL DEFAULT 'pending',
+    token CHAR(32) NOT NULL UNIQUE,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    acknowledged_at DATETIME,
+    UNIQUE KEY uniq_escalation (source_type, source_id, scheduled_time, caregiver_id),
+    FOREIGN KEY (dispatch_id) REFERENCES notification_dispatches(id) ON DELETE SET NULL,
+    FOREIGN KEY (caregiver_id) REFERENCES caregivers(id) ON DELETE SET NULL
+);
+
 -- Vital Signs Table
 CREATE TABLE IF NOT EXISTS vitals (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -36,31 +253,36 @@ CREATE TABLE IF NOT EXISTS vitals (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Appointments Table
-CREATE TABLE IF NOT EXISTS appointments (
+-- Symptom Checks Table (what was entered in the AI assistant and what it suggested)
+CREATE TABLE IF NOT EXISTS symptom_checks (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    doctor VARCHAR(255) NOT NULL,
-    type VARCHAR(100) NOT NULL,
-    date_time DATETIME NOT NULL,
-    location VARCHAR(500),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    symptoms TEXT NOT NULL,
+    matched_symptoms JSON,
+    top_prediction VARCHAR(255),
+    probability DECIMAL(5,4),
+    checked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_symptom_checked_at (checked_at)
 );
 
 -- Create indexes for better query performance
 CREATE INDEX idx_medication_time ON medications(time);
+CREATE INDEX idx_medication_archived ON medications(archived_at, end_date);
+CREATE INDEX idx_dose_events_medication ON dose_events(medication_id, event_time);
+CREATE INDEX idx_dose_events_time ON dose_events(event_time);
+CREATE INDEX idx_dose_events_reason ON dose_events(action, reason);
 CREATE INDEX idx_reminder_datetime ON reminders(date_time);
 CREATE INDEX idx_vitals_recorded ON vitals(recorded_date);
 CREATE INDEX idx_appointment_datetime ON appointments(date_time);
 
 -- Insert sample data for demonstration
-INSERT INTO medications (name, dosage, frequency, time) VALUES
-('Aspirin', '500mg', 'Once daily', '09:00:00'),
-('Vitamin D', '1000 IU', 'Once daily', '08:00:00');
+INSERT INTO medications (name, dosage, dosage_amount, dosage_unit, frequency, time, schedule) VALUES
+('Aspirin', '500 mg', 500, 'mg', 'Once daily', '09:00:00', '{"type": "times_per_day", "times": ["09:00"]}'),
+('Vitamin D', '1000 IU', 1000, 'IU', 'Once daily', '08:00:00', '{"type": "times_per_day", "times": ["08:00"]}');
 
-INSERT INTO reminders (title, date_time, notes) VALUES
-('Doctor Appointment', '2025-10-15 10:00:00', 'Annual checkup with Dr. Smith'),
-('Lab Test Results', '2025-10-20 14:00:00', 'Pick up blood test results');
+INSERT INTO reminders (title, date_time, notes, rrule, category) VALUES
+('Doctor Appointment', '2025-10-15 10:00:00', 'Annual checkup with Dr. Smith', NULL, 'appointment'),
+('Lab Test Results', '2025-10-20 14:00:00', 'Pick up blood test results', NULL, 'lab'),
+('Check blood sugar', '2025-10-01 07:30:00', 'Before breakfast', 'FREQ=DAILY', 'custom');
 
 INSERT INTO vitals (blood_pressure, heart_rate, temperature, blood_sugar) VALUES
 ('120/80', 72, 98.6, 95),
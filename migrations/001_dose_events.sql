@@ -0,0 +1,17 @@
+-- Dose event history
+-- Run against an existing medical_tracker database created before dose events existed.
+USE medical_tracker;
+
+CREATE TABLE IF NOT EXISTS dose_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    medication_id INT NOT NULL,
+    action ENUM('taken', 'skipped', 'undone') NOT NULL,
+    scheduled_time DATETIME,
+    event_time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_dose_events_medication ON dose_events(medication_id, event_time);
+CREATE INDEX idx_dose_events_time ON dose_events(event_time);
@@ -0,0 +1,22 @@
+-- Structured medication schedules
+-- Run against an existing medical_tracker database created before schedules existed.
+USE medical_tracker;
+
+ALTER TABLE medications ADD COLUMN schedule JSON AFTER time;
+
+-- Backfill schedules from the legacy free-text frequency and time columns.
+-- Rows left NULL fall back to the same derivation at read time.
+UPDATE medications
+SET schedule = JSON_OBJECT('type', 'as_needed')
+WHERE schedule IS NULL AND LOWER(frequency) LIKE '%as needed%';
+
+UPDATE medications
+SET schedule = JSON_OBJECT('type', 'times_per_day', 'times', JSON_ARRAY(TIME_FORMAT(time, '%H:%i')))
+WHERE schedule IS NULL AND LOWER(frequency) LIKE '%once%';
+
+UPDATE medications
+SET schedule = JSON_OBJECT('type', 'times_per_day', 'times', JSON_ARRAY(
+    TIME_FORMAT(time, '%H:%i'),
+    TIME_FORMAT(ADDTIME(time, '12:00:00'), '%H:%i')
+))
+WHERE schedule IS NULL AND LOWER(frequency) LIKE '%twice%' AND time < '12:00:00';
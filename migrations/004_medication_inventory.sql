@@ -0,0 +1,10 @@
+-- Pill inventory and refill reminders
+-- quantity_on_hand stays NULL for medications whose stock is not tracked.
+-- refill_threshold is in days of projected supply.
+USE medical_tracker;
+
+ALTER TABLE medications
+    ADD COLUMN quantity_on_hand DECIMAL(10,2) AFTER schedule,
+    ADD COLUMN units_per_dose DECIMAL(6,2) NOT NULL DEFAULT 1 AFTER quantity_on_hand,
+    ADD COLUMN refill_threshold INT NOT NULL DEFAULT 7 AFTER units_per_dose,
+    ADD COLUMN refill_reminder_id INT AFTER refill_threshold;
@@ -0,0 +1,13 @@
+-- Medication courses, tapering plans and archiving
+-- Existing medications get their creation date as start_date and stay open-ended.
+USE medical_tracker;
+
+ALTER TABLE medications
+    ADD COLUMN start_date DATE AFTER refill_reminder_id,
+    ADD COLUMN end_date DATE AFTER start_date,
+    ADD COLUMN taper JSON AFTER end_date,
+    ADD COLUMN archived_at DATETIME AFTER taper;
+
+UPDATE medications SET start_date = DATE(created_at) WHERE start_date IS NULL;
+
+CREATE INDEX idx_medication_archived ON medications(archived_at, end_date);
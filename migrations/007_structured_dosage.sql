@@ -0,0 +1,9 @@
+-- Structured dosage amount and unit
+-- After adding the columns, start the server: it parses every existing dosage
+-- (backfillDosages in utils/dosage.js) and logs any rows it could not understand
+-- so they can be corrected through PUT /api/medications/:id.
+USE medical_tracker;
+
+ALTER TABLE medications
+    ADD COLUMN dosage_amount DECIMAL(12,4) AFTER dosage,
+    ADD COLUMN dosage_unit VARCHAR(20) AFTER dosage_amount;
@@ -0,0 +1,12 @@
+-- Snoozed doses and skip reasons
+USE medical_tracker;
+
+ALTER TABLE dose_events
+    MODIFY COLUMN action ENUM('taken', 'skipped', 'snoozed', 'undone') NOT NULL,
+    ADD COLUMN reason ENUM('side_effects', 'forgot', 'out_of_stock', 'felt_better', 'doctor_advised', 'other') AFTER action,
+    ADD COLUMN snooze_until DATETIME AFTER event_time;
+
+-- Skips logged before reasons existed
+UPDATE dose_events SET reason = 'other' WHERE action = 'skipped' AND reason IS NULL;
+
+CREATE INDEX idx_dose_events_reason ON dose_events(action, reason);
@@ -0,0 +1,29 @@
+-- Prescription change history
+USE medical_tracker;
+
+CREATE TABLE IF NOT EXISTS medication_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    medication_id INT NOT NULL,
+    version INT NOT NULL,
+    change_type ENUM('created', 'updated', 'archived', 'restored') NOT NULL,
+    changes JSON NOT NULL,
+    changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_medication_version (medication_id, version),
+    FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+);
+
+-- Start every existing medication's timeline with its current prescription
+INSERT INTO medication_versions (medication_id, version, change_type, changes, changed_at)
+SELECT
+    id,
+    1,
+    'created',
+    JSON_OBJECT(
+        'name', JSON_OBJECT('old', NULL, 'new', name),
+        'dosage', JSON_OBJECT('old', NULL, 'new', dosage),
+        'frequency', JSON_OBJECT('old', NULL, 'new', frequency),
+        'time', JSON_OBJECT('old', NULL, 'new', TIME_FORMAT(time, '%H:%i:%s'))
+    ),
+    created_at
+FROM medications
+WHERE id NOT IN (SELECT medication_id FROM medication_versions);
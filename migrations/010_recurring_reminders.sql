@@ -0,0 +1,18 @@
+-- Recurring reminders (iCalendar RRULE) and per-occurrence overrides
+USE medical_tracker;
+
+ALTER TABLE reminders
+    ADD COLUMN rrule VARCHAR(500) AFTER date_time;
+
+CREATE TABLE IF NOT EXISTS reminder_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reminder_id INT NOT NULL,
+    occurrence_time DATETIME NOT NULL,
+    date_time DATETIME,
+    title VARCHAR(255),
+    notes TEXT,
+    cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_reminder_occurrence (reminder_id, occurrence_time),
+    FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE
+);
@@ -0,0 +1,14 @@
+-- Log of notifications sent by the server-side scheduler.
+-- The unique key stops a reminder, dose or appointment being sent twice, even across restarts.
+USE medical_tracker;
+
+CREATE TABLE IF NOT EXISTS notification_dispatches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_type ENUM('reminder', 'medication', 'appointment') NOT NULL,
+    source_id INT NOT NULL,
+    due_time DATETIME NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    dispatched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_dispatch (source_type, source_id, due_time)
+);
@@ -0,0 +1,43 @@
+-- Notification channels (email, webhook, web push) with per-channel delivery status and retries
+USE medical_tracker;
+
+-- Notification Deliveries Table (one row per notification per channel)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    dispatch_id INT NOT NULL,
+    channel VARCHAR(30) NOT NULL,
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_delivery (dispatch_id, channel),
+    INDEX idx_delivery_due (status, next_attempt_at),
+    FOREIGN KEY (dispatch_id) REFERENCES notification_dispatches(id) ON DELETE CASCADE
+);
+
+-- Notification Channels Table (per-channel on/off switch and settings such as the email address)
+CREATE TABLE IF NOT EXISTS notification_channels (
+    name VARCHAR(30) PRIMARY KEY,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    config JSON,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Notification Preferences Table (channels used for each notification type)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    notification_type VARCHAR(30) PRIMARY KEY,
+    channels JSON NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Push Subscriptions Table (browsers that receive web push notifications)
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    endpoint VARCHAR(500) NOT NULL UNIQUE,
+    p256dh VARCHAR(255) NOT NULL,
+    auth VARCHAR(255) NOT NULL,
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,11 @@
+-- Web push: stored VAPID keys and snoozable notifications
+USE medical_tracker;
+
+CREATE TABLE IF NOT EXISTS app_settings (
+    setting_key VARCHAR(100) PRIMARY KEY,
+    setting_value TEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE notification_dispatches
+    ADD COLUMN snoozed_until DATETIME AFTER dispatched_at;
@@ -0,0 +1,36 @@
+-- Reminder lifecycle states replace the reminders.notified flag
+USE medical_tracker;
+
+CREATE TABLE IF NOT EXISTS reminder_states (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reminder_id INT NOT NULL,
+    occurrence_time DATETIME NOT NULL,
+    status ENUM('pending', 'notified', 'acknowledged', 'snoozed', 'missed') NOT NULL DEFAULT 'pending',
+    notified_at DATETIME,
+    acknowledged_at DATETIME,
+    snoozed_until DATETIME,
+    missed_at DATETIME,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_reminder_state (reminder_id, occurrence_time),
+    INDEX idx_reminder_states_status (status),
+    FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE
+);
+
+-- One-off reminders that were already notified. Nobody responded to them, so once
+-- they are past they count as missed.
+INSERT IGNORE INTO reminder_states (reminder_id, occurrence_time, status, notified_at, missed_at)
+SELECT id, date_time,
+    IF(date_time < NOW() - INTERVAL 30 MINUTE, 'missed', 'notified'),
+    date_time,
+    IF(date_time < NOW() - INTERVAL 30 MINUTE, NOW(), NULL)
+FROM reminders
+WHERE notified = TRUE AND rrule IS NULL;
+
+ALTER TABLE reminders DROP COLUMN notified;
+
+-- The original dose, occurrence or appointment time behind each notification
+-- (differs from due_time when a notification was snoozed)
+ALTER TABLE notification_dispatches
+    ADD COLUMN scheduled_time DATETIME AFTER due_time;
+
+UPDATE notification_dispatches SET scheduled_time = due_time WHERE scheduled_time IS NULL;
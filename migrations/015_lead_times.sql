@@ -0,0 +1,17 @@
+-- Configurable advance alerts (lead times) for reminders and appointments
+USE medical_tracker;
+
+ALTER TABLE reminders
+    ADD COLUMN lead_times JSON AFTER notes;
+
+ALTER TABLE appointments
+    ADD COLUMN lead_times JSON AFTER location;
+
+-- Each lead time of an item is dispatched and tracked on its own
+ALTER TABLE notification_dispatches
+    ADD COLUMN lead_minutes INT NOT NULL DEFAULT 0 AFTER scheduled_time,
+    DROP INDEX uniq_dispatch,
+    ADD UNIQUE KEY uniq_dispatch (source_type, source_id, due_time, lead_minutes);
+
+-- Appointment alerts used to go out an hour before
+UPDATE notification_dispatches SET lead_minutes = 60 WHERE source_type = 'appointment';
@@ -0,0 +1,11 @@
+-- Quiet hours and do-not-disturb: critical medications and reminders always alert
+USE medical_tracker;
+
+ALTER TABLE medications
+    ADD COLUMN critical BOOLEAN NOT NULL DEFAULT FALSE AFTER archived_at;
+
+ALTER TABLE reminders
+    ADD COLUMN critical BOOLEAN NOT NULL DEFAULT FALSE AFTER lead_times;
+
+ALTER TABLE notification_dispatches
+    ADD COLUMN critical BOOLEAN NOT NULL DEFAULT FALSE AFTER lead_minutes;
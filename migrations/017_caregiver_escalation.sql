@@ -0,0 +1,32 @@
+-- Caregiver escalation: alert caregivers when a dose or critical reminder goes unanswered
+USE medical_tracker;
+
+-- Caregivers Table (people alerted when a dose or critical reminder goes unanswered)
+CREATE TABLE IF NOT EXISTS caregivers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    channel ENUM('email', 'webhook') NOT NULL DEFAULT 'email',
+    address VARCHAR(500) NOT NULL,
+    delay_minutes INT NOT NULL DEFAULT 30,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Escalations Table (one row per caregiver alerted about an unanswered dose or reminder)
+CREATE TABLE IF NOT EXISTS escalations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_type ENUM('reminder', 'medication') NOT NULL,
+    source_id INT NOT NULL,
+    scheduled_time DATETIME NOT NULL,
+    dispatch_id INT,
+    caregiver_id INT,
+    status ENUM('pending', 'sent', 'failed', 'acknowledged') NOT NULL DEFAULT 'pending',
+    token CHAR(32) NOT NULL UNIQUE,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    acknowledged_at DATETIME,
+    UNIQUE KEY uniq_escalation (source_type, source_id, scheduled_time, caregiver_id),
+    FOREIGN KEY (dispatch_id) REFERENCES notification_dispatches(id) ON DELETE SET NULL,
+    FOREIGN KEY (caregiver_id) REFERENCES caregivers(id) ON DELETE SET NULL
+);
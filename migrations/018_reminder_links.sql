@@ -0,0 +1,16 @@
+-- Reminder categories and priority, and links to the medication or appointment a reminder belongs to
+USE medical_tracker;
+
+ALTER TABLE reminders
+    ADD COLUMN category ENUM('medication', 'appointment', 'lab', 'exercise', 'custom') NOT NULL DEFAULT 'custom' AFTER critical,
+    ADD COLUMN priority ENUM('low', 'normal', 'high') NOT NULL DEFAULT 'normal' AFTER category,
+    ADD COLUMN medication_id INT AFTER priority,
+    ADD COLUMN appointment_id INT AFTER medication_id,
+    ADD INDEX idx_reminder_category (category),
+    ADD FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE,
+    ADD FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE;
+
+-- Refill reminders belong to their medication
+UPDATE reminders r
+JOIN medications m ON m.refill_reminder_id = r.id
+SET r.category = 'medication', r.medication_id = m.id;
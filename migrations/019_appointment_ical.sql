@@ -0,0 +1,7 @@
+-- Calendar UIDs of imported appointments, so re-importing a booking updates it instead of duplicating it
+USE medical_tracker;
+
+ALTER TABLE appointments
+    ADD COLUMN ical_uid VARCHAR(255) AFTER lead_times,
+    ADD COLUMN ical_sequence INT NOT NULL DEFAULT 0 AFTER ical_uid,
+    ADD UNIQUE KEY uniq_appointment_ical_uid (ical_uid);
@@ -0,0 +1,6 @@
+-- Appointment length and travel time, used to detect overlapping bookings and suggest free slots
+USE medical_tracker;
+
+ALTER TABLE appointments
+    ADD COLUMN duration_minutes INT NOT NULL DEFAULT 60 AFTER date_time,
+    ADD COLUMN travel_minutes INT NOT NULL DEFAULT 0 AFTER duration_minutes;
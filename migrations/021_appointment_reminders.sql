@@ -0,0 +1,9 @@
+-- Reminders generated for appointments from a template. Existing appointments get theirs
+-- the next time they are edited or the template is saved.
+USE medical_tracker;
+
+ALTER TABLE appointments
+    ADD COLUMN auto_reminders BOOLEAN NOT NULL DEFAULT TRUE AFTER lead_times;
+
+ALTER TABLE reminders
+    ADD COLUMN template_step INT AFTER appointment_id;
@@ -0,0 +1,12 @@
+-- Appointment status lifecycle and the outcome of completed visits
+USE medical_tracker;
+
+ALTER TABLE appointments
+    ADD COLUMN status ENUM('scheduled', 'confirmed', 'rescheduled', 'completed', 'cancelled', 'no_show') NOT NULL DEFAULT 'scheduled' AFTER auto_reminders,
+    ADD COLUMN status_changed_at DATETIME AFTER status,
+    ADD COLUMN outcome_notes TEXT AFTER status_changed_at,
+    ADD COLUMN follow_up_needed BOOLEAN NOT NULL DEFAULT FALSE AFTER outcome_notes,
+    ADD COLUMN follow_up_date DATE AFTER follow_up_needed,
+    ADD COLUMN prescriptions_changed BOOLEAN NOT NULL DEFAULT FALSE AFTER follow_up_date,
+    ADD COLUMN prescription_notes TEXT AFTER prescriptions_changed,
+    ADD INDEX idx_appointment_status (status);
@@ -0,0 +1,33 @@
+-- Provider directory: appointments and prescriptions reference a provider instead of a free-text name
+USE medical_tracker;
+
+-- Providers Table (directory of doctors and clinics, referenced by appointments and prescriptions)
+CREATE TABLE IF NOT EXISTS providers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    specialty VARCHAR(100),
+    clinic VARCHAR(255),
+    phone VARCHAR(50),
+    address VARCHAR(500),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_provider_name (name)
+);
+
+ALTER TABLE appointments
+    ADD COLUMN provider_id INT AFTER id,
+    ADD FOREIGN KEY (provider_id) REFERENCES providers(id) ON DELETE SET NULL;
+
+ALTER TABLE medications
+    ADD COLUMN prescriber_id INT AFTER critical,
+    ADD FOREIGN KEY (prescriber_id) REFERENCES providers(id) ON DELETE SET NULL;
+
+-- One provider per distinct doctor name. Spellings of the same person ("Dr. Smith" and
+-- "Smith") become separate providers; merge them with POST /api/providers/:id/merge.
+INSERT INTO providers (name)
+SELECT DISTINCT TRIM(doctor) FROM appointments WHERE TRIM(doctor) <> '';
+
+UPDATE appointments a
+JOIN providers p ON p.name = TRIM(a.doctor)
+SET a.provider_id = p.id;
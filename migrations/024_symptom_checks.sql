@@ -0,0 +1,12 @@
+-- Symptom checks: keep what was entered in the AI assistant so visit summaries can list it
+USE medical_tracker;
+
+CREATE TABLE IF NOT EXISTS symptom_checks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symptoms TEXT NOT NULL,
+    matched_symptoms JSON,
+    top_prediction VARCHAR(255),
+    probability DECIMAL(5,4),
+    checked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_symptom_checked_at (checked_at)
+);
@@ -1,13 +1,252 @@
 const express = require('express');
 const router = express.Router();
+const { resolveLeadTimes } = require('../utils/leadTimes');
+const { publish, publishRow } = require('../utils/liveEvents');
+const { findLinkedReminders, shiftLinkedReminders } = require('../utils/reminders');
+const { formatDateTime } = require('../utils/dates');
+const { ownAppointmentId, formatCalendar, parseCalendar } = require('../utils/ical');
+const { resolveDuration, findConflicts, parseSlotQuery, findFreeSlots } = require('../utils/availability');
+const {
+    PLACEHOLDERS,
+    parseTemplate,
+    loadTemplate,
+    saveTemplate,
+    syncAppointmentReminders,
+    syncUpcomingAppointments
+} = require('../utils/appointmentReminders');
+const {
+    APPOINTMENT_STATUSES,
+    OPEN_STATUSES,
+    parseOutcome,
+    statusAfterMove,
+    transitionAppointment
+} = require('../utils/appointmentStatus');
+const { providerKey, findProviderByName, resolveProvider } = require('../utils/providers');
+const { buildVisitSummary, renderVisitSummary } = require('../utils/visitSummary');
 
-// Get all appointments
+// Column sizes imported text is cut to
+const DOCTOR_LENGTH = 255;
+const TYPE_LENGTH = 100;
+const LOCATION_LENGTH = 500;
+
+// Strict mode refuses conflicting bookings instead of warning about them
+const isStrict = (req) => req.query.strict === 'true' || req.body.strict === true;
+
+const describeConflicts = (conflicts) => {
+    const appointments = conflicts.filter(conflict => conflict.type === 'appointment').length;
+    const reminders = conflicts.length - appointments;
+    const parts = [];
+    if (appointments) parts.push(`${appointments} appointment${appointments === 1 ? '' : 's'}`);
+    if (reminders) parts.push(`${reminders} reminder${reminders === 1 ? '' : 's'}`);
+    return `Conflicts with ${parts.join(' and ')}`;
+};
+
+// Response fields for conflicts: always the list, plus a warning when there are any
+const conflictWarning = (conflicts) => {
+    return conflicts.length > 0 ? { warning: describeConflicts(conflicts), conflicts } : { conflicts };
+};
+
+// Length of an imported event; the current (or default) length when it has none or it is out of range
+const importedDuration = (event, appointment) => {
+    const length = resolveDuration({ duration_minutes: event.duration_minutes }, appointment);
+    return (length.error ? resolveDuration({}, appointment) : length).duration_minutes;
+};
+
+// Find the appointment an imported event refers to: the one this feed published it as,
+// the one imported earlier with the same UID, or one entered by hand for the same
+// doctor at the same time
+const findImportMatch = (db, event, callback) => {
+    const ownId = ownAppointmentId(event.uid);
+    const query = ownId
+        ? 'SELECT * FROM appointments WHERE id = ?'
+        : `SELECT * FROM appointments
+           WHERE ical_uid = ? OR (date_time = ? AND doctor = ?)
+           ORDER BY ical_uid = ? DESC
+           LIMIT 1`;
+    const params = ownId ? [ownId] : [event.uid, formatDateTime(event.start), event.doctor, event.uid];
+
+    db.query(query, params, (err, results) => callback(err, results ? results[0] : null));
+};
+
+// Cancel the appointment a cancelled event refers to
+const cancelImported = (db, appointment, callback) => {
+    if (appointment.status === 'cancelled') {
+        return callback(null, { status: 'unchanged', id: appointment.id, reason: 'Already cancelled' });
+    }
+
+    transitionAppointment(db, appointment.id, 'cancelled', null, (err, result) => {
+        if (err) return callback(err);
+        if (result.error) return callback(null, { status: 'unchanged', id: appointment.id, reason: result.error });
+
+        syncAppointmentReminders(db, appointment.id, (err) => {
+            if (err) console.error('Failed to sync appointment reminders:', err);
+            callback(null, { status: 'cancelled', id: appointment.id });
+        });
+    });
+};
+
+// Bring an appointment imported earlier up to date with a newer copy of its event
+const updateImported = (db, appointment, event, fields, callback) => {
+    const query = `
+        UPDATE appointments
+        SET provider_id = ?, doctor = ?, type = ?, date_time = ?, duration_minutes = ?, location = ?, ical_sequence = ?, status = ?
+        WHERE id = ?
+    `;
+    const params = [
+        fields.provider_id,
+        fields.doctor,
+        fields.type,
+        formatDateTime(event.start),
+        importedDuration(event, appointment),
+        fields.location,
+        event.sequence,
+        statusAfterMove(appointment, event.start),
+        appointment.id
+    ];
+
+    db.query(query, params, (err) => {
+        if (err) return callback(err);
+
+        const seconds = Math.round((event.start - new Date(appointment.date_time)) / 1000);
+        shiftLinkedReminders(db, 'appointment', appointment.id, seconds, (err, moved) => {
+            if (err) console.error('Failed to move appointment reminders:', err);
+
+            publishRow(db, 'appointment', 'updated', appointment.id);
+            (moved || []).forEach(reminderId => publish('reminder', 'updated', reminderId));
+            syncAppointmentReminders(db, appointment.id, (err) => {
+                if (err) console.error('Failed to sync appointment reminders:', err);
+                callback(null, { status: 'updated', id: appointment.id });
+            });
+        });
+    });
+};
+
+// Create, update or cancel the appointment for one imported event.
+// Calls back with { status, id, reason } where status is created, updated, unchanged,
+// cancelled or skipped.
+const importEvent = (db, event, callback) => {
+    if (!event.start) {
+        return callback(null, { status: 'skipped', reason: 'No valid start time' });
+    }
+    if (!event.doctor) {
+        return callback(null, { status: 'skipped', reason: 'No doctor or title' });
+    }
+
+    // The doctor is looked up in the provider directory; unknown ones are added to it,
+    // except for cancelled events, which only refer to appointments already here
+    const lookupProvider = event.cancelled
+        ? (done) => findProviderByName(db, event.doctor, null, (err, provider) => done(err, { provider }))
+        : (done) => resolveProvider(db, null, event.doctor, done);
+
+    lookupProvider((err, resolved) => {
+        if (err) return callback(err);
+
+        const fields = {
+            provider_id: resolved.provider ? resolved.provider.id : null,
+            doctor: resolved.provider ? resolved.provider.name : event.doctor.slice(0, DOCTOR_LENGTH),
+            type: event.type.slice(0, TYPE_LENGTH),
+            location: event.location ? event.location.slice(0, LOCATION_LENGTH) : null
+        };
+
+        findImportMatch(db, { ...event, doctor: fields.doctor }, (err, appointment) => {
+            if (err) return callback(err);
+            importMatched(db, event, fields, appointment, callback);
+        });
+    });
+};
+
+// Second half of importEvent, once the provider and the matching appointment are known
+const importMatched = (db, event, fields, appointment, callback) => {
+    if (event.cancelled) {
+        if (!appointment) return callback(null, { status: 'skipped', reason: 'Cancelled, and not in the tracker' });
+        return cancelImported(db, appointment, callback);
+    }
+
+    if (!appointment) {
+        const query = `
+            INSERT INTO appointments (provider_id, doctor, type, date_time, duration_minutes, location, ical_uid, ical_sequence)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        // UIDs this feed made up are derived from the id, so they are not stored
+        const uid = ownAppointmentId(event.uid) ? null : event.uid;
+        const params = [
+            fields.provider_id,
+            fields.doctor,
+            fields.type,
+            formatDateTime(event.start),
+            importedDuration(event, null),
+            fields.location,
+            uid,
+            event.sequence
+        ];
+
+        return db.query(query, params, (err, result) => {
+            if (err) return callback(err);
+
+            publishRow(db, 'appointment', 'created', result.insertId);
+            syncAppointmentReminders(db, result.insertId, (err) => {
+                if (err) console.error('Failed to create appointment reminders:', err);
+                callback(null, { status: 'created', id: result.insertId });
+            });
+        });
+    }
+
+    // Our own events, and hand-entered appointments the event duplicates, are left as
+    // they are; the latter just remember the UID so later copies of the event update them
+    if (!event.uid || appointment.ical_uid !== event.uid) {
+        if (!event.uid || ownAppointmentId(event.uid) || appointment.ical_uid) {
+            return callback(null, { status: 'unchanged', id: appointment.id, reason: 'Already in the tracker' });
+        }
+        return db.query('UPDATE appointments SET ical_uid = ?, ical_sequence = ? WHERE id = ?', [event.uid, event.sequence, appointment.id], (err) => {
+            if (err) return callback(err);
+            callback(null, { status: 'unchanged', id: appointment.id, reason: 'Already in the tracker' });
+        });
+    }
+
+    if (event.sequence < appointment.ical_sequence) {
+        return callback(null, { status: 'unchanged', id: appointment.id, reason: 'Older version of the event' });
+    }
+
+    const same = new Date(appointment.date_time).getTime() === event.start.getTime() &&
+        appointment.duration_minutes === importedDuration(event, appointment) &&
+        appointment.provider_id === fields.provider_id &&
+        appointment.doctor === fields.doctor &&
+        appointment.type === fields.type &&
+        (appointment.location || null) === fields.location;
+    if (same) {
+        return callback(null, { status: 'unchanged', id: appointment.id, reason: 'Already up to date' });
+    }
+
+    updateImported(db, appointment, event, fields, callback);
+};
+
+// Get all appointments. Filters: status (e.g. completed), provider_id
 router.get('/', (req, res) => {
     const db = req.app.locals.db;
+    const { status, provider_id } = req.query;
+    const conditions = [];
+    const params = [];
     
-    const query = 'SELECT * FROM appointments ORDER BY date_time ASC';
+    if (status && !APPOINTMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${APPOINTMENT_STATUSES.join(', ')}` });
+    }
     
-    db.query(query, (err, results) => {
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    if (provider_id) {
+        conditions.push('provider_id = ?');
+        params.push(provider_id);
+    }
+    
+    const query = `
+        SELECT * FROM appointments
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY date_time ASC
+    `;
+    
+    db.query(query, params, (err, results) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch appointments' });
@@ -16,6 +255,143 @@ router.get('/', (req, res) => {
     });
 });
 
+// Subscribable iCalendar feed of all appointments. Calendars that subscribe to this URL
+// pick up new, changed and deleted appointments on their next refresh.
+router.get('/calendar.ics', (req, res) => {
+    const db = req.app.locals.db;
+    
+    db.query('SELECT * FROM appointments ORDER BY date_time ASC', (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to build calendar' });
+        }
+        
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="appointments.ics"',
+            'Cache-Control': 'no-cache'
+        });
+        res.send(formatCalendar(results));
+    });
+});
+
+// Import an .ics file (e.g. a clinic's booking confirmation), sent as text/calendar or as
+// JSON { ics }. Events already imported are updated from their UID, duplicates of
+// appointments entered by hand are recognised by doctor and time, and cancelled events
+// cancel their appointment.
+router.post('/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), (req, res) => {
+    const db = req.app.locals.db;
+    const parsed = parseCalendar(typeof req.body === 'string' ? req.body : req.body.ics);
+    
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    if (parsed.events.length === 0) {
+        return res.status(400).json({ error: 'The calendar has no events' });
+    }
+    
+    const results = [];
+    const summary = { created: 0, updated: 0, unchanged: 0, cancelled: 0, skipped: 0 };
+    
+    // One event at a time, so repeats within the file match the row created for the first
+    const next = (index) => {
+        if (index === parsed.events.length) {
+            return res.json({
+                message: `Imported ${summary.created} new and ${summary.updated} updated appointments`,
+                ...summary,
+                results
+            });
+        }
+        
+        const event = parsed.events[index];
+        importEvent(db, event, (err, outcome) => {
+            if (err) {
+                console.error(err);
+                outcome = { status: 'skipped', reason: 'Failed to save' };
+            }
+            
+            summary[outcome.status]++;
+            results.push({
+                uid: event.uid,
+                doctor: event.doctor,
+                date_time: event.start ? formatDateTime(event.start) : null,
+                ...outcome
+            });
+            next(index + 1);
+        });
+    };
+    
+    next(0);
+});
+
+// Suggest open times for a new appointment. Query: from and to (default the next 7 days),
+// duration and travel in minutes, day_start and day_end (HH:MM, default 08:00-18:00),
+// step between candidate starts in minutes (default 30) and limit (default 20).
+router.get('/free-slots', (req, res) => {
+    const db = req.app.locals.db;
+    const parsed = parseSlotQuery(req.query);
+    
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    findFreeSlots(db, parsed.options, (err, slots) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to find free slots' });
+        }
+        
+        res.json(slots);
+    });
+});
+
+// The template appointment reminders are generated from
+router.get('/reminder-template', (req, res) => {
+    const db = req.app.locals.db;
+    
+    loadTemplate(db, (err, template) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch reminder template' });
+        }
+        
+        res.json({ template, placeholders: PLACEHOLDERS });
+    });
+});
+
+// Replace the reminder template. Body: { template: [{ before_minutes, title, notes, priority }] }
+// where before_minutes may be written as '1d' or '2h' and titles and notes may use placeholders
+// such as {doctor} and {location}. Upcoming appointments are resynced.
+router.put('/reminder-template', (req, res) => {
+    const db = req.app.locals.db;
+    const parsed = parseTemplate(req.body.template);
+    
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    saveTemplate(db, parsed.template, (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to save reminder template' });
+        }
+        
+        syncUpcomingAppointments(db, (err, changed) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Template saved, but failed to update appointment reminders' });
+            }
+            
+            res.json({
+                message: 'Reminder template updated successfully',
+                template: parsed.template,
+                appointments_updated: changed
+            });
+        });
+    });
+});
+
 // Get single appointment by ID
 router.get('/:id', (req, res) => {
     const db = req.app.locals.db;
@@ -37,17 +413,48 @@ router.get('/:id', (req, res) => {
     });
 });
 
-// Get upcoming appointments
+// Pre-visit summary of what happened since the previous visit with the same provider.
+// JSON for API clients; a printable page for browsers or with ?format=html.
+router.get('/:id/summary', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    const wantsHtml = req.query.format ? req.query.format === 'html' : req.accepts(['json', 'html']) === 'html';
+    
+    db.query('SELECT * FROM appointments WHERE id = ?', [id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch appointment' });
+        }
+        
+        if (results.length === 0) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+        
+        buildVisitSummary(db, results[0], new Date(), (err, summary) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to build visit summary' });
+            }
+            
+            if (wantsHtml) {
+                return res.type('html').send(renderVisitSummary(summary));
+            }
+            res.json(summary);
+        });
+    });
+});
+
+// Get upcoming appointments (cancelled ones are left out)
 router.get('/upcoming/list', (req, res) => {
     const db = req.app.locals.db;
     
     const query = `
         SELECT * FROM appointments 
-        WHERE date_time >= NOW()
+        WHERE date_time >= NOW() AND status IN (?)
         ORDER BY date_time ASC
     `;
     
-    db.query(query, (err, results) => {
+    db.query(query, [OPEN_STATUSES], (err, results) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch upcoming appointments' });
@@ -91,117 +498,380 @@ router.get('/type/:type', (req, res) => {
     });
 });
 
-// Get appointments by doctor
+// Get appointments by doctor. Names are compared word by word the way the provider
+// directory matches them, ignoring case and titles, so "Dr. Smith", "smith" and
+// "Jane Smith" all find Dr. Jane Smith (but not "Smithson").
 router.get('/doctor/:doctor', (req, res) => {
     const db = req.app.locals.db;
-    const { doctor } = req.params;
+    const words = providerKey(req.params.doctor).split(' ');
     
-    const query = 'SELECT * FROM appointments WHERE doctor LIKE ? ORDER BY date_time ASC';
+    const query = 'SELECT * FROM appointments ORDER BY date_time ASC';
     
-    db.query(query, [`%${doctor}%`], (err, results) => {
+    db.query(query, (err, results) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch appointments' });
         }
-        res.json(results);
+        res.json(results.filter(appointment => {
+            const name = providerKey(appointment.doctor).split(' ');
+            return words.every(word => name.includes(word));
+        }));
     });
 });
 
-// Add new appointment
+// Add new appointment (lead_times lists advance alerts in minutes, e.g. [1440, 60], instead of the default).
+// The length is duration_minutes or an end_time; travel_minutes is time needed to get there and back.
+// Reminders are generated from the reminder template unless auto_reminders is false.
+// Overlaps with other appointments and reminders come back as a warning, or as a 409 with ?strict=true.
 router.post('/', (req, res) => {
     const db = req.app.locals.db;
-    const { doctor, type, date_time, location } = req.body;
+    const { doctor, provider_id, type, date_time, location } = req.body;
     
-    if (!doctor || !type || !date_time) {
-        return res.status(400).json({ error: 'Doctor, type, and date_time are required' });
+    if ((!doctor && !provider_id) || !type || !date_time) {
+        return res.status(400).json({ error: 'Doctor (or provider_id), type, and date_time are required' });
     }
     
-    const query = `
-        INSERT INTO appointments (doctor, type, date_time, location) 
-        VALUES (?, ?, ?, ?)
-    `;
+    const start = new Date(date_time);
+    if (isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'date_time must be a valid date and time' });
+    }
     
-    db.query(query, [doctor, type, date_time, location || null], (err, result) => {
+    const alerts = resolveLeadTimes(req.body.lead_times);
+    if (alerts.error) {
+        return res.status(400).json({ error: alerts.error });
+    }
+    
+    const length = resolveDuration(req.body);
+    if (length.error) {
+        return res.status(400).json({ error: length.error });
+    }
+    
+    findConflicts(db, { start, ...length }, (err, conflicts) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ error: 'Failed to add appointment' });
+            return res.status(500).json({ error: 'Failed to check for conflicts' });
         }
         
-        res.status(201).json({
-            message: 'Appointment scheduled successfully',
-            id: result.insertId
+        if (isStrict(req) && conflicts.length > 0) {
+            return res.status(409).json({ error: describeConflicts(conflicts), conflicts });
+        }
+        
+        // A doctor not yet in the provider directory is added to it
+        resolveProvider(db, req.body.provider_id, doctor, (err, resolved) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to look up provider' });
+            }
+            
+            if (resolved.error || !resolved.provider) {
+                return res.status(400).json({ error: resolved.error || 'Doctor (or provider_id) is required' });
+            }
+            
+            const query = `
+                INSERT INTO appointments (provider_id, doctor, type, date_time, duration_minutes, travel_minutes, location, lead_times, auto_reminders)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const leadTimes = alerts.leadTimes ? JSON.stringify(alerts.leadTimes) : null;
+            const params = [
+                resolved.provider.id,
+                resolved.provider.name,
+                type,
+                date_time,
+                length.duration_minutes,
+                length.travel_minutes,
+                location || null,
+                leadTimes,
+                req.body.auto_reminders !== false
+            ];
+            
+            db.query(query, params, (err, result) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ error: 'Failed to add appointment' });
+                }
+                
+                publishRow(db, 'appointment', 'created', result.insertId);
+                syncAppointmentReminders(db, result.insertId, (err, synced) => {
+                    if (err) console.error('Failed to create appointment reminders:', err);
+                    
+                    res.status(201).json({
+                        message: 'Appointment scheduled successfully',
+                        id: result.insertId,
+                        provider_id: resolved.provider.id,
+                        reminders_created: synced ? synced.created : 0,
+                        ...conflictWarning(conflicts)
+                    });
+                });
+            });
         });
     });
 });
 
-// Update appointment
+// Update appointment (provider, lead_times, duration, travel and auto_reminders are only changed when sent).
+// Rescheduling moves the appointment's reminders by the same amount, and generated reminders
+// are rewritten to match; a scheduled or confirmed appointment becomes rescheduled.
+// Conflicts are reported as for a new one.
 router.put('/:id', (req, res) => {
     const db = req.app.locals.db;
     const { id } = req.params;
     const { doctor, type, date_time, location } = req.body;
     
-    const query = `
-        UPDATE appointments 
-        SET doctor = ?, type = ?, date_time = ?, location = ?
-        WHERE id = ?
-    `;
+    const start = new Date(date_time);
+    if (isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'date_time must be a valid date and time' });
+    }
+    
+    const alerts = resolveLeadTimes(req.body.lead_times);
+    if (alerts.error) {
+        return res.status(400).json({ error: alerts.error });
+    }
     
-    db.query(query, [doctor, type, date_time, location, id], (err, result) => {
+    db.query('SELECT * FROM appointments WHERE id = ?', [id], (err, existing) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ error: 'Failed to update appointment' });
+            return res.status(500).json({ error: 'Failed to fetch appointment' });
         }
         
-        if (result.affectedRows === 0) {
+        if (existing.length === 0) {
             return res.status(404).json({ error: 'Appointment not found' });
         }
         
-        res.json({ message: 'Appointment updated successfully' });
+        const length = resolveDuration(req.body, existing[0]);
+        if (length.error) {
+            return res.status(400).json({ error: length.error });
+        }
+        
+        findConflicts(db, { id: Number(id), start, ...length }, (err, conflicts) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to check for conflicts' });
+            }
+            
+            if (isStrict(req) && conflicts.length > 0) {
+                return res.status(409).json({ error: describeConflicts(conflicts), conflicts });
+            }
+            
+            // The provider only changes when provider_id or doctor is sent
+            const lookupProvider = req.body.provider_id === undefined && !doctor
+                ? (done) => done(null, { provider: { id: existing[0].provider_id, name: existing[0].doctor } })
+                : (done) => resolveProvider(db, req.body.provider_id, doctor, done);
+            
+            lookupProvider((err, resolved) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ error: 'Failed to look up provider' });
+                }
+                
+                if (resolved.error || !resolved.provider) {
+                    return res.status(400).json({ error: resolved.error || 'Doctor (or provider_id) is required' });
+                }
+                
+                const updateLeadTimes = req.body.lead_times !== undefined;
+                const autoReminders = req.body.auto_reminders === undefined ? !!existing[0].auto_reminders : req.body.auto_reminders !== false;
+                // A new time or length is a new revision of the calendar event (RFC 5545 SEQUENCE),
+                // so subscribed calendars replace the old time instead of keeping it
+                const rescheduled = new Date(existing[0].date_time).getTime() !== start.getTime() ||
+                    existing[0].duration_minutes !== length.duration_minutes;
+                const query = `
+                    UPDATE appointments 
+                    SET provider_id = ?, doctor = ?, type = ?, date_time = ?, duration_minutes = ?, travel_minutes = ?, location = ?,
+                        auto_reminders = ?, status = ?, ical_sequence = ical_sequence + ?${updateLeadTimes ? ', lead_times = ?' : ''}
+                    WHERE id = ?
+                `;
+                const status = statusAfterMove(existing[0], start);
+                const params = [
+                    resolved.provider.id,
+                    resolved.provider.name,
+                    type,
+                    date_time,
+                    length.duration_minutes,
+                    length.travel_minutes,
+                    location,
+                    autoReminders,
+                    status,
+                    rescheduled ? 1 : 0
+                ];
+                if (updateLeadTimes) params.push(alerts.leadTimes ? JSON.stringify(alerts.leadTimes) : null);
+                params.push(id);
+                
+                db.query(query, params, (err, result) => {
+                    if (err) {
+                        console.error(err);
+                        return res.status(500).json({ error: 'Failed to update appointment' });
+                    }
+                    
+                    if (result.affectedRows === 0) {
+                        return res.status(404).json({ error: 'Appointment not found' });
+                    }
+                    
+                    const seconds = Math.round((start - new Date(existing[0].date_time)) / 1000);
+                    
+                    shiftLinkedReminders(db, 'appointment', id, seconds || 0, (err, moved) => {
+                        if (err) console.error('Failed to move appointment reminders:', err);
+                        
+                        publishRow(db, 'appointment', 'updated', id);
+                        (moved || []).forEach(reminderId => publish('reminder', 'updated', reminderId));
+                        syncAppointmentReminders(db, id, (err) => {
+                            if (err) console.error('Failed to sync appointment reminders:', err);
+                            
+                            res.json({
+                                message: 'Appointment updated successfully',
+                                status,
+                                provider_id: resolved.provider.id,
+                                moved_reminders: moved ? moved.length : 0,
+                                ...conflictWarning(conflicts)
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+const STATUS_MESSAGES = {
+    scheduled: 'Appointment reinstated',
+    confirmed: 'Appointment confirmed',
+    completed: 'Visit outcome recorded',
+    cancelled: 'Appointment cancelled',
+    no_show: 'Appointment marked as missed'
+};
+
+// Move an appointment to another status and bring its generated reminders in line
+// (a cancelled or attended appointment has no upcoming ones)
+const transitionStatus = (req, res, to, outcome = null) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    transitionAppointment(db, id, to, outcome, (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to update appointment status' });
+        }
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        syncAppointmentReminders(db, id, (err) => {
+            if (err) console.error('Failed to sync appointment reminders:', err);
+            
+            res.json({
+                message: STATUS_MESSAGES[to],
+                previous_status: result.from,
+                status: to
+            });
+        });
     });
+};
+
+// Confirm an appointment with the clinic
+router.post('/:id/confirm', (req, res) => {
+    transitionStatus(req, res, 'confirmed');
+});
+
+// Cancel an appointment (it is kept, and can be reinstated)
+router.post('/:id/cancel', (req, res) => {
+    transitionStatus(req, res, 'cancelled');
+});
+
+// Reinstate a cancelled appointment as scheduled
+router.post('/:id/reinstate', (req, res) => {
+    transitionStatus(req, res, 'scheduled');
+});
+
+// Record that an appointment was attended, with its outcome: { outcome_notes, follow_up_needed,
+// follow_up_date, prescriptions_changed, prescription_notes }. Sending it again corrects the outcome.
+router.post('/:id/complete', (req, res) => {
+    const parsed = parseOutcome(req.body);
+    
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    transitionStatus(req, res, 'completed', parsed.outcome);
 });
 
-// Delete appointment
+// Record that an appointment was missed
+router.post('/:id/no-show', (req, res) => {
+    transitionStatus(req, res, 'no_show');
+});
+
+// Delete appointment (its reminders are deleted with it)
 router.delete('/:id', (req, res) => {
     const db = req.app.locals.db;
     const { id } = req.params;
     
     const query = 'DELETE FROM appointments WHERE id = ?';
     
-    db.query(query, [id], (err, result) => {
+    findLinkedReminders(db, 'appointment', id, (err, reminderIds) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to delete appointment' });
         }
         
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Appointment not found' });
-        }
-        
-        res.json({ message: 'Appointment deleted successfully' });
+        db.query(query, [id], (err, result) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to delete appointment' });
+            }
+            
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: 'Appointment not found' });
+            }
+            
+            publish('appointment', 'deleted', id);
+            reminderIds.forEach(reminderId => publish('reminder', 'deleted', reminderId));
+            res.json({ message: 'Appointment deleted successfully' });
+        });
     });
 });
 
-// Get appointment statistics
+// Percentage to one decimal, or null when there is nothing to compare against
+const rate = (count, total) => (total > 0 ? Math.round(count / total * 1000) / 10 : null);
+
+// Get appointment statistics. Attendance and no-show rates are out of the appointments whose
+// attendance was recorded; awaiting_outcome counts past appointments still open.
 router.get('/stats/count', (req, res) => {
     const db = req.app.locals.db;
     
     const query = `
         SELECT 
             COUNT(*) as total,
-            SUM(CASE WHEN date_time >= NOW() THEN 1 ELSE 0 END) as upcoming,
+            SUM(CASE WHEN date_time >= NOW() AND status IN (?) THEN 1 ELSE 0 END) as upcoming,
             SUM(CASE WHEN date_time < NOW() THEN 1 ELSE 0 END) as past,
+            SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
+            SUM(CASE WHEN status = 'no_show' THEN 1 ELSE 0 END) as no_shows,
+            SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+            SUM(CASE WHEN date_time < NOW() AND status IN (?) THEN 1 ELSE 0 END) as awaiting_outcome,
             COUNT(DISTINCT type) as types,
             COUNT(DISTINCT doctor) as doctors
         FROM appointments
     `;
     
-    db.query(query, (err, results) => {
+    db.query(query, [OPEN_STATUSES, OPEN_STATUSES], (err, results) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch statistics' });
         }
         
-        res.json(results[0]);
+        const stats = results[0];
+        const completed = Number(stats.completed) || 0;
+        const noShows = Number(stats.no_shows) || 0;
+        const cancelled = Number(stats.cancelled) || 0;
+        
+        res.json({
+            ...stats,
+            upcoming: Number(stats.upcoming) || 0,
+            past: Number(stats.past) || 0,
+            completed,
+            no_shows: noShows,
+            cancelled,
+            awaiting_outcome: Number(stats.awaiting_outcome) || 0,
+            attendance_rate: rate(completed, completed + noShows),
+            no_show_rate: rate(noShows, completed + noShows),
+            cancellation_rate: rate(cancelled, stats.total)
+        });
     });
 });
 
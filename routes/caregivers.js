@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const { parseCaregiver, acknowledgeEscalation } = require('../utils/escalation');
+const { escapeHtml } = require('../utils/html');
+
+const ESCALATION_STATUSES = ['pending', 'sent', 'failed', 'acknowledged'];
+
+// Minimal page for caregivers, who open these links from an email and have no app
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem; }
+        button { font-size: 1rem; padding: 0.6rem 1rem; margin: 0.25rem 0.5rem 0.25rem 0; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+</body>
+</html>`;
+
+// Get all caregivers
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    
+    db.query('SELECT * FROM caregivers ORDER BY delay_minutes, name', (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch caregivers' });
+        }
+        res.json(results);
+    });
+});
+
+// Escalation log, newest first. Filters: status, source_type, caregiver_id
+router.get('/escalations/list', (req, res) => {
+    const db = req.app.locals.db;
+    const { status, source_type, caregiver_id } = req.query;
+    const conditions = [];
+    const params = [];
+    
+    if (status && !ESCALATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${ESCALATION_STATUSES.join(', ')}` });
+    }
+    
+    if (status) {
+        conditions.push('e.status = ?');
+        params.push(status);
+    }
+    if (source_type) {
+        conditions.push('e.source_type = ?');
+        params.push(source_type);
+    }
+    if (caregiver_id) {
+        conditions.push('e.caregiver_id = ?');
+        params.push(caregiver_id);
+    }
+    
+    const query = `
+        SELECT e.id, e.source_type, e.source_id, e.scheduled_time, e.dispatch_id, e.caregiver_id,
+               e.status, e.last_error, e.created_at, e.sent_at, e.acknowledged_at,
+               c.name AS caregiver_name, c.channel, n.title
+        FROM escalations e
+        LEFT JOIN caregivers c ON c.id = e.caregiver_id
+        LEFT JOIN notification_dispatches n ON n.id = e.dispatch_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY e.created_at DESC, e.id DESC
+        LIMIT 200
+    `;
+    
+    db.query(query, params, (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch escalations' });
+        }
+        res.json(results);
+    });
+});
+
+// Page linked from a caregiver's message. Acknowledging takes a button press (POST) so
+// mail scanners that prefetch links cannot acknowledge by accident.
+router.get('/escalations/acknowledge/:token', (req, res) => {
+    const db = req.app.locals.db;
+    const query = `
+        SELECT e.source_type, e.scheduled_time, e.acknowledged_at, n.title
+        FROM escalations e
+        LEFT JOIN notification_dispatches n ON n.id = e.dispatch_id
+        WHERE e.token = ?
+    `;
+    
+    db.query(query, [req.params.token], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+        }
+        
+        if (results.length === 0) {
+            return res.status(404).send(page('Link not found', '<p>This acknowledgement link is not valid.</p>'));
+        }
+        
+        const escalation = results[0];
+        const title = escalation.title || (escalation.source_type === 'medication' ? 'Medication dose' : 'Reminder');
+        const due = new Date(escalation.scheduled_time).toLocaleString('en-US');
+        
+        if (escalation.acknowledged_at) {
+            return res.send(page(title, '<p>This has already been acknowledged. Thank you.</p>'));
+        }
+        
+        const takenButton = escalation.source_type === 'medication'
+            ? '<button type="submit" name="action" value="taken">The dose was taken</button>'
+            : '';
+        
+        res.send(page(title, `
+    <p>Due ${escapeHtml(due)} and not answered yet.</p>
+    <form method="POST">
+        <button type="submit" name="action" value="acknowledge">Acknowledge</button>
+        ${takenButton}
+    </form>`));
+    });
+});
+
+// Acknowledge on the patient's behalf. Body: { action: 'acknowledge' | 'taken' }.
+// Answers with a page for the form above, or JSON for API clients.
+router.post('/escalations/acknowledge/:token', (req, res) => {
+    const db = req.app.locals.db;
+    const action = req.body.action || 'acknowledge';
+    const wantsHtml = req.is('application/x-www-form-urlencoded');
+    
+    if (!['acknowledge', 'taken'].includes(action)) {
+        return res.status(400).json({ error: 'action must be acknowledge or taken' });
+    }
+    
+    acknowledgeEscalation(db, req.params.token, action, (err, result) => {
+        if (err) {
+            console.error(err);
+            return wantsHtml
+                ? res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'))
+                : res.status(500).json({ error: 'Failed to acknowledge escalation' });
+        }
+        
+        if (result.error) {
+            return wantsHtml
+                ? res.status(result.status).send(page('Could not acknowledge', `<p>${escapeHtml(result.error)}</p>`))
+                : res.status(result.status).json({ error: result.error });
+        }
+        
+        if (wantsHtml) {
+            return res.send(page('Thank you', `<p>${escapeHtml(result.message)}</p>`));
+        }
+        res.json({ message: result.message });
+    });
+});
+
+// Add a caregiver
+router.post('/', (req, res) => {
+    const db = req.app.locals.db;
+    const parsed = parseCaregiver(req.body);
+    
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    const { name, channel, address, delay_minutes, active } = parsed.caregiver;
+    const query = 'INSERT INTO caregivers (name, channel, address, delay_minutes, active) VALUES (?, ?, ?, ?, ?)';
+    
+    db.query(query, [name, channel, address, delay_minutes, active], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to add caregiver' });
+        }
+        
+        res.status(201).json({
+            message: 'Caregiver added successfully',
+            id: result.insertId
+        });
+    });
+});
+
+// Update a caregiver. Fields left out keep their current value.
+router.put('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    db.query('SELECT * FROM caregivers WHERE id = ?', [id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch caregiver' });
+        }
+        
+        if (results.length === 0) {
+            return res.status(404).json({ error: 'Caregiver not found' });
+        }
+        
+        const current = results[0];
+        const parsed = parseCaregiver({
+            name: current.name,
+            channel: current.channel,
+            address: current.address,
+            delay_minutes: current.delay_minutes,
+            ...req.body,
+            active: req.body.active === undefined ? !!current.active : req.body.active
+        });
+        
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        const { name, channel, address, delay_minutes, active } = parsed.caregiver;
+        const query = 'UPDATE caregivers SET name = ?, channel = ?, address = ?, delay_minutes = ?, active = ? WHERE id = ?';
+        
+        db.query(query, [name, channel, address, delay_minutes, active, id], (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to update caregiver' });
+            }
+            
+            res.json({ message: 'Caregiver updated successfully' });
+        });
+    });
+});
+
+// Remove a caregiver. Their past escalations stay in the log.
+router.delete('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    
+    db.query('DELETE FROM caregivers WHERE id = ?', [req.params.id], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to delete caregiver' });
+        }
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Caregiver not found' });
+        }
+        
+        res.json({ message: 'Caregiver deleted successfully' });
+    });
+});
+
+module.exports = router;
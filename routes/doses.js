@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { formatDate, formatDateTime } = require('../utils/dates');
+const { parseDateRange } = require('../utils/schedule');
+const { DOSE_ACTIONS, SKIP_REASONS, resolveDoseDetails, recordDoseEvent, parseDay } = require('../utils/doseLog');
+
+// Get all dose events (most recent first), optionally filtered by medication_id, action and reason
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    const { medication_id, action, reason } = req.query;
+    const conditions = [];
+    const params = [];
+    
+    if (action && !DOSE_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Action must be one of: ${DOSE_ACTIONS.join(', ')}` });
+    }
+    
+    if (reason && !SKIP_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `Reason must be one of: ${SKIP_REASONS.join(', ')}` });
+    }
+    
+    if (medication_id) {
+        conditions.push('d.medication_id = ?');
+        params.push(medication_id);
+    }
+    if (action) {
+        conditions.push('d.action = ?');
+        params.push(action);
+    }
+    if (reason) {
+        conditions.push('d.reason = ?');
+        params.push(reason);
+    }
+    
+    const query = `
+        SELECT d.*, m.name AS medication_name, m.dosage
+        FROM dose_events d
+        JOIN medications m ON m.id = d.medication_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY d.event_time DESC, d.id DESC
+    `;
+    
+    db.query(query, params, (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch dose events' });
+        }
+        res.json(results);
+    });
+});
+
+// Get dose events for a single day (YYYY-MM-DD or 'today')
+router.get('/day/:date', (req, res) => {
+    const db = req.app.locals.db;
+    const day = parseDay(req.params.date);
+    
+    if (!day) {
+        return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format or \'today\'' });
+    }
+    
+    const query = `
+        SELECT d.*, m.name AS medication_name, m.dosage
+        FROM dose_events d
+        JOIN medications m ON m.id = d.medication_id
+        WHERE DATE(d.event_time) = ?
+        ORDER BY d.event_time ASC, d.id ASC
+    `;
+    
+    db.query(query, [day], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch dose events' });
+        }
+        res.json(results);
+    });
+});
+
+// Get dose events for a single medication
+router.get('/medication/:id', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    const query = `
+        SELECT * FROM dose_events
+        WHERE medication_id = ?
+        ORDER BY event_time DESC, id DESC
+    `;
+    
+    db.query(query, [id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch dose events' });
+        }
+        res.json(results);
+    });
+});
+
+// Why doses were skipped over a date range (defaults to the last 30 days)
+router.get('/reasons', (req, res) => {
+    const db = req.app.locals.db;
+    const today = new Date();
+    const monthAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29);
+    const startDate = req.query.start_date || formatDate(monthAgo);
+    const endDate = req.query.end_date || formatDate(today);
+    const range = parseDateRange(startDate, endDate);
+    
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    
+    const query = `
+        SELECT d.medication_id, m.name AS medication_name, d.reason, COUNT(*) AS count
+        FROM dose_events d
+        JOIN medications m ON m.id = d.medication_id
+        WHERE d.action = 'skipped' AND d.event_time >= ? AND d.event_time < ?
+        GROUP BY d.medication_id, m.name, d.reason
+        ORDER BY count DESC
+    `;
+    
+    db.query(query, [formatDateTime(range.start), formatDateTime(range.end)], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch skip reasons' });
+        }
+        
+        const totals = SKIP_REASONS.reduce((sum, reason) => ({ ...sum, [reason]: 0 }), {});
+        results.forEach(row => {
+            totals[row.reason || 'other'] += row.count;
+        });
+        
+        res.json({
+            start_date: startDate,
+            end_date: endDate,
+            reasons: totals,
+            medications: results
+        });
+    });
+});
+
+// Record a dose event: taken (optionally late, with the actual time), skipped with a reason,
+// snoozed for a number of minutes, or undone
+router.post('/', (req, res) => {
+    const db = req.app.locals.db;
+    const { medication_id, action } = req.body;
+    
+    if (!medication_id || !action) {
+        return res.status(400).json({ error: 'medication_id and action are required' });
+    }
+    
+    const resolved = resolveDoseDetails(action, req.body);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    
+    recordDoseEvent(db, medication_id, action, resolved.details, (err, result, refillReminderId) => {
+        if (err) {
+            if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+                return res.status(404).json({ error: 'Medication not found' });
+            }
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to record dose event' });
+        }
+        
+        res.status(201).json({
+            message: 'Dose event recorded successfully',
+            id: result.insertId,
+            snooze_until: resolved.details.snooze_until || null,
+            refill_reminder_id: refillReminderId
+        });
+    });
+});
+
+module.exports = router;
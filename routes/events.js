@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { subscribe } = require('../utils/liveEvents');
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_MS = 25000;
+// How long the browser waits before reconnecting after the stream drops
+const RETRY_MS = 5000;
+
+// Stream live changes as Server-Sent Events ('change' events with JSON data)
+router.get('/', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    
+    const unsubscribe = subscribe((event) => {
+        res.write(`id: ${event.id}\nevent: change\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
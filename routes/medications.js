@@ -1,18 +1,264 @@
 const express = require('express');
 const router = express.Router();
+const { resolveDoseDetails, recordDoseEvent } = require('../utils/doseLog');
+const {
+    normalizeSchedule,
+    normalizeTime,
+    scheduleFromFrequency,
+    getMedicationSchedule,
+    describeSchedule,
+    dosesPerDay,
+    firstDoseTime,
+    expectedDoses,
+    parseDateRange
+} = require('../utils/schedule');
+const { formatDate, formatDateTime } = require('../utils/dates');
+const { computeAdherence } = require('../utils/adherence');
+const { projectSupply, checkRefill } = require('../utils/inventory');
+const { findInteractionWarnings } = require('../utils/interactions');
+const { resolveCourse, describeCourse, archiveExpiredCourses } = require('../utils/courses');
+const { UNITS, parseDosage, formatDosage, convertDosage } = require('../utils/dosage');
+const { snapshot, recordVersion } = require('../utils/medicationHistory');
+const { publish, publishRow } = require('../utils/liveEvents');
+const { findLinkedReminders, shiftLinkedReminders } = require('../utils/reminders');
+const { resolveProvider } = require('../utils/providers');
 
-// Get all medications
+const COURSE_FIELDS = ['start_date', 'end_date', 'course_days', 'taper'];
+
+// Work out the structured schedule plus the legacy frequency/time columns from a request body.
+// A structured schedule wins; otherwise the schedule is derived from frequency and time.
+const resolveSchedule = (body) => {
+    const { schedule, frequency, time } = body;
+    
+    if (schedule) {
+        const result = normalizeSchedule(schedule);
+        if (result.error) return result;
+        
+        return {
+            schedule: result.schedule,
+            frequency: frequency || describeSchedule(result.schedule),
+            time: time || firstDoseTime(result.schedule)
+        };
+    }
+    
+    if (!frequency || !time) {
+        return { error: 'Either a schedule or both frequency and time are required' };
+    }
+    
+    return { schedule: scheduleFromFrequency(frequency, time), frequency, time };
+};
+
+// Validate the optional stock fields; missing fields come back as null
+const parseStockFields = (body) => {
+    const fields = {};
+    
+    for (const field of ['quantity_on_hand', 'units_per_dose', 'refill_threshold']) {
+        const value = body[field];
+        
+        if (value === undefined || value === null || value === '') {
+            fields[field] = null;
+            continue;
+        }
+        
+        const number = Number(value);
+        if (isNaN(number) || number < 0 || (field === 'units_per_dose' && number === 0)) {
+            return { error: `${field} must be a positive number` };
+        }
+        fields[field] = number;
+    }
+    
+    return { fields };
+};
+
+// Add computed course progress and total daily amount to a medication row
+const withDerivedFields = (med) => {
+    const course = describeCourse(med);
+    let dailyDose = null;
+    
+    if (med.dosage_amount !== null && med.dosage_amount !== undefined && !(course && course.taper)) {
+        const amount = Number(med.dosage_amount) * dosesPerDay(getMedicationSchedule(med));
+        dailyDose = { amount: Math.round(amount * 100) / 100, unit: med.dosage_unit };
+    }
+    
+    return { ...med, course, daily_dose: dailyDose };
+};
+
+// Seconds the first dose of the day moved by (e.g. 08:00 -> 09:30 is 5400), 0 when unknown
+const doseTimeShift = (before, after) => {
+    const toSeconds = (time) => {
+        const normalized = normalizeTime(time);
+        if (!normalized) return null;
+        const [hours, minutes] = normalized.split(':').map(Number);
+        return hours * 3600 + minutes * 60;
+    };
+    const from = toSeconds(before);
+    const to = toSeconds(after);
+    
+    return from === null || to === null ? 0 : to - from;
+};
+
+// Tell open tabs about a changed medication, shaped like GET / returns it
+const publishMedication = (db, action, id) => publishRow(db, 'medication', action, id, withDerivedFields);
+
+// Get all active medications (expired courses are archived first)
 router.get('/', (req, res) => {
     const db = req.app.locals.db;
     
-    const query = 'SELECT * FROM medications ORDER BY time ASC';
+    archiveExpiredCourses(db, (err) => {
+        if (err) console.error('Failed to archive expired courses:', err);
+        
+        const query = 'SELECT * FROM medications WHERE archived_at IS NULL ORDER BY time ASC';
+        
+        db.query(query, (err, results) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to fetch medications' });
+            }
+            res.json(results.map(withDerivedFields));
+        });
+    });
+});
+
+// Get archived medications (finished courses and stopped medications)
+router.get('/archived/list', (req, res) => {
+    const db = req.app.locals.db;
+    
+    const query = 'SELECT * FROM medications WHERE archived_at IS NOT NULL ORDER BY archived_at DESC';
     
     db.query(query, (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch archived medications' });
+        }
+        res.json(results.map(withDerivedFields));
+    });
+});
+
+// Expand every medication's schedule into expected doses for a date range
+router.get('/schedule/expand', (req, res) => {
+    const db = req.app.locals.db;
+    const range = parseDateRange(req.query.start_date, req.query.end_date);
+    
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    
+    db.query('SELECT * FROM medications', (err, results) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch medications' });
         }
-        res.json(results);
+        
+        const doses = results
+            .flatMap(med => expectedDoses(med, range.start, range.end))
+            .sort((a, b) => a.scheduled_time.localeCompare(b.scheduled_time));
+        
+        res.json(doses);
+    });
+});
+
+// Get adherence analytics (defaults to the last 7 days including today)
+router.get('/adherence', (req, res) => {
+    const db = req.app.locals.db;
+    const today = new Date();
+    const weekAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6);
+    const startDate = req.query.start_date || formatDate(weekAgo);
+    const endDate = req.query.end_date || formatDate(today);
+    const range = parseDateRange(startDate, endDate);
+    
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    
+    db.query('SELECT * FROM medications', (err, medications) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch medications' });
+        }
+        
+        const query = `
+            SELECT medication_id, action, event_time, scheduled_time FROM dose_events
+            WHERE COALESCE(scheduled_time, event_time) >= ? AND COALESCE(scheduled_time, event_time) < ?
+            ORDER BY event_time ASC, id ASC
+        `;
+        
+        db.query(query, [formatDateTime(range.start), formatDateTime(range.end)], (err, events) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to fetch dose events' });
+            }
+            
+            res.json({
+                start_date: startDate,
+                end_date: endDate,
+                ...computeAdherence(medications, events, range.start, range.end)
+            });
+        });
+    });
+});
+
+// List the dosage units the server understands
+router.get('/dosage/units', (req, res) => {
+    res.json(Object.entries(UNITS).map(([unit, definition]) => ({
+        unit,
+        dimension: definition.dimension,
+        aliases: definition.aliases
+    })));
+});
+
+// Convert a dosage amount between compatible units
+router.get('/dosage/convert', (req, res) => {
+    const { amount, from, to } = req.query;
+    const value = Number(amount);
+    
+    if (!amount || isNaN(value) || !from || !to) {
+        return res.status(400).json({ error: 'amount, from and to are required' });
+    }
+    
+    const converted = convertDosage(value, from, to);
+    
+    if (converted === null) {
+        return res.status(400).json({ error: `Cannot convert ${from} to ${to}` });
+    }
+    
+    res.json({ amount: value, from, to, result: converted });
+});
+
+// Check a drug against the other medications without saving it
+router.post('/interactions/check', (req, res) => {
+    const db = req.app.locals.db;
+    const { name, exclude_id } = req.body;
+    
+    if (!name) {
+        return res.status(400).json({ error: 'Medication name is required' });
+    }
+    
+    findInteractionWarnings(db, name, exclude_id, (err, warnings) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to check interactions' });
+        }
+        
+        res.json({ warnings });
+    });
+});
+
+// Get projected supply for every medication with stock tracking
+router.get('/inventory/status', (req, res) => {
+    const db = req.app.locals.db;
+    
+    db.query('SELECT * FROM medications WHERE quantity_on_hand IS NOT NULL ORDER BY name ASC', (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch inventory' });
+        }
+        
+        res.json(results.map(med => ({
+            medication_id: med.id,
+            name: med.name,
+            units_per_dose: Number(med.units_per_dose),
+            ...projectSupply(med)
+        })));
     });
 });
 
@@ -40,32 +286,218 @@ router.get('/:id', (req, res) => {
 // Add new medication
 router.post('/', (req, res) => {
     const db = req.app.locals.db;
-    const { name, dosage, frequency, time } = req.body;
+    const { name, dosage } = req.body;
     
-    if (!name || !dosage || !frequency || !time) {
+    if (!name || !dosage) {
         return res.status(400).json({ error: 'All fields are required' });
     }
     
-    const query = 'INSERT INTO medications (name, dosage, frequency, time) VALUES (?, ?, ?, ?)';
+    const parsedDosage = parseDosage(dosage);
+    if (parsedDosage.error) {
+        return res.status(400).json({ error: parsedDosage.error });
+    }
+    
+    const resolved = resolveSchedule(req.body);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const { schedule, frequency, time } = resolved;
+    
+    const stock = parseStockFields(req.body);
+    if (stock.error) {
+        return res.status(400).json({ error: stock.error });
+    }
+    const { quantity_on_hand, units_per_dose, refill_threshold } = stock.fields;
+    
+    const courseResult = resolveCourse(req.body);
+    if (courseResult.error) {
+        return res.status(400).json({ error: courseResult.error });
+    }
+    const { course } = courseResult;
+    
+    const query = `
+        INSERT INTO medications (
+            name, dosage, dosage_amount, dosage_unit, frequency, time, schedule,
+            quantity_on_hand, units_per_dose, refill_threshold,
+            start_date, end_date, taper, critical, prescriber_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, 1), COALESCE(?, 7), ?, ?, ?, ?, ?)
+    `;
+    
+    // The prescriber is picked from the provider directory, or added to it by name
+    resolveProvider(db, req.body.prescriber_id, req.body.prescriber, (err, prescriber) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to look up prescriber' });
+        }
+        
+        if (prescriber.error) {
+            return res.status(400).json({ error: prescriber.error });
+        }
+        
+        findInteractionWarnings(db, name, null, (err, warnings) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to check interactions' });
+            }
+            
+            db.query(query, [
+                name,
+                formatDosage(parsedDosage.amount, parsedDosage.unit),
+                parsedDosage.amount,
+                parsedDosage.unit,
+                frequency,
+                time,
+                JSON.stringify(schedule),
+                quantity_on_hand,
+                units_per_dose,
+                refill_threshold,
+                course.start_date,
+                course.end_date,
+                course.taper ? JSON.stringify(course.taper) : null,
+                !!req.body.critical,
+                prescriber.provider ? prescriber.provider.id : null
+            ], (err, result) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ error: 'Failed to add medication' });
+                }
+                
+                recordVersion(db, result.insertId, null, (err) => {
+                    if (err) console.error('Failed to record medication version:', err);
+                    
+                    checkRefill(db, result.insertId, (err, refillReminderId) => {
+                        if (err) console.error('Failed to check medication refill:', err);
+                        
+                        publishMedication(db, 'created', result.insertId);
+                        res.status(201).json({
+                            message: 'Medication added successfully',
+                            id: result.insertId,
+                            refill_reminder_id: refillReminderId || null,
+                            warnings
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Add stock after a refill
+router.post('/:id/refill', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    const quantity = Number(req.body.quantity);
+    
+    if (!quantity || quantity <= 0) {
+        return res.status(400).json({ error: 'A positive quantity is required' });
+    }
+    
+    const query = 'UPDATE medications SET quantity_on_hand = COALESCE(quantity_on_hand, 0) + ? WHERE id = ?';
     
-    db.query(query, [name, dosage, frequency, time], (err, result) => {
+    db.query(query, [quantity, id], (err, result) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ error: 'Failed to add medication' });
+            return res.status(500).json({ error: 'Failed to refill medication' });
         }
         
-        res.status(201).json({
-            message: 'Medication added successfully',
-            id: result.insertId
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Medication not found' });
+        }
+        
+        checkRefill(db, id, (err) => {
+            if (err) console.error('Failed to check medication refill:', err);
+            
+            publishMedication(db, 'updated', id);
+            res.json({ message: 'Medication refilled successfully' });
         });
     });
 });
 
-// Update medication (mark as taken)
+// Prescription timeline: every version of a medication with old and new values
+router.get('/:id/history', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    db.query('SELECT id, name, created_at, archived_at FROM medications WHERE id = ?', [id], (err, medications) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch medication' });
+        }
+        
+        if (medications.length === 0) {
+            return res.status(404).json({ error: 'Medication not found' });
+        }
+        
+        const query = `
+            SELECT id, version, change_type, changes, changed_at
+            FROM medication_versions
+            WHERE medication_id = ?
+            ORDER BY version ASC
+        `;
+        
+        db.query(query, [id], (err, versions) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to fetch medication history' });
+            }
+            
+            res.json({
+                medication_id: medications[0].id,
+                name: medications[0].name,
+                created_at: medications[0].created_at,
+                archived_at: medications[0].archived_at,
+                versions: versions.map(version => ({
+                    ...version,
+                    changes: typeof version.changes === 'string' ? JSON.parse(version.changes) : version.changes
+                }))
+            });
+        });
+    });
+});
+
+// Expand a medication's schedule into expected doses for a date range
+router.get('/:id/schedule', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    const range = parseDateRange(req.query.start_date, req.query.end_date);
+    
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    
+    db.query('SELECT * FROM medications WHERE id = ?', [id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch medication' });
+        }
+        
+        if (results.length === 0) {
+            return res.status(404).json({ error: 'Medication not found' });
+        }
+        
+        const medication = results[0];
+        
+        res.json({
+            medication_id: medication.id,
+            schedule: getMedicationSchedule(medication),
+            doses: expectedDoses(medication, range.start, range.end)
+        });
+    });
+});
+
+// Update medication (mark as taken) and log the dose event
 router.put('/:id/taken', (req, res) => {
     const db = req.app.locals.db;
     const { id } = req.params;
     const { taken } = req.body;
+    const action = taken ? 'taken' : 'undone';
+    
+    // A dose taken late sends event_time (when it was actually taken) and scheduled_time
+    const resolved = resolveDoseDetails(action, req.body);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
     
     const query = 'UPDATE medications SET taken = ? WHERE id = ?';
     
@@ -79,7 +511,19 @@ router.put('/:id/taken', (req, res) => {
             return res.status(404).json({ error: 'Medication not found' });
         }
         
-        res.json({ message: 'Medication updated successfully' });
+        recordDoseEvent(db, id, action, resolved.details, (err, eventResult, refillReminderId) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to record dose event' });
+            }
+            
+            publishMedication(db, 'updated', id);
+            res.json({
+                message: 'Medication updated successfully',
+                dose_event_id: eventResult.insertId,
+                refill_reminder_id: refillReminderId
+            });
+        });
     });
 });
 
@@ -87,42 +531,200 @@ router.put('/:id/taken', (req, res) => {
 router.put('/:id', (req, res) => {
     const db = req.app.locals.db;
     const { id } = req.params;
-    const { name, dosage, frequency, time } = req.body;
+    const { name, dosage } = req.body;
+    
+    const parsedDosage = parseDosage(dosage);
+    if (parsedDosage.error) {
+        return res.status(400).json({ error: parsedDosage.error });
+    }
     
-    const query = 'UPDATE medications SET name = ?, dosage = ?, frequency = ?, time = ? WHERE id = ?';
+    const resolved = resolveSchedule(req.body);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const { schedule, frequency, time } = resolved;
+    
+    const stock = parseStockFields(req.body);
+    if (stock.error) {
+        return res.status(400).json({ error: stock.error });
+    }
+    const { quantity_on_hand, units_per_dose, refill_threshold } = stock.fields;
     
-    db.query(query, [name, dosage, frequency, time, id], (err, result) => {
+    const updatePrescriber = req.body.prescriber_id !== undefined || req.body.prescriber !== undefined;
+    
+    // Keep the current prescription so the edit can be stored as a new version
+    db.query('SELECT * FROM medications WHERE id = ?', [id], (err, existing) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ error: 'Failed to update medication' });
+            return res.status(500).json({ error: 'Failed to fetch medication' });
         }
         
-        if (result.affectedRows === 0) {
+        if (existing.length === 0) {
             return res.status(404).json({ error: 'Medication not found' });
         }
         
-        res.json({ message: 'Medication updated successfully' });
+        const before = snapshot(existing[0]);
+        
+        // Course fields are only replaced when the body includes any of them; a course
+        // edited without a start_date keeps its current start
+        let course = null;
+        if (COURSE_FIELDS.some(field => req.body[field] !== undefined)) {
+            const courseResult = resolveCourse(req.body, existing[0]);
+            if (courseResult.error) {
+                return res.status(400).json({ error: courseResult.error });
+            }
+            course = courseResult.course;
+        }
+        
+        // Stock fields left out of the body keep their current values.
+        // A changed course is un-archived; the next sweep archives it again if it already ended.
+        const query = `
+            UPDATE medications
+            SET name = ?, dosage = ?, dosage_amount = ?, dosage_unit = ?, frequency = ?, time = ?, schedule = ?,
+                quantity_on_hand = COALESCE(?, quantity_on_hand),
+                units_per_dose = COALESCE(?, units_per_dose),
+                refill_threshold = COALESCE(?, refill_threshold),
+                critical = COALESCE(?, critical)
+                ${course ? ', start_date = ?, end_date = ?, taper = ?, archived_at = NULL' : ''}
+                ${updatePrescriber ? ', prescriber_id = ?' : ''}
+            WHERE id = ?
+        `;
+        const courseParams = course
+            ? [course.start_date, course.end_date, course.taper ? JSON.stringify(course.taper) : null]
+            : [];
+        
+        // The prescriber only changes when prescriber_id or prescriber is sent
+        const lookupPrescriber = updatePrescriber
+            ? (done) => resolveProvider(db, req.body.prescriber_id, req.body.prescriber, done)
+            : (done) => done(null, { provider: null });
+        
+        lookupPrescriber((err, prescriber) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to look up prescriber' });
+            }
+            
+            if (prescriber.error) {
+                return res.status(400).json({ error: prescriber.error });
+            }
+            
+            findInteractionWarnings(db, name, id, (err, warnings) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ error: 'Failed to check interactions' });
+                }
+                
+                db.query(query, [
+                    name,
+                    formatDosage(parsedDosage.amount, parsedDosage.unit),
+                    parsedDosage.amount,
+                    parsedDosage.unit,
+                    frequency,
+                    time,
+                    JSON.stringify(schedule),
+                    quantity_on_hand,
+                    units_per_dose,
+                    refill_threshold,
+                    req.body.critical === undefined ? null : !!req.body.critical,
+                    ...courseParams,
+                    ...(updatePrescriber ? [prescriber.provider ? prescriber.provider.id : null] : []),
+                    id
+                ], (err, result) => {
+                    if (err) {
+                        console.error(err);
+                        return res.status(500).json({ error: 'Failed to update medication' });
+                    }
+                    
+                    if (result.affectedRows === 0) {
+                        return res.status(404).json({ error: 'Medication not found' });
+                    }
+                    
+                    recordVersion(db, id, before, (err, versionId) => {
+                        if (err) console.error('Failed to record medication version:', err);
+                        
+                        // Reminders tied to the medication follow its dose time
+                        shiftLinkedReminders(db, 'medication', id, doseTimeShift(existing[0].time, time), (err, moved) => {
+                            if (err) console.error('Failed to move medication reminders:', err);
+                            
+                            checkRefill(db, id, (err, refillReminderId) => {
+                                if (err) console.error('Failed to check medication refill:', err);
+                                
+                                publishMedication(db, 'updated', id);
+                                (moved || []).forEach(reminderId => publish('reminder', 'updated', reminderId));
+                                res.json({
+                                    message: 'Medication updated successfully',
+                                    version_id: versionId || null,
+                                    refill_reminder_id: refillReminderId || null,
+                                    moved_reminders: moved ? moved.length : 0,
+                                    warnings
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
     });
 });
 
-// Delete medication
+// Stop a medication now; it moves to the archived history
+router.put('/:id/archive', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    db.query('SELECT * FROM medications WHERE id = ? AND archived_at IS NULL', [id], (err, existing) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to archive medication' });
+        }
+        
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Active medication not found' });
+        }
+        
+        db.query('UPDATE medications SET archived_at = NOW() WHERE id = ?', [id], (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to archive medication' });
+            }
+            
+            recordVersion(db, id, snapshot(existing[0]), (err) => {
+                if (err) console.error('Failed to record medication version:', err);
+                
+                publish('medication', 'archived', id);
+                res.json({ message: 'Medication archived successfully' });
+            });
+        });
+    });
+});
+
+// Delete medication (its reminders are deleted with it)
 router.delete('/:id', (req, res) => {
     const db = req.app.locals.db;
     const { id } = req.params;
     
     const query = 'DELETE FROM medications WHERE id = ?';
     
-    db.query(query, [id], (err, result) => {
+    findLinkedReminders(db, 'medication', id, (err, reminderIds) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to delete medication' });
         }
         
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Medication not found' });
-        }
-        
-        res.json({ message: 'Medication deleted successfully' });
+        db.query(query, [id], (err, result) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to delete medication' });
+            }
+            
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: 'Medication not found' });
+            }
+            
+            publish('medication', 'deleted', id);
+            reminderIds.forEach(reminderId => publish('reminder', 'deleted', reminderId));
+            res.json({ message: 'Medication deleted successfully' });
+        });
     });
 });
 
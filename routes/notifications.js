@@ -0,0 +1,522 @@
+const express = require('express');
+const router = express.Router();
+const {
+    NOTIFICATION_TYPES,
+    channels,
+    loadChannelSettings,
+    loadPreferences,
+    sendTestNotification
+} = require('../utils/notifications');
+const { formatDateTime } = require('../utils/dates');
+const { resolveDoseDetails, recordDoseEvent } = require('../utils/doseLog');
+const { transitionReminder } = require('../utils/reminderStates');
+const { LEAD_TIME_TYPES, parseLeadTimes, loadDefaultLeadTimes, saveDefaultLeadTimes } = require('../utils/leadTimes');
+const {
+    MAX_DND_MINUTES,
+    quietUntil,
+    parseQuietHours,
+    loadQuietHours,
+    saveQuietHours,
+    startDoNotDisturb,
+    endDoNotDisturb
+} = require('../utils/quietHours');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Get dispatched notifications. With since_id, returns only newer ones (oldest first)
+// so clients can follow the log; otherwise the most recent ones.
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    const sinceId = req.query.since_id !== undefined ? Number(req.query.since_id) : null;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    
+    if (sinceId !== null && (!Number.isInteger(sinceId) || sinceId < 0)) {
+        return res.status(400).json({ error: 'since_id must be a whole number' });
+    }
+    
+    const query = sinceId !== null
+        ? 'SELECT * FROM notification_dispatches WHERE id > ? ORDER BY id ASC LIMIT ?'
+        : 'SELECT * FROM notification_dispatches ORDER BY id DESC LIMIT ?';
+    const params = sinceId !== null ? [sinceId, limit] : [limit];
+    
+    db.query(query, params, (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch notifications' });
+        }
+        res.json(results);
+    });
+});
+
+// Channel config as shown to clients: a signing secret is only reported as set or not
+const redactConfig = ({ secret, ...config }) => (
+    secret === undefined ? config : { ...config, has_secret: !!secret }
+);
+
+// List the delivery channels with their settings and whether they are ready to send
+router.get('/channels', (req, res) => {
+    const db = req.app.locals.db;
+    
+    loadChannelSettings(db, (err, settings) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch notification channels' });
+        }
+        res.json(Object.entries(settings).map(([name, setting]) => ({
+            name,
+            ...setting,
+            config: redactConfig(setting.config)
+        })));
+    });
+});
+
+// Enable or disable a channel and set its configuration (email: { to }, webhook: { url, secret }).
+// The secret is write-only: a config without one keeps the stored secret, and null clears it.
+router.put('/channels/:name', (req, res) => {
+    const db = req.app.locals.db;
+    const { name } = req.params;
+    const { enabled, config } = req.body;
+    
+    if (!channels[name]) {
+        return res.status(404).json({ error: `Unknown channel. Use one of: ${Object.keys(channels).join(', ')}` });
+    }
+    
+    if (config !== undefined && (config === null || typeof config !== 'object' || Array.isArray(config))) {
+        return res.status(400).json({ error: 'config must be an object' });
+    }
+    
+    const query = `
+        INSERT INTO notification_channels (name, enabled, config)
+        VALUES (?, COALESCE(?, TRUE), ?)
+        ON DUPLICATE KEY UPDATE
+            enabled = COALESCE(?, enabled),
+            config = COALESCE(?, config)
+    `;
+    const enabledValue = enabled === undefined ? null : !!enabled;
+    
+    loadChannelSettings(db, (err, settings) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to update notification channel' });
+        }
+        
+        const stored = settings[name].config;
+        let configValue = null;
+        if (config !== undefined) {
+            const merged = config.secret === undefined && stored.secret ? { ...config, secret: stored.secret } : config;
+            configValue = JSON.stringify(merged);
+        }
+        
+        db.query(query, [name, enabledValue, configValue, enabledValue, configValue], (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to update notification channel' });
+            }
+            
+            res.json({ message: 'Notification channel updated successfully' });
+        });
+    });
+});
+
+// Send a test message through one channel right away
+router.post('/channels/:name/test', (req, res) => {
+    const db = req.app.locals.db;
+    const { name } = req.params;
+    
+    if (!channels[name]) {
+        return res.status(404).json({ error: `Unknown channel. Use one of: ${Object.keys(channels).join(', ')}` });
+    }
+    
+    sendTestNotification(db, name, (err, result) => {
+        if (err) {
+            return res.status(502).json({ error: `Test ${name} notification failed: ${err.message}` });
+        }
+        res.json({ message: `Test ${name} notification sent`, result });
+    });
+});
+
+// Channels used for each notification type
+router.get('/preferences', (req, res) => {
+    const db = req.app.locals.db;
+    
+    loadChannelSettings(db, (err, settings) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch notification preferences' });
+        }
+        
+        loadPreferences(db, settings, (err, preferences) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to fetch notification preferences' });
+            }
+            res.json(preferences);
+        });
+    });
+});
+
+// Choose the channels for one notification type (reminder, medication or appointment)
+router.put('/preferences/:type', (req, res) => {
+    const db = req.app.locals.db;
+    const { type } = req.params;
+    const { channels: selected } = req.body;
+    
+    if (!NOTIFICATION_TYPES.includes(type)) {
+        return res.status(404).json({ error: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+    }
+    
+    if (!Array.isArray(selected) || selected.some(name => !channels[name])) {
+        return res.status(400).json({ error: `channels must be a list of: ${Object.keys(channels).join(', ')}` });
+    }
+    
+    const query = `
+        INSERT INTO notification_preferences (notification_type, channels)
+        VALUES (?, ?)
+        ON DUPLICATE KEY UPDATE channels = VALUES(channels)
+    `;
+    
+    db.query(query, [type, JSON.stringify([...new Set(selected)])], (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to update notification preferences' });
+        }
+        
+        res.json({ message: 'Notification preferences updated successfully' });
+    });
+});
+
+// Default lead times (minutes before) for reminders and appointments without their own
+router.get('/lead-times', (req, res) => {
+    const db = req.app.locals.db;
+    
+    loadDefaultLeadTimes(db, (err, defaults) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch default lead times' });
+        }
+        res.json(defaults);
+    });
+});
+
+// Set the default lead times for reminders or appointments, e.g. { lead_times: ["1d", "2h"] }
+router.put('/lead-times/:type', (req, res) => {
+    const db = req.app.locals.db;
+    const { type } = req.params;
+    
+    if (!LEAD_TIME_TYPES.includes(type)) {
+        return res.status(404).json({ error: `Type must be one of: ${LEAD_TIME_TYPES.join(', ')}` });
+    }
+    
+    const parsed = parseLeadTimes(req.body.lead_times);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    saveDefaultLeadTimes(db, type, parsed.leadTimes, (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to update default lead times' });
+        }
+        
+        res.json({ message: 'Default lead times updated successfully', lead_times: parsed.leadTimes });
+    });
+});
+
+// Quiet hours and do-not-disturb, with whether alerts are being held back right now
+router.get('/quiet-hours', (req, res) => {
+    const db = req.app.locals.db;
+    
+    loadQuietHours(db, (err, settings) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch quiet hours' });
+        }
+        
+        const until = quietUntil(settings);
+        res.json({ ...settings, active: !!until, quiet_until: until ? formatDateTime(until) : null });
+    });
+});
+
+// Set quiet hours: { enabled, start: '22:00', end: '07:00', mode: 'defer' | 'silent' }
+router.put('/quiet-hours', (req, res) => {
+    const db = req.app.locals.db;
+    
+    const parsed = parseQuietHours(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    saveQuietHours(db, parsed.quietHours, (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to update quiet hours' });
+        }
+        
+        res.json({ message: 'Quiet hours updated successfully', ...parsed.quietHours });
+    });
+});
+
+// Turn on do-not-disturb for { minutes }
+router.post('/dnd', (req, res) => {
+    const db = req.app.locals.db;
+    const minutes = Number(req.body.minutes);
+    
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DND_MINUTES) {
+        return res.status(400).json({ error: `minutes must be a whole number between 1 and ${MAX_DND_MINUTES}` });
+    }
+    
+    const until = new Date(Date.now() + minutes * 60000);
+    
+    startDoNotDisturb(db, until, (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to turn on do-not-disturb' });
+        }
+        
+        res.json({ message: 'Do-not-disturb turned on', dnd_until: formatDateTime(until) });
+    });
+});
+
+// Turn off do-not-disturb
+router.delete('/dnd', (req, res) => {
+    const db = req.app.locals.db;
+    
+    endDoNotDisturb(db, (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to turn off do-not-disturb' });
+        }
+        
+        res.json({ message: 'Do-not-disturb turned off' });
+    });
+});
+
+// Delivery attempts per channel, optionally filtered by status or notification
+router.get('/deliveries', (req, res) => {
+    const db = req.app.locals.db;
+    const { status, dispatch_id } = req.query;
+    const conditions = [];
+    const params = [];
+    
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    
+    if (status) {
+        conditions.push('d.status = ?');
+        params.push(status);
+    }
+    if (dispatch_id) {
+        conditions.push('d.dispatch_id = ?');
+        params.push(dispatch_id);
+    }
+    
+    const query = `
+        SELECT d.*, n.title, n.source_type, n.source_id, n.due_time
+        FROM notification_deliveries d
+        JOIN notification_dispatches n ON n.id = d.dispatch_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY d.created_at DESC, d.id DESC
+        LIMIT 200
+    `;
+    
+    db.query(query, params, (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch deliveries' });
+        }
+        res.json(results);
+    });
+});
+
+// Try a failed delivery again from scratch
+router.post('/deliveries/:id/retry', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    const query = `
+        UPDATE notification_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+        WHERE id = ? AND status = 'failed'
+    `;
+    
+    db.query(query, [id], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to retry delivery' });
+        }
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Failed delivery not found' });
+        }
+        
+        res.json({ message: 'Delivery queued for retry' });
+    });
+});
+
+// Mark the dose behind a medication notification as taken
+const markNotificationTaken = (db, notification, res) => {
+    if (notification.source_type !== 'medication') {
+        return res.status(400).json({ error: 'Only medication notifications can be marked as taken' });
+    }
+    
+    db.query('UPDATE medications SET taken = TRUE WHERE id = ?', [notification.source_id], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to update medication' });
+        }
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Medication not found' });
+        }
+        
+        const details = { scheduled_time: formatDateTime(new Date(notification.scheduled_time)) };
+        
+        recordDoseEvent(db, notification.source_id, 'taken', details, (err, eventResult, refillReminderId) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to record dose event' });
+            }
+            
+            res.json({
+                message: 'Dose marked as taken',
+                dose_event_id: eventResult.insertId,
+                refill_reminder_id: refillReminderId
+            });
+        });
+    });
+};
+
+// Move the reminder occurrence behind a notification to a new state
+const transitionNotificationReminder = (db, notification, to, options, res) => {
+    transitionReminder(db, notification.source_id, new Date(notification.scheduled_time), to, options, (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to update reminder' });
+        }
+        
+        if (result.error) {
+            return res.status(409).json({ error: result.error });
+        }
+        
+        res.json({
+            message: `Reminder ${to}`,
+            status: to,
+            snooze_until: options.snoozed_until ? formatDateTime(options.snoozed_until) : null
+        });
+    });
+};
+
+// Acknowledge an advance alert ("in 1 day"). The occurrence itself stays open so its
+// later alerts still fire; only a pending snooze of this alert is dropped.
+const acknowledgeAdvanceAlert = (db, notification, res) => {
+    db.query('UPDATE notification_dispatches SET snoozed_until = NULL WHERE id = ?', [notification.id], (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to acknowledge notification' });
+        }
+        res.json({ message: 'Alert acknowledged' });
+    });
+};
+
+// Send a notification again later. Doses are snoozed in the dose log so the skip and
+// snooze history stays complete, and the alert at a reminder's time through its lifecycle
+// state; advance alerts and appointment notifications are re-sent by the scheduler.
+const snoozeNotification = (db, notification, minutes, res) => {
+    if (notification.source_type === 'medication') {
+        const resolved = resolveDoseDetails('snoozed', {
+            minutes,
+            scheduled_time: formatDateTime(new Date(notification.scheduled_time))
+        });
+        if (resolved.error) {
+            return res.status(400).json({ error: resolved.error });
+        }
+        
+        return recordDoseEvent(db, notification.source_id, 'snoozed', resolved.details, (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to snooze dose' });
+            }
+            res.json({ message: 'Dose snoozed', snooze_until: resolved.details.snooze_until });
+        });
+    }
+    
+    if (notification.source_type === 'reminder' && !notification.lead_minutes) {
+        const snoozedUntil = new Date(Date.now() + minutes * 60000);
+        return transitionNotificationReminder(db, notification, 'snoozed', { snoozed_until: snoozedUntil }, res);
+    }
+    
+    const snoozeUntil = formatDateTime(new Date(Date.now() + minutes * 60000));
+    
+    db.query('UPDATE notification_dispatches SET snoozed_until = ? WHERE id = ?', [snoozeUntil, notification.id], (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to snooze notification' });
+        }
+        res.json({ message: 'Notification snoozed', snooze_until: snoozeUntil });
+    });
+};
+
+// Act on a notification: 'taken' (medication doses), 'acknowledge' (reminders) or
+// 'snooze' ({ minutes }, default 10). Used by the buttons on push notifications.
+router.post('/:id/actions/:action', (req, res) => {
+    const db = req.app.locals.db;
+    const { id, action } = req.params;
+    const minutes = req.body.minutes === undefined ? 10 : Number(req.body.minutes);
+    
+    if (!['taken', 'acknowledge', 'snooze'].includes(action)) {
+        return res.status(400).json({ error: 'Action must be taken, acknowledge or snooze' });
+    }
+    
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 720) {
+        return res.status(400).json({ error: 'minutes must be a whole number between 1 and 720' });
+    }
+    
+    db.query('SELECT * FROM notification_dispatches WHERE id = ?', [id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch notification' });
+        }
+        
+        if (results.length === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        
+        if (action === 'taken') {
+            return markNotificationTaken(db, results[0], res);
+        }
+        
+        if (action === 'acknowledge') {
+            if (results[0].source_type !== 'reminder') {
+                return res.status(400).json({ error: 'Only reminder notifications can be acknowledged' });
+            }
+            if (results[0].lead_minutes > 0) {
+                return acknowledgeAdvanceAlert(db, results[0], res);
+            }
+            return transitionNotificationReminder(db, results[0], 'acknowledged', {}, res);
+        }
+        snoozeNotification(db, results[0], minutes, res);
+    });
+});
+
+// Get dispatched notifications for one source (reminder, medication or appointment)
+router.get('/source/:type/:id', (req, res) => {
+    const db = req.app.locals.db;
+    const { type, id } = req.params;
+    
+    const query = `
+        SELECT * FROM notification_dispatches
+        WHERE source_type = ? AND source_id = ?
+        ORDER BY due_time DESC
+    `;
+    
+    db.query(query, [type, id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch notifications' });
+        }
+        res.json(results);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const { parseProvider, findProviderByName } = require('../utils/providers');
+const { syncUpcomingAppointments } = require('../utils/appointmentReminders');
+const { publishRow } = require('../utils/liveEvents');
+
+// Copy a provider's name onto their appointments, after a rename or a merge, and rewrite
+// generated reminders that mention it
+const renameAppointments = (db, providerId, name, callback) => {
+    db.query('SELECT id FROM appointments WHERE provider_id = ? AND doctor <> ?', [providerId, name], (err, results) => {
+        if (err) return callback(err);
+        if (results.length === 0) return callback(null);
+        
+        const ids = results.map(row => row.id);
+        db.query('UPDATE appointments SET doctor = ? WHERE id IN (?)', [name, ids], (err) => {
+            if (err) return callback(err);
+            
+            ids.forEach(id => publishRow(db, 'appointment', 'updated', id));
+            syncUpcomingAppointments(db, (err) => {
+                if (err) console.error('Failed to sync appointment reminders:', err);
+                callback(null);
+            });
+        });
+    });
+};
+
+// Get the directory (?q= searches name, specialty and clinic), with how many appointments
+// and active prescriptions each provider has
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    const search = String(req.query.q || '').trim();
+    
+    const query = `
+        SELECT p.*,
+            (SELECT COUNT(*) FROM appointments a WHERE a.provider_id = p.id) AS appointment_count,
+            (SELECT MIN(a.date_time) FROM appointments a
+             WHERE a.provider_id = p.id AND a.date_time >= NOW() AND a.status IN ('scheduled', 'confirmed', 'rescheduled')) AS next_appointment,
+            (SELECT COUNT(*) FROM medications m WHERE m.prescriber_id = p.id AND m.archived_at IS NULL) AS medication_count
+        FROM providers p
+        ${search ? 'WHERE p.name LIKE ? OR p.specialty LIKE ? OR p.clinic LIKE ?' : ''}
+        ORDER BY p.name ASC
+    `;
+    const params = search ? [`%${search}%`, `%${search}%`, `%${search}%`] : [];
+    
+    db.query(query, params, (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch providers' });
+        }
+        res.json(results);
+    });
+});
+
+// Get a provider with their appointments and the medications they prescribed
+router.get('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    db.query('SELECT * FROM providers WHERE id = ?', [id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch provider' });
+        }
+        
+        if (results.length === 0) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+        
+        db.query('SELECT * FROM appointments WHERE provider_id = ? ORDER BY date_time DESC', [id], (err, appointments) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to fetch provider' });
+            }
+            
+            db.query('SELECT id, name, dosage, frequency, archived_at FROM medications WHERE prescriber_id = ? ORDER BY name', [id], (err, medications) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ error: 'Failed to fetch provider' });
+                }
+                
+                res.json({ ...results[0], appointments, medications });
+            });
+        });
+    });
+});
+
+// Add a provider: { name, specialty, clinic, phone, address, notes }. A name that matches
+// an existing provider ("Smith" for "Dr. Smith") is refused with that provider's id.
+router.post('/', (req, res) => {
+    const db = req.app.locals.db;
+    const parsed = parseProvider(req.body);
+    
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    
+    findProviderByName(db, parsed.provider.name, null, (err, existing) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to add provider' });
+        }
+        
+        if (existing) {
+            return res.status(409).json({ error: `${existing.name} is already in the directory`, id: existing.id });
+        }
+        
+        const { name, specialty, clinic, phone, address, notes } = parsed.provider;
+        const query = 'INSERT INTO providers (name, specialty, clinic, phone, address, notes) VALUES (?, ?, ?, ?, ?, ?)';
+        
+        db.query(query, [name, specialty, clinic, phone, address, notes], (err, result) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to add provider' });
+            }
+            
+            res.status(201).json({
+                message: 'Provider added successfully',
+                id: result.insertId
+            });
+        });
+    });
+});
+
+// Update a provider. Fields left out keep their current value. A new name is copied onto
+// the provider's appointments.
+router.put('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    db.query('SELECT * FROM providers WHERE id = ?', [id], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch provider' });
+        }
+        
+        if (results.length === 0) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+        
+        const parsed = parseProvider({ ...results[0], ...req.body });
+        
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        findProviderByName(db, parsed.provider.name, id, (err, existing) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to update provider' });
+            }
+            
+            if (existing) {
+                return res.status(409).json({ error: `${existing.name} is already in the directory; merge the two instead`, id: existing.id });
+            }
+            
+            const { name, specialty, clinic, phone, address, notes } = parsed.provider;
+            const query = 'UPDATE providers SET name = ?, specialty = ?, clinic = ?, phone = ?, address = ?, notes = ? WHERE id = ?';
+            
+            db.query(query, [name, specialty, clinic, phone, address, notes, id], (err) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ error: 'Failed to update provider' });
+                }
+                
+                renameAppointments(db, id, name, (err) => {
+                    if (err) console.error('Failed to rename provider appointments:', err);
+                    res.json({ message: 'Provider updated successfully' });
+                });
+            });
+        });
+    });
+});
+
+// Merge a duplicate into another provider: { into_id }. Its appointments and prescriptions
+// move over, keeping the other provider's name and details, and the duplicate is deleted.
+router.post('/:id/merge', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    const intoId = Number(req.body.into_id);
+    
+    if (!Number.isInteger(intoId) || intoId === Number(id)) {
+        return res.status(400).json({ error: 'into_id must be another provider' });
+    }
+    
+    db.query('SELECT * FROM providers WHERE id IN (?)', [[id, intoId]], (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch providers' });
+        }
+        
+        const target = results.find(provider => provider.id === intoId);
+        if (results.length < 2 || !target) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+        
+        db.query('UPDATE appointments SET provider_id = ? WHERE provider_id = ?', [intoId, id], (err, moved) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to merge providers' });
+            }
+            
+            db.query('UPDATE medications SET prescriber_id = ? WHERE prescriber_id = ?', [intoId, id], (err, prescriptions) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ error: 'Failed to merge providers' });
+                }
+                
+                db.query('DELETE FROM providers WHERE id = ?', [id], (err) => {
+                    if (err) {
+                        console.error(err);
+                        return res.status(500).json({ error: 'Failed to merge providers' });
+                    }
+                    
+                    renameAppointments(db, intoId, target.name, (err) => {
+                        if (err) console.error('Failed to rename provider appointments:', err);
+                        
+                        res.json({
+                            message: `Merged into ${target.name}`,
+                            appointments_moved: moved.affectedRows,
+                            medications_moved: prescriptions.affectedRows
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Remove a provider. Their appointments keep the name, and prescriptions lose the prescriber.
+router.delete('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    
+    db.query('DELETE FROM providers WHERE id = ?', [req.params.id], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to delete provider' });
+        }
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+        
+        res.json({ message: 'Provider deleted successfully' });
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { getVapidKeys } = require('../utils/vapid');
+
+// Public VAPID key the browser needs to subscribe
+router.get('/vapid-public-key', (req, res) => {
+    const keys = getVapidKeys();
+    
+    if (!keys) {
+        return res.status(503).json({ error: 'Web push keys are not ready yet' });
+    }
+    
+    res.json({ publicKey: keys.publicKey });
+});
+
+// Save a browser's push subscription (PushSubscription.toJSON())
+router.post('/subscribe', (req, res) => {
+    const db = req.app.locals.db;
+    const { subscription } = req.body;
+    
+    if (!subscription || !subscription.endpoint || !subscription.keys ||
+        !subscription.keys.p256dh || !subscription.keys.auth) {
+        return res.status(400).json({ error: 'subscription with endpoint and keys (p256dh, auth) is required' });
+    }
+    
+    const query = `
+        INSERT INTO push_subscriptions (endpoint, p256dh, auth, user_agent)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE p256dh = VALUES(p256dh), auth = VALUES(auth), user_agent = VALUES(user_agent)
+    `;
+    
+    db.query(query, [
+        subscription.endpoint,
+        subscription.keys.p256dh,
+        subscription.keys.auth,
+        (req.get('User-Agent') || '').slice(0, 255)
+    ], (err) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to save push subscription' });
+        }
+        
+        res.status(201).json({ message: 'Push subscription saved successfully' });
+    });
+});
+
+// Remove a browser's push subscription
+router.post('/unsubscribe', (req, res) => {
+    const db = req.app.locals.db;
+    const { endpoint } = req.body;
+    
+    if (!endpoint) {
+        return res.status(400).json({ error: 'endpoint is required' });
+    }
+    
+    db.query('DELETE FROM push_subscriptions WHERE endpoint = ?', [endpoint], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to remove push subscription' });
+        }
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Push subscription not found' });
+        }
+        
+        res.json({ message: 'Push subscription removed successfully' });
+    });
+});
+
+// Number of subscribed browsers
+router.get('/subscriptions/count', (req, res) => {
+    const db = req.app.locals.db;
+    
+    db.query('SELECT COUNT(*) AS total FROM push_subscriptions', (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to count push subscriptions' });
+        }
+        
+        res.json(results[0]);
+    });
+});
+
+module.exports = router;
@@ -1,18 +1,139 @@
 const express = require('express');
 const router = express.Router();
+const { formatDate, formatDateTime, addDays } = require('../utils/dates');
+const { parseDateRange } = require('../utils/schedule');
+const { parseRRule, formatRRule, isOccurrence } = require('../utils/rrule');
+const {
+    REMINDER_CATEGORIES,
+    REMINDER_PRIORITIES,
+    resolveReminderDetails,
+    getReminderRule,
+    describeReminder,
+    fetchReminderOccurrences
+} = require('../utils/reminders');
+const { MAX_SNOOZE_MINUTES, attachReminderStates, transitionReminder } = require('../utils/reminderStates');
+const { resolveLeadTimes } = require('../utils/leadTimes');
+const { publish } = require('../utils/liveEvents');
 
-// Get all reminders
+// Validate an optional rrule from a request body. Returns { rrule } (canonical string or null) or { error }.
+const resolveRRule = (rrule) => {
+    if (rrule === undefined || rrule === null || rrule === '') {
+        return { rrule: null };
+    }
+    
+    const parsed = parseRRule(rrule);
+    if (parsed.error) {
+        return { error: `Invalid recurrence: ${parsed.error}` };
+    }
+    
+    return { rrule: formatRRule(parsed.rule) };
+};
+
+// Parse an occurrence key from the URL ('YYYY-MM-DDTHH:MM:SS' or with a space), or null
+const parseOccurrenceTime = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value || '');
+    if (!match) return null;
+    
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+// Reminder occurrences over [start, end) with their lifecycle state
+const fetchOccurrencesWithStates = (db, start, end, callback) => {
+    fetchReminderOccurrences(db, start, end, (err, occurrences) => {
+        if (err) return callback(err);
+        attachReminderStates(db, occurrences, callback);
+    });
+};
+
+// Reminder rows with the medication or appointment they belong to
+const REMINDER_SELECT = `
+    SELECT r.*, m.name AS medication_name, a.doctor AS appointment_doctor, a.date_time AS appointment_time
+    FROM reminders r
+    LEFT JOIN medications m ON m.id = r.medication_id
+    LEFT JOIN appointments a ON a.id = r.appointment_id
+`;
+
+// A linked parent that does not exist fails the foreign key
+const isMissingParent = (err) => err.code === 'ER_NO_REFERENCED_ROW_2';
+
+// A reminder row as the list shows it
+const toListItem = (reminder) => ({
+    ...reminder,
+    reminder_id: reminder.id,
+    occurrence_time: null,
+    recurrence: describeReminder(reminder)
+});
+
+// Tell open tabs about a changed reminder, shaped like GET / returns it
+const publishReminder = (db, action, id) => {
+    db.query(`${REMINDER_SELECT} WHERE r.id = ?`, [id], (err, results) => {
+        if (err) return console.error(`Failed to publish reminder ${id}:`, err);
+        if (results.length === 0) return;
+        
+        const reminder = toListItem(results[0]);
+        attachReminderStates(db, reminder.rrule ? [] : [reminder], (err, withState) => {
+            if (err) return console.error(`Failed to publish reminder ${id}:`, err);
+            publish('reminder', action, id, withState.length > 0 ? withState[0] : reminder);
+        });
+    });
+};
+
+// Get all reminders (recurring series appear once, with a readable recurrence).
+// One-off reminders carry their lifecycle state; a series' states are per occurrence.
+// Filters: category, priority, medication_id, appointment_id
 router.get('/', (req, res) => {
     const db = req.app.locals.db;
+    const { category, priority, medication_id, appointment_id } = req.query;
+    const conditions = [];
+    const params = [];
     
-    const query = 'SELECT * FROM reminders ORDER BY date_time ASC';
+    if (category && !REMINDER_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `Category must be one of: ${REMINDER_CATEGORIES.join(', ')}` });
+    }
+    if (priority && !REMINDER_PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: `Priority must be one of: ${REMINDER_PRIORITIES.join(', ')}` });
+    }
     
-    db.query(query, (err, results) => {
+    if (category) {
+        conditions.push('r.category = ?');
+        params.push(category);
+    }
+    if (priority) {
+        conditions.push('r.priority = ?');
+        params.push(priority);
+    }
+    if (medication_id) {
+        conditions.push('r.medication_id = ?');
+        params.push(medication_id);
+    }
+    if (appointment_id) {
+        conditions.push('r.appointment_id = ?');
+        params.push(appointment_id);
+    }
+    
+    const query = `
+        ${REMINDER_SELECT}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY r.date_time ASC
+    `;
+    
+    db.query(query, params, (err, results) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch reminders' });
         }
-        res.json(results);
+        
+        const reminders = results.map(toListItem);
+        
+        attachReminderStates(db, reminders.filter(reminder => !reminder.rrule), (err, oneOffs) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to fetch reminder states' });
+            }
+            
+            res.json(reminders.map(reminder => oneOffs.find(oneOff => oneOff.id === reminder.id) || reminder));
+        });
     });
 });
 
@@ -21,7 +142,7 @@ router.get('/:id', (req, res) => {
     const db = req.app.locals.db;
     const { id } = req.params;
     
-    const query = 'SELECT * FROM reminders WHERE id = ?';
+    const query = `${REMINDER_SELECT} WHERE r.id = ?`;
     
     db.query(query, [id], (err, results) => {
         if (err) {
@@ -33,50 +154,65 @@ router.get('/:id', (req, res) => {
             return res.status(404).json({ error: 'Reminder not found' });
         }
         
-        res.json(results[0]);
+        res.json({ ...results[0], recurrence: describeReminder(results[0]) });
     });
 });
 
-// Get today's reminders
+// Get today's reminders, with recurring reminders expanded into today's occurrences
 router.get('/today/list', (req, res) => {
     const db = req.app.locals.db;
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
     
-    const query = `
-        SELECT * FROM reminders 
-        WHERE DATE(date_time) = CURDATE() 
-        ORDER BY date_time ASC
-    `;
-    
-    db.query(query, (err, results) => {
+    fetchOccurrencesWithStates(db, start, addDays(start, 1), (err, occurrences) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch today\'s reminders' });
         }
-        res.json(results);
+        res.json(occurrences);
     });
 });
 
-// Get upcoming reminders (next 7 days)
+// Get upcoming reminders (next 7 days), with recurring reminders expanded
 router.get('/upcoming/week', (req, res) => {
     const db = req.app.locals.db;
+    const now = new Date();
     
-    const query = `
-        SELECT * FROM reminders 
-        WHERE date_time >= NOW() 
-        AND date_time <= DATE_ADD(NOW(), INTERVAL 7 DAY)
-        ORDER BY date_time ASC
-    `;
-    
-    db.query(query, (err, results) => {
+    fetchOccurrencesWithStates(db, now, new Date(now.getTime() + 7 * 86400000 + 1000), (err, occurrences) => {
         if (err) {
             console.error(err);
             return res.status(500).json({ error: 'Failed to fetch upcoming reminders' });
         }
-        res.json(results);
+        res.json(occurrences);
+    });
+});
+
+// Occurrences of a single reminder over a date range (defaults to the next 30 days)
+router.get('/:id/occurrences', (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    const today = new Date();
+    const startDate = req.query.start_date || formatDate(today);
+    const endDate = req.query.end_date || formatDate(addDays(today, 29));
+    const range = parseDateRange(startDate, endDate);
+    
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    
+    fetchOccurrencesWithStates(db, range.start, range.end, (err, occurrences) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch reminder occurrences' });
+        }
+        res.json(occurrences.filter(occurrence => occurrence.reminder_id === Number(id)));
     });
 });
 
-// Add new reminder
+// Add new reminder (rrule makes it a recurring series starting at date_time;
+// lead_times lists advance alerts in minutes, e.g. [1440, 120], instead of the default;
+// critical alerts break through quiet hours; medication_id or appointment_id ties it to
+// what it is about, and category and priority sort it)
 router.post('/', (req, res) => {
     const db = req.app.locals.db;
     const { title, date_time, notes } = req.body;
@@ -85,14 +221,49 @@ router.post('/', (req, res) => {
         return res.status(400).json({ error: 'Title and date_time are required' });
     }
     
-    const query = 'INSERT INTO reminders (title, date_time, notes) VALUES (?, ?, ?)';
+    const recurrence = resolveRRule(req.body.rrule);
+    if (recurrence.error) {
+        return res.status(400).json({ error: recurrence.error });
+    }
+    
+    const alerts = resolveLeadTimes(req.body.lead_times);
+    if (alerts.error) {
+        return res.status(400).json({ error: alerts.error });
+    }
     
-    db.query(query, [title, date_time, notes || null], (err, result) => {
+    const resolved = resolveReminderDetails(req.body);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const { category, priority, medication_id, appointment_id } = resolved.details;
+    
+    const query = `
+        INSERT INTO reminders (title, date_time, notes, rrule, lead_times, critical, category, priority, medication_id, appointment_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const leadTimes = alerts.leadTimes ? JSON.stringify(alerts.leadTimes) : null;
+    
+    db.query(query, [
+        title,
+        date_time,
+        notes || null,
+        recurrence.rrule,
+        leadTimes,
+        !!req.body.critical,
+        category,
+        priority,
+        medication_id,
+        appointment_id
+    ], (err, result) => {
         if (err) {
+            if (isMissingParent(err)) {
+                return res.status(404).json({ error: 'Linked medication or appointment not found' });
+            }
             console.error(err);
             return res.status(500).json({ error: 'Failed to add reminder' });
         }
         
+        publishReminder(db, 'created', result.insertId);
         res.status(201).json({
             message: 'Reminder added successfully',
             id: result.insertId
@@ -100,47 +271,234 @@ router.post('/', (req, res) => {
     });
 });
 
-// Update reminder
+// Update reminder (the whole series when it recurs; rrule, lead_times, critical, category,
+// priority and the medication/appointment link are only changed when sent)
 router.put('/:id', (req, res) => {
     const db = req.app.locals.db;
     const { id } = req.params;
     const { title, date_time, notes } = req.body;
     
-    const query = 'UPDATE reminders SET title = ?, date_time = ?, notes = ? WHERE id = ?';
+    const recurrence = resolveRRule(req.body.rrule);
+    if (recurrence.error) {
+        return res.status(400).json({ error: recurrence.error });
+    }
+    
+    const alerts = resolveLeadTimes(req.body.lead_times);
+    if (alerts.error) {
+        return res.status(400).json({ error: alerts.error });
+    }
     
-    db.query(query, [title, date_time, notes, id], (err, result) => {
+    db.query('SELECT * FROM reminders WHERE id = ?', [id], (err, existing) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ error: 'Failed to update reminder' });
+            return res.status(500).json({ error: 'Failed to fetch reminder' });
         }
         
-        if (result.affectedRows === 0) {
+        if (existing.length === 0) {
             return res.status(404).json({ error: 'Reminder not found' });
         }
         
-        res.json({ message: 'Reminder updated successfully' });
+        const resolved = resolveReminderDetails(req.body, existing[0]);
+        if (resolved.error) {
+            return res.status(400).json({ error: resolved.error });
+        }
+        const { category, priority, medication_id, appointment_id } = resolved.details;
+        
+        const sets = [
+            'title = ?', 'date_time = ?', 'notes = ?',
+            'category = ?', 'priority = ?', 'medication_id = ?', 'appointment_id = ?'
+        ];
+        const params = [title, date_time, notes, category, priority, medication_id, appointment_id];
+        
+        if (req.body.rrule !== undefined) {
+            sets.push('rrule = ?');
+            params.push(recurrence.rrule);
+        }
+        if (req.body.lead_times !== undefined) {
+            sets.push('lead_times = ?');
+            params.push(alerts.leadTimes ? JSON.stringify(alerts.leadTimes) : null);
+        }
+        if (req.body.critical !== undefined) {
+            sets.push('critical = ?');
+            params.push(!!req.body.critical);
+        }
+        
+        const query = `UPDATE reminders SET ${sets.join(', ')} WHERE id = ?`;
+        params.push(id);
+        
+        db.query(query, params, (err, result) => {
+            if (err) {
+                if (isMissingParent(err)) {
+                    return res.status(404).json({ error: 'Linked medication or appointment not found' });
+                }
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to update reminder' });
+            }
+            
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: 'Reminder not found' });
+            }
+            
+            publishReminder(db, 'updated', id);
+            res.json({ message: 'Reminder updated successfully' });
+        });
     });
 });
 
-// Mark reminder as notified
-router.put('/:id/notify', (req, res) => {
-    const db = req.app.locals.db;
-    const { id } = req.params;
+// Load a reminder and check that the given occurrence belongs to it. With allowOneOff, a
+// one-off reminder stands for its only occurrence and no occurrence needs to be given.
+// Calls back with (status, error) on failure or (null, null, reminder, occurrenceTime).
+const findOccurrence = (db, id, occurrenceParam, allowOneOff, callback) => {
+    const occurrenceTime = parseOccurrenceTime(occurrenceParam);
     
-    const query = 'UPDATE reminders SET notified = TRUE WHERE id = ?';
+    if (!occurrenceTime && !(allowOneOff && !occurrenceParam)) {
+        return callback(400, 'Occurrence must look like 2025-01-31T09:00:00');
+    }
     
-    db.query(query, [id], (err, result) => {
+    db.query('SELECT * FROM reminders WHERE id = ?', [id], (err, results) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ error: 'Failed to update reminder' });
+            return callback(500, 'Failed to fetch reminder');
         }
         
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Reminder not found' });
+        if (results.length === 0) {
+            return callback(404, 'Reminder not found');
+        }
+        
+        const rule = getReminderRule(results[0]);
+        if (!rule && allowOneOff) {
+            return callback(null, null, results[0], new Date(results[0].date_time));
+        }
+        
+        if (!rule) {
+            return callback(400, 'Reminder does not repeat; update it directly instead');
         }
         
-        res.json({ message: 'Reminder marked as notified' });
+        if (!occurrenceTime) {
+            return callback(400, 'occurrence_time is required for a repeating reminder');
+        }
+        
+        if (!isOccurrence(rule, new Date(results[0].date_time), occurrenceTime)) {
+            return callback(404, 'Reminder has no occurrence at that time');
+        }
+        
+        callback(null, null, results[0], occurrenceTime);
     });
+};
+
+// Edit a single occurrence of a recurring reminder (date_time, title, notes)
+router.put('/:id/occurrences/:occurrence', (req, res) => {
+    const db = req.app.locals.db;
+    const { id, occurrence } = req.params;
+    const { date_time, title, notes } = req.body;
+    
+    if (!date_time && !title && notes === undefined) {
+        return res.status(400).json({ error: 'Provide date_time, title or notes to change' });
+    }
+    
+    findOccurrence(db, id, occurrence, false, (status, error, reminder, occurrenceTime) => {
+        if (status) {
+            return res.status(status).json({ error });
+        }
+        
+        const query = `
+            INSERT INTO reminder_overrides (reminder_id, occurrence_time, date_time, title, notes, cancelled)
+            VALUES (?, ?, ?, ?, ?, FALSE)
+            ON DUPLICATE KEY UPDATE
+                date_time = VALUES(date_time), title = VALUES(title), notes = VALUES(notes), cancelled = FALSE
+        `;
+        
+        db.query(query, [
+            reminder.id,
+            formatDateTime(occurrenceTime),
+            date_time || null,
+            title || null,
+            notes === undefined ? null : notes
+        ], (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to update occurrence' });
+            }
+            
+            publishReminder(db, 'updated', reminder.id);
+            res.json({ message: 'Occurrence updated successfully' });
+        });
+    });
+});
+
+// Cancel a single occurrence of a recurring reminder
+router.delete('/:id/occurrences/:occurrence', (req, res) => {
+    const db = req.app.locals.db;
+    const { id, occurrence } = req.params;
+    
+    findOccurrence(db, id, occurrence, false, (status, error, reminder, occurrenceTime) => {
+        if (status) {
+            return res.status(status).json({ error });
+        }
+        
+        const query = `
+            INSERT INTO reminder_overrides (reminder_id, occurrence_time, cancelled)
+            VALUES (?, ?, TRUE)
+            ON DUPLICATE KEY UPDATE cancelled = TRUE
+        `;
+        
+        db.query(query, [reminder.id, formatDateTime(occurrenceTime)], (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to cancel occurrence' });
+            }
+            
+            publishReminder(db, 'updated', reminder.id);
+            res.json({ message: 'Occurrence cancelled successfully' });
+        });
+    });
+});
+
+// Move a reminder occurrence to a new lifecycle state and send back the result
+const transitionOccurrence = (req, res, to, options) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    
+    findOccurrence(db, id, req.body.occurrence_time, true, (status, error, reminder, occurrenceTime) => {
+        if (status) {
+            return res.status(status).json({ error });
+        }
+        
+        transitionReminder(db, reminder.id, occurrenceTime, to, options, (err, result) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to update reminder state' });
+            }
+            
+            if (result.error) {
+                return res.status(409).json({ error: result.error });
+            }
+            
+            res.json({
+                message: `Reminder ${to}`,
+                occurrence_time: formatDateTime(occurrenceTime),
+                previous_status: result.from,
+                status: to,
+                snoozed_until: options.snoozed_until ? formatDateTime(options.snoozed_until) : null
+            });
+        });
+    });
+};
+
+// Acknowledge a reminder ({ occurrence_time } picks the occurrence of a repeating one)
+router.post('/:id/acknowledge', (req, res) => {
+    transitionOccurrence(req, res, 'acknowledged', {});
+});
+
+// Snooze a reminder for { minutes } (default 10); it is sent again when the snooze runs out
+router.post('/:id/snooze', (req, res) => {
+    const minutes = req.body.minutes === undefined ? 10 : Number(req.body.minutes);
+    
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+        return res.status(400).json({ error: `minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}` });
+    }
+    
+    transitionOccurrence(req, res, 'snoozed', { snoozed_until: new Date(Date.now() + minutes * 60000) });
 });
 
 // Delete reminder
@@ -160,6 +518,7 @@ router.delete('/:id', (req, res) => {
             return res.status(404).json({ error: 'Reminder not found' });
         }
         
+        publish('reminder', 'deleted', id);
         res.json({ message: 'Reminder deleted successfully' });
     });
 });
@@ -173,7 +532,9 @@ router.get('/stats/count', (req, res) => {
             COUNT(*) as total,
             SUM(CASE WHEN DATE(date_time) = CURDATE() THEN 1 ELSE 0 END) as today,
             SUM(CASE WHEN date_time >= NOW() THEN 1 ELSE 0 END) as upcoming,
-            SUM(CASE WHEN date_time < NOW() THEN 1 ELSE 0 END) as past
+            SUM(CASE WHEN date_time < NOW() THEN 1 ELSE 0 END) as past,
+            (SELECT COUNT(*) FROM reminder_states WHERE status = 'acknowledged') as acknowledged,
+            (SELECT COUNT(*) FROM reminder_states WHERE status = 'missed') as missed
         FROM reminders
     `;
     
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const { parseDateRange } = require('../utils/schedule');
+const { formatDateTime } = require('../utils/dates');
+
+const PREDICTION_LENGTH = 255;
+
+// Get symptom checks, newest first (?start_date=&end_date= limits them to those days)
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    const { start_date, end_date } = req.query;
+    let query = 'SELECT * FROM symptom_checks ORDER BY checked_at DESC';
+    let params = [];
+    
+    if (start_date || end_date) {
+        const range = parseDateRange(start_date, end_date);
+        
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+        
+        query = 'SELECT * FROM symptom_checks WHERE checked_at >= ? AND checked_at < ? ORDER BY checked_at DESC';
+        params = [formatDateTime(range.start), formatDateTime(range.end)];
+    }
+    
+    db.query(query, params, (err, results) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to fetch symptom checks' });
+        }
+        res.json(results);
+    });
+});
+
+// Record a check made in the AI assistant:
+// { symptoms, matched_symptoms: [...], top_prediction, probability (0-1) }
+router.post('/', (req, res) => {
+    const db = req.app.locals.db;
+    const symptoms = String(req.body.symptoms || '').trim();
+    const matched = req.body.matched_symptoms;
+    const prediction = String(req.body.top_prediction || '').trim() || null;
+    const probability = req.body.probability === undefined || req.body.probability === null
+        ? null
+        : Number(req.body.probability);
+    
+    if (!symptoms) {
+        return res.status(400).json({ error: 'symptoms is required' });
+    }
+    
+    if (matched !== undefined && matched !== null && !(Array.isArray(matched) && matched.every(item => typeof item === 'string'))) {
+        return res.status(400).json({ error: 'matched_symptoms must be a list of symptoms' });
+    }
+    
+    if (prediction && prediction.length > PREDICTION_LENGTH) {
+        return res.status(400).json({ error: `top_prediction can be at most ${PREDICTION_LENGTH} characters` });
+    }
+    
+    if (probability !== null && !(probability >= 0 && probability <= 1)) {
+        return res.status(400).json({ error: 'probability must be between 0 and 1' });
+    }
+    
+    const query = 'INSERT INTO symptom_checks (symptoms, matched_symptoms, top_prediction, probability) VALUES (?, ?, ?, ?)';
+    
+    db.query(query, [symptoms, matched ? JSON.stringify(matched) : null, prediction, probability], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to record symptom check' });
+        }
+        
+        res.status(201).json({
+            message: 'Symptom check recorded',
+            id: result.insertId
+        });
+    });
+});
+
+// Delete a symptom check
+router.delete('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    
+    db.query('DELETE FROM symptom_checks WHERE id = ?', [req.params.id], (err, result) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to delete symptom check' });
+        }
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Symptom check not found' });
+        }
+        
+        res.json({ message: 'Symptom check deleted successfully' });
+    });
+});
+
+module.exports = router;
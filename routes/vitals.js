@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { publish, publishRow } = require('../utils/liveEvents');
 
 // Get all vital signs records
 router.get('/', (req, res) => {
@@ -106,6 +107,7 @@ router.post('/', (req, res) => {
             return res.status(500).json({ error: 'Failed to add vital signs' });
         }
         
+        publishRow(db, 'vital', 'created', result.insertId);
         res.status(201).json({
             message: 'Vital signs recorded successfully',
             id: result.insertId
@@ -135,6 +137,7 @@ router.put('/:id', (req, res) => {
             return res.status(404).json({ error: 'Vital record not found' });
         }
         
+        publishRow(db, 'vital', 'updated', id);
         res.json({ message: 'Vital signs updated successfully' });
     });
 });
@@ -156,6 +159,7 @@ router.delete('/:id', (req, res) => {
             return res.status(404).json({ error: 'Vital record not found' });
         }
         
+        publish('vital', 'deleted', id);
         res.json({ message: 'Vital record deleted successfully' });
     });
 });
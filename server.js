@@ -4,6 +4,12 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 require('dotenv').config();
+const { backfillDosages } = require('./utils/dosage');
+const { loadVapidKeys } = require('./utils/vapid');
+const { archiveExpiredCourses } = require('./utils/courses');
+const { dispatcher, startScheduler } = require('./utils/scheduler');
+const { startDeliveryWorker } = require('./utils/notifications');
+const { publish } = require('./utils/liveEvents');
 
 const app = express();
 
@@ -43,12 +49,33 @@ const connectWithRetry = () => {
         
         // Verify tables exist
         verifyTables();
+        
+        // Structure free-text dosages saved before dosage parsing existed
+        backfillDosages(db, (err, result) => {
+            if (err) {
+                console.error('Dosage backfill failed:', err.message);
+                return;
+            }
+            if (result.updated > 0) {
+                console.log(`✅ Structured ${result.updated} existing medication dosage(s)`);
+            }
+            result.unparsed.forEach(row => {
+                console.warn(`⚠️  Medication ${row.id} has an unrecognised dosage "${row.dosage}". Please edit it.`);
+            });
+        });
+        
+        // Web push needs a VAPID key pair before any browser can subscribe
+        loadVapidKeys(db, (err) => {
+            if (err) {
+                console.error('Failed to load VAPID keys, web push is disabled:', err.message);
+            }
+        });
     });
 };
 
 // Verify all required tables exist
 const verifyTables = () => {
-    const tables = ['medications', 'reminders', 'vitals', 'appointments'];
+    const tables = ['providers', 'medications', 'dose_events', 'medication_versions', 'reminders', 'reminder_overrides', 'reminder_states', 'notification_dispatches', 'notification_deliveries', 'notification_channels', 'notification_preferences', 'push_subscriptions', 'app_settings', 'caregivers', 'escalations', 'vitals', 'symptom_checks', 'appointments'];
     
     tables.forEach(table => {
         db.query(`SHOW TABLES LIKE '${table}'`, (err, results) => {
@@ -85,15 +112,29 @@ app.locals.db = db;
 
 // Import Routes
 const medicationRoutes = require('./routes/medications');
+const doseRoutes = require('./routes/doses');
 const reminderRoutes = require('./routes/reminders');
 const vitalRoutes = require('./routes/vitals');
 const appointmentRoutes = require('./routes/appointments');
+const notificationRoutes = require('./routes/notifications');
+const pushRoutes = require('./routes/push');
+const caregiverRoutes = require('./routes/caregivers');
+const providerRoutes = require('./routes/providers');
+const symptomCheckRoutes = require('./routes/symptomChecks');
+const eventRoutes = require('./routes/events');
 
 // Use Routes
 app.use('/api/medications', medicationRoutes);
+app.use('/api/doses', doseRoutes);
 app.use('/api/reminders', reminderRoutes);
 app.use('/api/vitals', vitalRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/caregivers', caregiverRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/symptom-checks', symptomCheckRoutes);
+app.use('/api/events', eventRoutes);
 
 // checks wether the server is running
 app.get('/health', (req, res) => {
@@ -158,7 +199,7 @@ const getDashboardStats = () => {
             vitals: 'SELECT COUNT(*) as total FROM vitals',
             appointments: `SELECT 
                 COUNT(*) as total,
-                SUM(CASE WHEN date_time >= NOW() THEN 1 ELSE 0 END) as upcoming
+                SUM(CASE WHEN date_time >= NOW() AND status IN ('scheduled', 'confirmed', 'rescheduled') THEN 1 ELSE 0 END) as upcoming
                 FROM appointments`
         };
 
@@ -228,8 +269,21 @@ const getDashboardStats = () => {
 app.get('/api/export-data', (req, res) => {
     const exportQueries = {
         medications: 'SELECT * FROM medications',
+        dose_events: 'SELECT * FROM dose_events',
+        medication_versions: 'SELECT * FROM medication_versions',
         reminders: 'SELECT * FROM reminders',
+        reminder_overrides: 'SELECT * FROM reminder_overrides',
+        reminder_states: 'SELECT * FROM reminder_states',
+        notification_dispatches: 'SELECT * FROM notification_dispatches',
+        notification_deliveries: 'SELECT * FROM notification_deliveries',
+        notification_channels: 'SELECT * FROM notification_channels',
+        notification_preferences: 'SELECT * FROM notification_preferences',
+        caregivers: 'SELECT * FROM caregivers',
+        // Tokens are left out: they let anyone acknowledge on the patient's behalf
+        escalations: 'SELECT id, source_type, source_id, scheduled_time, dispatch_id, caregiver_id, status, last_error, created_at, sent_at, acknowledged_at FROM escalations',
         vitals: 'SELECT * FROM vitals',
+        symptom_checks: 'SELECT * FROM symptom_checks',
+        providers: 'SELECT * FROM providers',
         appointments: 'SELECT * FROM appointments'
     };
 
@@ -343,9 +397,16 @@ app.get('/api', (req, res) => {
         version: '1.0.0',
         endpoints: {
             medications: '/api/medications',
+            doses: '/api/doses',
             reminders: '/api/reminders',
             vitals: '/api/vitals',
             appointments: '/api/appointments',
+            notifications: '/api/notifications',
+            push: '/api/push',
+            caregivers: '/api/caregivers',
+            providers: '/api/providers',
+            symptom_checks: '/api/symptom-checks',
+            events: '/api/events',
             dashboard: '/api/dashboard-stats',
             health: '/health',
             system: '/api/system-info'
@@ -452,6 +513,25 @@ app.use('*', (req, res) => {
     }
 });
 
+// Fire due reminders, medication doses and appointments from the server,
+// so alerts go out even when no browser tab is open
+startDeliveryWorker(db, dispatcher, () => db.state === 'connected');
+dispatcher.on('dispatch', (notification) => publish('notification', 'fired', notification.id, notification));
+startScheduler(db, () => db.state === 'connected');
+
+// Archive medications whose course has ended (also done lazily when listing medications)
+setInterval(() => {
+    if (db.state !== 'connected') return;
+    
+    archiveExpiredCourses(db, (err, archived) => {
+        if (err) {
+            console.error('Failed to archive expired courses:', err);
+        } else if (archived > 0) {
+            console.log(`📦 Archived ${archived} finished medication course(s)`);
+        }
+    });
+}, 3600000);
+
 // Graceful shutdown handling
 process.on('SIGINT', () => {
     console.log('\n🛑 Received SIGINT. Shutting down gracefully...');
@@ -19,6 +19,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const API_BASE = window.location.origin; // Use same origin as the page
     const PREDICT_API = `${API_BASE}/api/predict`;
     const SYMPTOMS_API = `${API_BASE}/api/symptoms`;
+    const SYMPTOM_CHECKS_API = `${API_BASE}/api/symptom-checks`;
     
     console.log('API Base:', API_BASE);
     
@@ -189,6 +190,7 @@ document.addEventListener('DOMContentLoaded', function() {
             
             if (data.status === 'success' && data.messages) {
                 displayAIMessages(data.messages);
+                recordSymptomCheck(symptoms, data.raw_results);
             } else {
                 throw new Error(data.error || 'Unknown error occurred');
             }
@@ -207,6 +209,25 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    /**
+     * Keep the check in the tracker so it shows up in pre-visit summaries.
+     * Failing to save it does not affect the conversation.
+     */
+    function recordSymptomCheck(symptoms, results) {
+        const top = results && results.top_prediction;
+        
+        fetch(SYMPTOM_CHECKS_API, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                symptoms,
+                matched_symptoms: results && Array.isArray(results.matched_symptoms) ? results.matched_symptoms : null,
+                top_prediction: top ? top.disease : null,
+                probability: top && typeof top.probability === 'number' ? top.probability : null
+            })
+        }).catch(error => console.warn('Could not save symptom check:', error));
+    }
+
     /**
      * Display AI response messages
      */
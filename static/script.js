@@ -3,13 +3,38 @@ const API_URL = 'http://localhost:3000/api';
 
 // Data Storage (for local cache)
 let medications = [];
+let archivedMedications = [];
+let todayDoses = [];
+
+// Reasons the server accepts for a skipped dose
+const SKIP_REASONS = {
+    side_effects: 'Side effects',
+    forgot: 'Forgot',
+    out_of_stock: 'Out of stock',
+    felt_better: 'Felt better',
+    doctor_advised: 'Doctor advised',
+    other: 'Other'
+};
+let adherence = null;
 let reminders = [];
+let todayReminders = [];
+let upcomingReminders = [];
 let vitals = [];
 let appointments = [];
 
 // Audio context for sound alerts
 let audioContext;
-let hasPlayedSound = new Set(); // Track which reminders have played sound
+let lastNotificationId = null; // Newest server notification already shown
+let notificationChannels = [];
+let notificationPreferences = {};
+let defaultLeadTimes = {};
+let quietHours = null; // Quiet hours / do-not-disturb status from the server
+let deferredNotifications = []; // Alerts held back until quiet time ends
+let caregivers = [];
+let escalations = [];
+let providers = [];
+let editingProviderId = null; // Provider loaded into the directory form for editing
+let liveUpdates = null; // EventSource for changes made in other tabs and by the server
 
 // Initialize app on load
 document.addEventListener('DOMContentLoaded', function() {
@@ -26,13 +51,16 @@ async function initializeApp() {
         // Load all data
         await loadData();
         
+        // Patch lists as changes come in from other tabs, devices and the scheduler
+        connectLiveUpdates();
+        
         // Initialize notification system
-        checkReminders();
+        checkNotifications();
         requestNotificationPermission();
         initAudioContext();
         
         // Set up periodic checks
-        setInterval(checkReminders, 60000); // Check every minute
+        setInterval(checkNotifications, 30000); // The server scheduler decides what is due
         setInterval(updateStatistics, 30000); // Update stats every 30 seconds
         
         console.log('✅ Medical Tracker initialized successfully');
@@ -146,9 +174,14 @@ async function loadData() {
         await Promise.all([
             loadMedications(),
             loadReminders(),
+            loadNotificationSettings(),
+            loadCaregivers(),
             loadVitals(),
-            loadAppointments()
+            loadAppointments(),
+            loadAppointmentTemplate(),
+            loadProviders()
         ]);
+        await loadAdherence();
         
         updateStatistics();
         console.log('✅ All data loaded successfully');
@@ -197,24 +230,29 @@ function updateStatistics() {
         // Update medication count
         document.getElementById('totalMeds').textContent = medications.length;
         
-        // Update today's reminders
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const todayReminders = reminders.filter(r => {
-            const reminderDate = new Date(r.date_time);
-            reminderDate.setHours(0, 0, 0, 0);
-            return reminderDate.getTime() === today.getTime();
-        });
+        // Update today's reminders (recurring reminders count once per occurrence today)
         document.getElementById('todayReminders').textContent = todayReminders.length;
         
         // Update upcoming appointments
-        const upcomingAppointments = appointments.filter(a => new Date(a.date_time) >= new Date());
+        const upcomingAppointments = appointments.filter(a => new Date(a.date_time) >= new Date() && OPEN_APPOINTMENT_STATUSES.includes(a.status));
         document.getElementById('upcomingAppointments').textContent = upcomingAppointments.length;
         
         // Update vital records
         document.getElementById('vitalRecords').textContent = vitals.length;
         
+        // Update adherence cards
+        if (adherence) {
+            const { overall, medications: medAdherence, daily } = adherence;
+            const bestStreak = Math.max(0, ...medAdherence.map(med => med.current_streak));
+            const perfectDays = daily.filter(day => day.expected > 0 && day.missed === 0).length;
+            
+            document.getElementById('weeklyAdherence').textContent =
+                overall.adherence === null ? '--' : `${Math.round(overall.adherence)}%`;
+            document.getElementById('missedDoses').textContent = `${overall.missed} missed`;
+            document.getElementById('bestStreak').textContent = bestStreak;
+            document.getElementById('adherenceDays').textContent = `${perfectDays} perfect days`;
+        }
+        
     } catch (error) {
         console.error('Error updating statistics:', error);
     }
@@ -222,13 +260,34 @@ function updateStatistics() {
 
 // ==================== MEDICATION FUNCTIONS ====================
 
+// Load the last 7 days of adherence analytics for the dashboard
+async function loadAdherence() {
+    try {
+        const response = await fetch(`${API_URL}/medications/adherence`);
+        if (!response.ok) throw new Error('Failed to fetch adherence');
+        
+        adherence = await response.json();
+    } catch (error) {
+        console.error('❌ Error loading adherence:', error);
+        adherence = null;
+    }
+}
+
+// Adherence summary line for a medication card
+function getMedicationAdherence(medId) {
+    if (!adherence) return null;
+    return adherence.medications.find(med => med.medication_id === medId) || null;
+}
+
 async function loadMedications() {
     try {
         const response = await fetch(`${API_URL}/medications`);
         if (!response.ok) throw new Error('Failed to fetch medications');
         
         medications = await response.json();
+        await Promise.all([loadTodayDoses(), loadArchivedMedications()]);
         renderMedications();
+        renderMedicationHistory();
         
         console.log(`✅ Loaded ${medications.length} medications`);
     } catch (error) {
@@ -237,18 +296,188 @@ async function loadMedications() {
     }
 }
 
+// Load finished courses and stopped medications for the history list
+async function loadArchivedMedications() {
+    try {
+        const response = await fetch(`${API_URL}/medications/archived/list`);
+        if (!response.ok) throw new Error('Failed to fetch medication history');
+        
+        archivedMedications = await response.json();
+    } catch (error) {
+        console.error('❌ Error loading medication history:', error);
+        archivedMedications = [];
+    }
+}
+
+// Parse "40mg:5, 30mg:5" into taper steps
+function parseTaperPlan(text) {
+    if (!text) return { taper: null };
+    
+    const steps = text.split(',').map(part => {
+        const [dosage, days] = part.split(':').map(value => value.trim());
+        return { dosage, days: parseInt(days) };
+    });
+    
+    if (steps.some(step => !step.dosage || !(step.days > 0))) {
+        return { error: 'Taper plan should look like "40mg:5, 30mg:5" (dosage:days)' };
+    }
+    return { taper: steps };
+}
+
+// Load today's dose events so the cards show what was actually taken today
+async function loadTodayDoses() {
+    try {
+        const response = await fetch(`${API_URL}/doses/day/today`);
+        if (!response.ok) throw new Error('Failed to fetch dose events');
+        
+        todayDoses = await response.json();
+    } catch (error) {
+        console.error('❌ Error loading dose events:', error);
+        todayDoses = [];
+    }
+}
+
+// Latest dose event recorded today for a medication (or undefined)
+function getLastDoseToday(medId) {
+    const events = todayDoses.filter(dose => dose.medication_id === medId);
+    return events[events.length - 1];
+}
+
+// Show the schedule inputs that match the selected frequency
+function updateScheduleFields() {
+    const frequency = document.getElementById('medFrequency').value;
+    const timesContainer = document.getElementById('medTimes');
+    const doseCount = frequency.startsWith('daily:') ? parseInt(frequency.split(':')[1]) : 1;
+    
+    // Keep the first time input and add or remove the extra dose time inputs
+    timesContainer.querySelectorAll('.med-extra-time').forEach(input => input.remove());
+    for (let i = 1; i < doseCount; i++) {
+        const input = document.createElement('input');
+        input.type = 'time';
+        input.className = 'med-extra-time';
+        timesContainer.appendChild(input);
+    }
+    
+    document.getElementById('medTimeLabel').textContent =
+        doseCount > 1 ? 'Dose Times' : (frequency === 'interval' ? 'First Dose' : 'Time');
+    document.getElementById('medTimesGroup').style.display = frequency === 'as_needed' ? 'none' : '';
+    document.getElementById('medIntervalGroup').style.display = frequency === 'interval' ? '' : 'none';
+    document.getElementById('medWeekdaysGroup').style.display = frequency === 'weekdays' ? '' : 'none';
+    document.getElementById('medMaxDailyGroup').style.display = frequency === 'as_needed' ? '' : 'none';
+}
+
+// Build the structured schedule from the medication form
+function buildMedicationSchedule() {
+    const frequency = document.getElementById('medFrequency').value;
+    const times = Array.from(document.querySelectorAll('#medTimes input'))
+        .map(input => input.value)
+        .filter(Boolean);
+    
+    if (frequency === 'as_needed') {
+        const maxPerDay = document.getElementById('medMaxDaily').value;
+        return { schedule: { type: 'as_needed', max_per_day: maxPerDay || null } };
+    }
+    
+    if (frequency === 'interval') {
+        const everyHours = parseInt(document.getElementById('medInterval').value);
+        if (!everyHours || !times[0]) {
+            return { error: 'Please enter the interval in hours and the first dose time' };
+        }
+        return { schedule: { type: 'interval', every_hours: everyHours, start_time: times[0] } };
+    }
+    
+    if (frequency === 'weekdays') {
+        const days = Array.from(document.querySelectorAll('.med-weekday:checked')).map(box => parseInt(box.value));
+        if (days.length === 0 || !times[0]) {
+            return { error: 'Please choose at least one day and a dose time' };
+        }
+        return { schedule: { type: 'weekdays', days, times } };
+    }
+    
+    const doseCount = parseInt(frequency.split(':')[1]);
+    if (times.length < doseCount) {
+        return { error: `Please enter all ${doseCount} dose times` };
+    }
+    return { schedule: { type: 'times_per_day', times } };
+}
+
+// Readable dose times for a medication card
+function formatSchedule(med) {
+    const schedule = typeof med.schedule === 'string' ? JSON.parse(med.schedule) : med.schedule;
+    
+    if (!schedule) return formatTime(med.time);
+    
+    switch (schedule.type) {
+        case 'as_needed':
+            return 'As needed';
+        case 'interval':
+            return `Every ${schedule.every_hours}h from ${formatTime(schedule.start_time)}`;
+        default:
+            return schedule.times.map(formatTime).join(', ');
+    }
+}
+
+// Ask the server to check a drug against the current medication list
+async function checkMedicationInteractions(name) {
+    try {
+        const response = await fetch(`${API_URL}/medications/interactions/check`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        
+        if (!response.ok) throw new Error('Failed to check interactions');
+        
+        const result = await response.json();
+        return result.warnings;
+    } catch (error) {
+        console.error('❌ Error checking interactions:', error);
+        showToast('Could not check drug interactions', 'warning');
+        return [];
+    }
+}
+
+function formatInteractionWarnings(name, warnings) {
+    const lines = warnings.map(warning => `• [${warning.severity.toUpperCase()}] ${warning.message}`);
+    return `⚠️ Possible problems with ${name}:\n\n${lines.join('\n')}\n\nAsk your doctor or pharmacist. Add this medication anyway?`;
+}
+
 async function addMedication() {
     const name = document.getElementById('medName').value.trim();
     const dosage = document.getElementById('medDosage').value.trim();
-    const frequency = document.getElementById('medFrequency').value;
-    const time = document.getElementById('medTime').value;
     
     // Validation
-    if (!name || !dosage || !time) {
+    if (!name || !dosage) {
         showToast('Please fill in all medication fields', 'warning');
         return;
     }
     
+    const { schedule, error } = buildMedicationSchedule();
+    if (error) {
+        showToast(error, 'warning');
+        return;
+    }
+    
+    // Check interactions and duplicates before saving
+    const warnings = await checkMedicationInteractions(name);
+    if (warnings.length > 0 && !confirm(formatInteractionWarnings(name, warnings))) {
+        return;
+    }
+    
+    const startDate = document.getElementById('medStartDate').value;
+    const courseDays = document.getElementById('medCourseDays').value;
+    const taperPlan = parseTaperPlan(document.getElementById('medTaper').value.trim());
+    if (taperPlan.error) {
+        showToast(taperPlan.error, 'warning');
+        return;
+    }
+    
+    const quantityOnHand = document.getElementById('medQuantity').value;
+    const unitsPerDose = document.getElementById('medUnitsPerDose').value;
+    const refillThreshold = document.getElementById('medRefillThreshold').value;
+    const prescriberName = document.getElementById('medPrescriber').value.trim();
+    const prescriber = findProvider(prescriberName);
+    
     try {
         const response = await fetch(`${API_URL}/medications`, {
             method: 'POST',
@@ -259,8 +488,16 @@ async function addMedication() {
             body: JSON.stringify({ 
                 name, 
                 dosage, 
-                frequency, 
-                time 
+                schedule,
+                quantity_on_hand: quantityOnHand || null,
+                units_per_dose: unitsPerDose || null,
+                refill_threshold: refillThreshold || null,
+                start_date: startDate || null,
+                course_days: courseDays || null,
+                taper: taperPlan.taper,
+                critical: document.getElementById('medCritical').checked,
+                prescriber_id: prescriber ? prescriber.id : undefined,
+                prescriber: prescriberName || undefined
             })
         });
         
@@ -272,10 +509,25 @@ async function addMedication() {
         // Clear form
         document.getElementById('medName').value = '';
         document.getElementById('medDosage').value = '';
-        document.getElementById('medTime').value = '';
+        document.getElementById('medInterval').value = '';
+        document.getElementById('medMaxDaily').value = '';
+        document.getElementById('medQuantity').value = '';
+        document.getElementById('medUnitsPerDose').value = '';
+        document.getElementById('medRefillThreshold').value = '';
+        document.getElementById('medStartDate').value = '';
+        document.getElementById('medCourseDays').value = '';
+        document.getElementById('medTaper').value = '';
+        document.getElementById('medCritical').checked = false;
+        document.getElementById('medPrescriber').value = '';
+        document.querySelectorAll('#medTimes input').forEach(input => input.value = '');
+        document.querySelectorAll('.med-weekday').forEach(box => box.checked = false);
+        
+        const result = await response.json();
         
         // Reload data
         await loadMedications();
+        if (result.refill_reminder_id) await loadReminders();
+        if (prescriberName && !prescriber) await loadProviders();
         updateStatistics();
         
         showToast('Medication added successfully! 💊', 'success');
@@ -288,6 +540,7 @@ async function addMedication() {
 
 function renderMedications() {
     const list = document.getElementById('medicationList');
+    renderReminderLinkOptions();
     
     if (medications.length === 0) {
         list.innerHTML = `
@@ -301,27 +554,90 @@ function renderMedications() {
     }
     
     list.innerHTML = medications.map(med => {
-        const takenStatus = med.taken ? 'Taken' : 'Pending';
-        const statusClass = med.taken ? 'badge-success' : 'badge-warning';
+        const lastDose = getLastDoseToday(med.id);
+        const takenToday = lastDose && lastDose.action === 'taken';
+        const snoozed = lastDose && lastDose.action === 'snoozed' && new Date(lastDose.snooze_until) > new Date();
+        const skipped = lastDose && lastDose.action === 'skipped';
+        const medAdherence = getMedicationAdherence(med.id);
+        let takenStatus = 'Pending';
+        let statusClass = 'badge-warning';
+        
+        if (takenToday) {
+            takenStatus = 'Taken today';
+            statusClass = 'badge-success';
+        } else if (snoozed) {
+            takenStatus = `Snoozed until ${new Date(lastDose.snooze_until).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`;
+            statusClass = 'badge-info';
+        } else if (skipped) {
+            takenStatus = `Skipped (${SKIP_REASONS[lastDose.reason] || 'Other'})`;
+            statusClass = 'badge-danger';
+        }
         
         return `
             <div class="list-item" data-id="${med.id}">
                 <div class="list-item-header">
                     <span class="list-item-title">${escapeHtml(med.name)}</span>
+                    ${med.critical ? '<span class="badge badge-danger">Critical</span>' : ''}
                     <span class="badge ${statusClass}">${takenStatus}</span>
                 </div>
                 <div class="list-item-content">
                     <p><strong>Dosage:</strong> ${escapeHtml(med.dosage)}</p>
+                    ${med.prescriber_id && providerName(med.prescriber_id) ? `
+                        <p><strong>Prescribed by:</strong> ${escapeHtml(providerName(med.prescriber_id))}</p>
+                    ` : ''}
+                    ${med.daily_dose && med.daily_dose.amount > 0 ? `
+                        <p><strong>Per day:</strong> ${med.daily_dose.amount} ${escapeHtml(med.daily_dose.unit)}</p>
+                    ` : ''}
                     <p><strong>Frequency:</strong> ${escapeHtml(med.frequency)}</p>
-                    <p><strong>Time:</strong> ${formatTime(med.time)}</p>
+                    <p><strong>Time:</strong> ${formatSchedule(med)}</p>
+                    ${med.course ? `
+                        <p><strong>Course:</strong> ${med.course.not_started
+                            ? `Starts ${formatDate(med.course.start_date)}`
+                            : `Day ${med.course.day_of_course} of ${med.course.total_days}`} (ends ${formatDate(med.course.end_date)})</p>
+                    ` : ''}
+                    ${med.course && med.course.taper ? `
+                        <p><strong>Today's dose:</strong> ${escapeHtml(med.course.current_dosage)}</p>
+                    ` : ''}
                     <p><strong>Added:</strong> ${formatDate(med.created_at)}</p>
+                    ${takenToday ? `<p><strong>Last taken:</strong> ${formatDateTime(lastDose.event_time)}</p>` : ''}
+                    ${med.quantity_on_hand !== null && med.quantity_on_hand !== undefined ? `
+                        <p><strong>Supply:</strong> ${Number(med.quantity_on_hand)} left
+                            ${isLowStock(med) ? '<span class="badge badge-danger">Refill soon</span>' : ''}
+                        </p>
+                    ` : ''}
+                    ${medAdherence && medAdherence.adherence !== null ? `
+                        <p><strong>Adherence (7d):</strong> ${medAdherence.adherence}% · ${medAdherence.missed} missed · ${medAdherence.current_streak}-day streak</p>
+                    ` : ''}
                 </div>
                 <div class="list-item-actions">
-                    ${!med.taken ? `
+                    ${!takenToday ? `
                         <button class="btn btn-success" onclick="markTaken(${med.id})" title="Mark as taken">
                             <i class="fas fa-check"></i> Taken
                         </button>
+                        <button class="btn btn-outline" onclick="markTakenLate(${med.id})" title="Taken earlier, at another time">
+                            <i class="fas fa-clock-rotate-left"></i> Taken late
+                        </button>
+                        <button class="btn btn-outline" onclick="snoozeDose(${med.id})" title="Remind me later">
+                            <i class="fas fa-bell-slash"></i> Snooze
+                        </button>
+                        ${!skipped ? `
+                            <button class="btn btn-outline" onclick="skipDose(${med.id})" title="Skip this dose">
+                                <i class="fas fa-forward"></i> Skip
+                            </button>
+                        ` : ''}
+                    ` : `
+                        <button class="btn btn-outline" onclick="undoTaken(${med.id})" title="Undo last dose">
+                            <i class="fas fa-undo"></i> Undo
+                        </button>
+                    `}
+                    ${med.quantity_on_hand !== null && med.quantity_on_hand !== undefined ? `
+                        <button class="btn btn-outline" onclick="refillMedication(${med.id})" title="Record a refill">
+                            <i class="fas fa-prescription-bottle"></i> Refill
+                        </button>
                     ` : ''}
+                    <button class="btn btn-outline" onclick="archiveMedication(${med.id})" title="Stop and move to history">
+                        <i class="fas fa-box-archive"></i> Stop
+                    </button>
                     <button class="btn btn-danger" onclick="deleteMedication(${med.id})" title="Delete medication">
                         <i class="fas fa-trash"></i> Delete
                     </button>
@@ -331,6 +647,50 @@ function renderMedications() {
     }).join('');
 }
 
+function renderMedicationHistory() {
+    const list = document.getElementById('medicationHistoryList');
+    
+    if (archivedMedications.length === 0) {
+        list.innerHTML = '<p class="empty-state-subtext">No finished medications yet</p>';
+        return;
+    }
+    
+    list.innerHTML = archivedMedications.map(med => `
+        <div class="list-item" data-id="${med.id}">
+            <div class="list-item-header">
+                <span class="list-item-title">${escapeHtml(med.name)}</span>
+                <span class="badge badge-info">Archived</span>
+            </div>
+            <div class="list-item-content">
+                <p><strong>Dosage:</strong> ${escapeHtml(med.dosage)}</p>
+                <p><strong>Frequency:</strong> ${escapeHtml(med.frequency)}</p>
+                ${med.start_date ? `<p><strong>Started:</strong> ${formatDate(med.start_date)}</p>` : ''}
+                <p><strong>Ended:</strong> ${formatDate(med.end_date || med.archived_at)}</p>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function archiveMedication(id) {
+    if (!confirm('Stop this medication? It will move to your medication history.')) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/medications/${id}/archive`, {
+            method: 'PUT'
+        });
+        
+        if (!response.ok) throw new Error('Failed to archive medication');
+        
+        await loadMedications();
+        updateStatistics();
+        showToast('Medication moved to history 📦', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error archiving medication:', error);
+        showToast('Failed to stop medication', 'error');
+    }
+}
+
 async function markTaken(id) {
     try {
         const response = await fetch(`${API_URL}/medications/${id}/taken`, {
@@ -341,15 +701,187 @@ async function markTaken(id) {
         
         if (!response.ok) throw new Error('Failed to update medication');
         
+        const result = await response.json();
+        
+        await loadAdherence();
         await loadMedications();
+        updateStatistics();
         showToast('Medication marked as taken! ✅', 'success');
         
+        if (result.refill_reminder_id) {
+            await loadReminders();
+            updateStatistics();
+            showToast('Running low - a refill reminder was added 💊', 'warning');
+        }
+        
     } catch (error) {
         console.error('❌ Error updating medication:', error);
         showToast('Failed to update medication', 'error');
     }
 }
 
+// Local 'YYYY-MM-DD HH:MM:00' for today at the given HH:MM
+function todayAt(time) {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${time.slice(0, 5)}:00`;
+}
+
+async function markTakenLate(id) {
+    const med = medications.find(m => m.id === id);
+    const time = prompt('What time did you take it? (HH:MM)');
+    if (time === null) return;
+    
+    if (!/^\d{1,2}:\d{2}$/.test(time.trim())) {
+        showToast('Please enter the time as HH:MM', 'warning');
+        return;
+    }
+    
+    const eventTime = todayAt(time.trim().padStart(5, '0'));
+    
+    try {
+        const response = await fetch(`${API_URL}/medications/${id}/taken`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                taken: true,
+                event_time: eventTime,
+                scheduled_time: med && med.time ? todayAt(med.time) : null
+            })
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to update medication');
+        }
+        
+        await loadAdherence();
+        await loadMedications();
+        updateStatistics();
+        showToast(`Dose recorded as taken at ${formatTime(time.trim())} ✅`, 'success');
+        
+    } catch (error) {
+        console.error('❌ Error recording late dose:', error);
+        showToast(error.message || 'Failed to record dose', 'error');
+    }
+}
+
+// Log a skip or snooze through the dose log
+async function recordDose(id, action, details) {
+    const response = await fetch(`${API_URL}/doses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ medication_id: id, action, ...details })
+    });
+    
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to record dose');
+    }
+    
+    return response.json();
+}
+
+async function skipDose(id) {
+    const keys = Object.keys(SKIP_REASONS);
+    const choice = prompt(
+        'Why are you skipping this dose?\n' +
+        keys.map((key, index) => `${index + 1}. ${SKIP_REASONS[key]}`).join('\n')
+    );
+    if (choice === null) return;
+    
+    const reason = keys[parseInt(choice) - 1];
+    if (!reason) {
+        showToast(`Please choose a number from 1 to ${keys.length}`, 'warning');
+        return;
+    }
+    
+    try {
+        await recordDose(id, 'skipped', { reason });
+        await loadAdherence();
+        await loadMedications();
+        updateStatistics();
+        showToast('Dose skipped ⏭️', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error skipping dose:', error);
+        showToast(error.message || 'Failed to skip dose', 'error');
+    }
+}
+
+async function snoozeDose(id) {
+    const minutes = prompt('Snooze for how many minutes?', '15');
+    if (minutes === null) return;
+    
+    if (!(parseInt(minutes) > 0)) {
+        showToast('Please enter a number of minutes', 'warning');
+        return;
+    }
+    
+    try {
+        const result = await recordDose(id, 'snoozed', { minutes: parseInt(minutes) });
+        await loadMedications();
+        showToast(`Snoozed until ${formatTime(result.snooze_until.split(' ')[1])} 😴`, 'success');
+        
+    } catch (error) {
+        console.error('❌ Error snoozing dose:', error);
+        showToast(error.message || 'Failed to snooze dose', 'error');
+    }
+}
+
+async function undoTaken(id) {
+    try {
+        const response = await fetch(`${API_URL}/medications/${id}/taken`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ taken: false })
+        });
+        
+        if (!response.ok) throw new Error('Failed to update medication');
+        
+        await loadAdherence();
+        await loadMedications();
+        updateStatistics();
+        showToast('Dose undone ↩️', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error undoing dose:', error);
+        showToast('Failed to undo dose', 'error');
+    }
+}
+
+// The server links a refill reminder while projected supply is at or below the threshold
+function isLowStock(med) {
+    return !!med.refill_reminder_id || Number(med.quantity_on_hand) === 0;
+}
+
+async function refillMedication(id) {
+    const quantity = prompt('How many units did you pick up?');
+    if (quantity === null) return;
+    
+    if (!(Number(quantity) > 0)) {
+        showToast('Please enter a positive quantity', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/medications/${id}/refill`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ quantity: Number(quantity) })
+        });
+        
+        if (!response.ok) throw new Error('Failed to refill medication');
+        
+        await loadMedications();
+        showToast('Refill recorded! 💊', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error refilling medication:', error);
+        showToast('Failed to record refill', 'error');
+    }
+}
+
 async function deleteMedication(id) {
     if (!confirm('Are you sure you want to delete this medication?')) return;
     
@@ -374,7 +906,10 @@ async function deleteMedication(id) {
 
 async function loadReminders() {
     try {
-        const response = await fetch(`${API_URL}/reminders`);
+        const [response] = await Promise.all([
+            fetch(`${API_URL}/reminders`),
+            loadReminderOccurrences()
+        ]);
         if (!response.ok) throw new Error('Failed to fetch reminders');
         
         reminders = await response.json();
@@ -387,16 +922,32 @@ async function loadReminders() {
     }
 }
 
+// Refresh today's and this week's occurrences, which the server expands from each series
+async function loadReminderOccurrences() {
+    const [todayResponse, upcomingResponse] = await Promise.all([
+        fetch(`${API_URL}/reminders/today/list`),
+        fetch(`${API_URL}/reminders/upcoming/week`)
+    ]);
+    if (!todayResponse.ok || !upcomingResponse.ok) throw new Error('Failed to fetch reminder occurrences');
+    
+    todayReminders = await todayResponse.json();
+    upcomingReminders = await upcomingResponse.json();
+}
+
 async function addReminder() {
     const title = document.getElementById('reminderTitle').value.trim();
     const dateTime = document.getElementById('reminderDateTime').value;
     const notes = document.getElementById('reminderNotes').value.trim();
+    const repeatCount = document.getElementById('reminderRepeatCount').value;
+    const leadTimes = parseLeadTimesInput(document.getElementById('reminderLeadTimes').value);
     
     if (!title || !dateTime) {
         showToast('Please fill in title and date/time', 'warning');
         return;
     }
     
+    const rrule = buildReminderRRule(document.getElementById('reminderRepeat').value, new Date(dateTime), repeatCount);
+    
     // Validate future date
     const reminderTime = new Date(dateTime);
     if (reminderTime <= new Date()) {
@@ -414,7 +965,13 @@ async function addReminder() {
             body: JSON.stringify({ 
                 title, 
                 date_time: dateTime, 
-                notes: notes || null 
+                notes: notes || null,
+                rrule,
+                lead_times: leadTimes,
+                critical: document.getElementById('reminderCritical').checked,
+                category: document.getElementById('reminderCategory').value,
+                priority: document.getElementById('reminderPriority').value,
+                ...parseReminderLink(document.getElementById('reminderLink').value)
             })
         });
         
@@ -427,6 +984,13 @@ async function addReminder() {
         document.getElementById('reminderTitle').value = '';
         document.getElementById('reminderDateTime').value = '';
         document.getElementById('reminderNotes').value = '';
+        document.getElementById('reminderRepeat').value = '';
+        document.getElementById('reminderRepeatCount').value = '';
+        document.getElementById('reminderLeadTimes').value = '';
+        document.getElementById('reminderCritical').checked = false;
+        document.getElementById('reminderCategory').value = 'custom';
+        document.getElementById('reminderPriority').value = 'normal';
+        document.getElementById('reminderLink').value = '';
         
         await loadReminders();
         updateStatistics();
@@ -438,50 +1002,201 @@ async function addReminder() {
     }
 }
 
+// RRULE for the repeat option picked in the reminder form, or null
+function buildReminderRRule(repeat, start, count) {
+    const days = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const rules = {
+        daily: 'FREQ=DAILY',
+        weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+        weekly: `FREQ=WEEKLY;BYDAY=${days[start.getDay()]}`,
+        monthly: `FREQ=MONTHLY;BYMONTHDAY=${start.getDate()}`
+    };
+    
+    if (!rules[repeat]) return null;
+    return parseInt(count) > 0 ? `${rules[repeat]};COUNT=${parseInt(count)}` : rules[repeat];
+}
+
+function getNextOccurrence(reminderId) {
+    return upcomingReminders.find(occurrence => occurrence.reminder_id === reminderId && occurrence.occurrence_time);
+}
+
+// The occurrence of a repeating reminder that has most recently come due today
+function getCurrentOccurrence(reminderId) {
+    const now = new Date();
+    return todayReminders
+        .filter(occurrence => occurrence.reminder_id === reminderId && new Date(occurrence.date_time) <= now)
+        .pop();
+}
+
+const REMINDER_STATES = {
+    pending: { label: 'Pending', badge: 'badge-muted' },
+    notified: { label: 'Notified', badge: 'badge-info' },
+    acknowledged: { label: 'Acknowledged', badge: 'badge-success' },
+    snoozed: { label: 'Snoozed', badge: 'badge-warning' },
+    missed: { label: 'Missed', badge: 'badge-danger' }
+};
+
+// Lifecycle line and buttons for one reminder occurrence
+function renderReminderState(reminderId, occurrence, label) {
+    const state = REMINDER_STATES[occurrence.status] || REMINDER_STATES.pending;
+    const occurrenceArg = occurrence.occurrence_time ? `'${occurrence.occurrence_time}'` : 'null';
+    let detail = '';
+    
+    if (occurrence.status === 'snoozed' && occurrence.snoozed_until) {
+        detail = ` until ${formatDateTime(occurrence.snoozed_until)}`;
+    } else if (occurrence.status === 'acknowledged' && occurrence.acknowledged_at) {
+        detail = ` at ${formatDateTime(occurrence.acknowledged_at)}${occurrence.missed_at ? ' (late)' : ''}`;
+    }
+    
+    return {
+        line: `<p><strong>${label}:</strong> <span class="badge ${state.badge}">${state.label}</span>${detail}</p>`,
+        buttons: `
+            ${['notified', 'snoozed', 'missed'].includes(occurrence.status) ? `
+                <button class="btn btn-success" onclick="acknowledgeReminder(${reminderId}, ${occurrenceArg})" title="I've seen this">
+                    <i class="fas fa-check"></i> Got it
+                </button>
+            ` : ''}
+            ${['pending', 'notified', 'snoozed'].includes(occurrence.status) && new Date(occurrence.date_time) <= new Date() ? `
+                <button class="btn btn-outline" onclick="snoozeReminder(${reminderId}, ${occurrenceArg})" title="Remind me again in 10 minutes">
+                    <i class="fas fa-clock"></i> Snooze
+                </button>
+            ` : ''}
+        `
+    };
+}
+
+const REMINDER_CATEGORIES = {
+    medication: { label: 'Medication', icon: 'fa-pills' },
+    appointment: { label: 'Appointment', icon: 'fa-user-doctor' },
+    lab: { label: 'Lab', icon: 'fa-flask' },
+    exercise: { label: 'Exercise', icon: 'fa-person-running' },
+    custom: { label: 'Custom', icon: 'fa-sticky-note' }
+};
+
+// "medication:3" / "appointment:5" from the Belongs To picker as request fields
+function parseReminderLink(value) {
+    const [type, id] = (value || '').split(':');
+    return {
+        medication_id: type === 'medication' ? parseInt(id) : null,
+        appointment_id: type === 'appointment' ? parseInt(id) : null
+    };
+}
+
+// Fill the Belongs To picker with current medications and appointments
+function renderReminderLinkOptions() {
+    const select = document.getElementById('reminderLink');
+    if (!select) return;
+    
+    const selected = select.value;
+    const upcoming = appointments.filter(apt => new Date(apt.date_time) >= new Date() && OPEN_APPOINTMENT_STATUSES.includes(apt.status));
+    
+    select.innerHTML = `
+        <option value="">Nothing</option>
+        ${medications.length > 0 ? `
+            <optgroup label="Medications">
+                ${medications.map(med => `<option value="medication:${med.id}">${escapeHtml(med.name)}</option>`).join('')}
+            </optgroup>
+        ` : ''}
+        ${upcoming.length > 0 ? `
+            <optgroup label="Appointments">
+                ${upcoming.map(apt => `<option value="appointment:${apt.id}">${escapeHtml(apt.doctor)} (${formatDateTime(apt.date_time)})</option>`).join('')}
+            </optgroup>
+        ` : ''}
+    `;
+    select.value = [...select.options].some(option => option.value === selected) ? selected : '';
+}
+
+// A reminder that belongs to something takes that thing's category
+function onReminderLinkChange() {
+    const type = document.getElementById('reminderLink').value.split(':')[0];
+    if (type) document.getElementById('reminderCategory').value = type;
+}
+
 function renderReminders() {
     const list = document.getElementById('reminderList');
+    const filter = document.getElementById('reminderCategoryFilter').value;
+    const shown = filter ? reminders.filter(rem => rem.category === filter) : reminders;
     
-    if (reminders.length === 0) {
+    if (shown.length === 0) {
         list.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">⏰</div>
-                <div class="empty-state-text">No reminders set</div>
+                <div class="empty-state-text">${filter ? `No ${REMINDER_CATEGORIES[filter].label.toLowerCase()} reminders` : 'No reminders set'}</div>
                 <p class="empty-state-subtext">Set your first reminder to stay organized</p>
             </div>
         `;
         return;
     }
     
-    list.innerHTML = reminders.map(rem => {
-        const reminderDate = new Date(rem.date_time);
-        const now = new Date();
-        const isPast = reminderDate < now;
-        const statusClass = isPast ? 'badge-danger' : 'badge-success';
-        const statusText = isPast ? 'Past' : 'Upcoming';
+    if (filter) {
+        list.innerHTML = shown.map(renderReminderItem).join('');
+        return;
+    }
+    
+    list.innerHTML = Object.keys(REMINDER_CATEGORIES).map(category => {
+        const group = shown.filter(rem => (rem.category || 'custom') === category);
+        if (group.length === 0) return '';
         
         return `
-            <div class="list-item" data-id="${rem.id}">
-                <div class="list-item-header">
-                    <span class="list-item-title">${escapeHtml(rem.title)}</span>
-                    <span class="badge ${statusClass}">${statusText}</span>
-                </div>
-                <div class="list-item-content">
-                    <p><strong>Date & Time:</strong> ${formatDateTime(rem.date_time)}</p>
-                    ${rem.notes ? `<p><strong>Notes:</strong> ${escapeHtml(rem.notes)}</p>` : ''}
-                    <p><strong>Status:</strong> ${rem.notified ? 'Notified' : 'Pending'}</p>
-                </div>
-                <div class="list-item-actions">
-                    <button class="btn btn-danger" onclick="deleteReminder(${rem.id})" title="Delete reminder">
-                        <i class="fas fa-trash"></i> Delete
-                    </button>
-                </div>
+            <div class="list-group-title">
+                <i class="fas ${REMINDER_CATEGORIES[category].icon}"></i> ${REMINDER_CATEGORIES[category].label} (${group.length})
             </div>
+            ${group.map(renderReminderItem).join('')}
         `;
     }).join('');
 }
 
-async function deleteReminder(id) {
-    if (!confirm('Are you sure you want to delete this reminder?')) return;
+function renderReminderItem(rem) {
+    const nextOccurrence = rem.rrule ? getNextOccurrence(rem.id) : null;
+    const currentOccurrence = rem.rrule ? getCurrentOccurrence(rem.id) : rem;
+    const state = currentOccurrence
+        ? renderReminderState(rem.id, currentOccurrence, rem.rrule ? `Last (${formatDateTime(currentOccurrence.date_time)})` : 'Status')
+        : null;
+    const reminderDate = new Date(nextOccurrence ? nextOccurrence.date_time : rem.date_time);
+    const now = new Date();
+    const isPast = reminderDate < now && !rem.rrule;
+    const statusClass = isPast ? 'badge-danger' : (rem.rrule ? 'badge-info' : 'badge-success');
+    const statusText = isPast ? 'Past' : (rem.rrule ? 'Repeating' : 'Upcoming');
+    
+    return `
+        <div class="list-item" data-id="${rem.id}">
+            <div class="list-item-header">
+                <span class="list-item-title">${escapeHtml(rem.title)}</span>
+                ${rem.critical ? '<span class="badge badge-danger">Critical</span>' : ''}
+                ${rem.priority === 'high' ? '<span class="badge badge-warning">High priority</span>' : ''}
+                ${rem.priority === 'low' ? '<span class="badge badge-muted">Low priority</span>' : ''}
+                <span class="badge ${statusClass}">${statusText}</span>
+            </div>
+            <div class="list-item-content">
+                ${rem.rrule ? `
+                    <p><strong>Repeats:</strong> ${escapeHtml(rem.recurrence || rem.rrule)} (from ${formatDateTime(rem.date_time)})</p>
+                    <p><strong>Next:</strong> ${nextOccurrence ? formatDateTime(nextOccurrence.date_time) : 'None this week'}</p>
+                ` : `
+                    <p><strong>Date & Time:</strong> ${formatDateTime(rem.date_time)}</p>
+                `}
+                ${rem.medication_name ? `<p><strong>For:</strong> ${escapeHtml(rem.medication_name)}</p>` : ''}
+                ${rem.appointment_doctor ? `<p><strong>For:</strong> ${escapeHtml(rem.appointment_doctor)} on ${formatDateTime(rem.appointment_time)}${rem.template_step !== null && rem.template_step !== undefined ? ' (automatic)' : ''}</p>` : ''}
+                ${rem.notes ? `<p><strong>Notes:</strong> ${escapeHtml(rem.notes)}</p>` : ''}
+                <p><strong>Alerts:</strong> ${describeLeadTimes(rem.lead_times, 'reminder')}</p>
+                ${state ? state.line : ''}
+            </div>
+            <div class="list-item-actions">
+                ${state ? state.buttons : ''}
+                ${nextOccurrence ? `
+                    <button class="btn btn-outline" onclick="cancelOccurrence(${rem.id}, '${nextOccurrence.occurrence_time}')" title="Skip only the next occurrence">
+                        <i class="fas fa-forward"></i> Skip next
+                    </button>
+                ` : ''}
+                <button class="btn btn-danger" onclick="deleteReminder(${rem.id})" title="Delete reminder">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+async function deleteReminder(id) {
+    if (!confirm('Are you sure you want to delete this reminder?')) return;
     
     try {
         const response = await fetch(`${API_URL}/reminders/${id}`, {
@@ -490,10 +1205,6 @@ async function deleteReminder(id) {
         
         if (!response.ok) throw new Error('Failed to delete reminder');
         
-        // Remove from hasPlayedSound set
-        hasPlayedSound.delete(`${id}-5min`);
-        hasPlayedSound.delete(`${id}-now`);
-        
         await loadReminders();
         updateStatistics();
         showToast('Reminder deleted 🗑️', 'success');
@@ -504,50 +1215,779 @@ async function deleteReminder(id) {
     }
 }
 
-function checkReminders() {
-    const now = new Date();
+// Cancel one occurrence of a recurring reminder, leaving the rest of the series
+async function cancelOccurrence(id, occurrenceTime) {
+    if (!confirm('Skip this occurrence? The rest of the series stays as it is.')) return;
     
-    reminders.forEach(reminder => {
-        const reminderTime = new Date(reminder.date_time);
-        const timeDiff = reminderTime - now;
+    try {
+        const response = await fetch(`${API_URL}/reminders/${id}/occurrences/${occurrenceTime.replace(' ', 'T')}`, {
+            method: 'DELETE'
+        });
         
-        // Alert 5 minutes before (300000 ms = 5 minutes)
-        if (timeDiff > 0 && timeDiff <= 300000 && !reminder.notified && !hasPlayedSound.has(`${reminder.id}-5min`)) {
-            // Play sound alert
-            playNotificationSound('reminder');
-            
-            // Show browser notification
-            sendNotification(reminder.title, `Reminder in 5 minutes: ${reminder.title}`);
-            
-            // Show toast
-            showToast(`⏰ Reminder: "${reminder.title}" in 5 minutes!`);
-            
-            // Mark as notified on server
-            fetch(`${API_URL}/reminders/${reminder.id}/notify`, {
-                method: 'PUT'
-            }).catch(err => console.error('Failed to mark reminder as notified:', err));
-            
-            // Track that we've played sound for this reminder
-            hasPlayedSound.add(`${reminder.id}-5min`);
-            reminder.notified = true;
+        if (!response.ok) throw new Error('Failed to cancel occurrence');
+        
+        await loadReminders();
+        updateStatistics();
+        showToast('Occurrence skipped ⏭️', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error cancelling occurrence:', error);
+        showToast('Failed to skip occurrence', 'error');
+    }
+}
+
+async function acknowledgeReminder(id, occurrenceTime) {
+    await updateReminderState(id, 'acknowledge', { occurrence_time: occurrenceTime }, 'Reminder acknowledged ✅');
+}
+
+async function snoozeReminder(id, occurrenceTime) {
+    await updateReminderState(id, 'snooze', { occurrence_time: occurrenceTime, minutes: 10 }, 'Reminder snoozed for 10 minutes 😴');
+}
+
+async function updateReminderState(id, action, body, successMessage) {
+    try {
+        const response = await fetch(`${API_URL}/reminders/${id}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to update reminder');
         }
         
-        // Alert when reminder time arrives
-        else if (timeDiff > -60000 && timeDiff <= 0 && !hasPlayedSound.has(`${reminder.id}-now`)) {
-            // Play urgent sound alert
-            playNotificationSound('urgent');
-            
-            sendNotification(reminder.title, `It's time: ${reminder.title}!`);
-            showToast(`🔔 Time for: "${reminder.title}"!`);
-            
-            fetch(`${API_URL}/reminders/${reminder.id}/notify`, {
-                method: 'PUT'
-            }).catch(err => console.error('Failed to mark reminder as notified:', err));
+        await loadReminders();
+        updateStatistics();
+        showToast(successMessage, 'success');
+        
+    } catch (error) {
+        console.error(`❌ Error updating reminder (${action}):`, error);
+        showToast(`Failed to update reminder: ${error.message}`, 'error');
+    }
+}
+
+// Sound, system notification and toast for one server notification
+function alertNotification(notification) {
+    playNotificationSound(notification.critical || notification.source_type !== 'reminder' ? 'urgent' : 'reminder');
+    sendNotification(notification.title, notification.message || notification.title);
+    showToast(`🔔 ${notification.title}`);
+}
+
+// Show notifications dispatched by the server scheduler since the last check.
+// The first check only records where the log is, so old alerts are not replayed.
+// During quiet hours or do-not-disturb, alerts that are not critical are held back
+// until it ends or shown without sound, as configured.
+async function checkNotifications() {
+    try {
+        const url = lastNotificationId === null
+            ? `${API_URL}/notifications?limit=1`
+            : `${API_URL}/notifications?since_id=${lastNotificationId}`;
+        const [response, quietResponse] = await Promise.all([
+            fetch(url),
+            fetch(`${API_URL}/notifications/quiet-hours`)
+        ]);
+        if (!response.ok) throw new Error('Failed to fetch notifications');
+        
+        const notifications = await response.json();
+        if (quietResponse.ok) {
+            quietHours = await quietResponse.json();
+            renderQuietStatus();
+        }
+        const quiet = quietHours && quietHours.active;
+        
+        if (lastNotificationId === null) {
+            lastNotificationId = notifications.length > 0 ? notifications[0].id : 0;
+            return;
+        }
+        
+        if (!quiet && deferredNotifications.length > 0) {
+            showToast(`🔔 ${deferredNotifications.length} alert(s) held during quiet time`);
+            deferredNotifications.forEach(alertNotification);
+            deferredNotifications = [];
+        }
+        
+        notifications.forEach(notification => {
+            lastNotificationId = notification.id;
             
-            // Track that we've played sound for this reminder
-            hasPlayedSound.add(`${reminder.id}-now`);
+            if (!quiet || notification.critical) {
+                alertNotification(notification);
+            } else if (quietHours.mode === 'silent') {
+                showToast(`🔕 ${notification.title}`);
+            } else {
+                deferredNotifications.push(notification);
+            }
+        });
+        
+        if (notifications.some(notification => notification.source_type === 'reminder')) {
+            await loadReminders();
+            updateStatistics();
+        }
+        
+    } catch (error) {
+        console.error('❌ Error checking notifications:', error);
+    }
+}
+
+// ==================== NOTIFICATION CHANNELS ====================
+
+// "1d, 2h, 10m" -> ['1d', '2h', '10m']; empty means "use the default" (null)
+function parseLeadTimesInput(text) {
+    const leadTimes = text.split(',').map(part => part.trim()).filter(Boolean);
+    return leadTimes.length > 0 ? leadTimes : null;
+}
+
+function formatLeadTime(minutes) {
+    if (minutes === 0) return '0';
+    if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+    if (minutes % 60 === 0) return `${minutes / 60}h`;
+    return `${minutes}m`;
+}
+
+// Alert summary for a reminder or appointment, e.g. "1d, 2h before"
+function describeLeadTimes(leadTimes, type) {
+    const own = Array.isArray(leadTimes);
+    const minutes = own ? leadTimes : (defaultLeadTimes[type] || []);
+    const before = minutes.filter(lead => lead > 0).map(formatLeadTime);
+    const parts = [];
+    
+    if (before.length > 0) parts.push(`${before.join(', ')} before`);
+    if (type === 'reminder' || minutes.includes(0)) parts.push('on time');
+    
+    return `${parts.join(' and ') || 'None'}${own ? '' : ' (default)'}`;
+}
+
+const NOTIFICATION_TYPE_LABELS = {
+    reminder: 'Reminders',
+    medication: 'Medication doses',
+    appointment: 'Appointments'
+};
+
+async function loadNotificationSettings() {
+    try {
+        const [channelsResponse, preferencesResponse, leadTimesResponse] = await Promise.all([
+            fetch(`${API_URL}/notifications/channels`),
+            fetch(`${API_URL}/notifications/preferences`),
+            fetch(`${API_URL}/notifications/lead-times`)
+        ]);
+        if (!channelsResponse.ok || !preferencesResponse.ok || !leadTimesResponse.ok) {
+            throw new Error('Failed to fetch notification settings');
         }
+        
+        notificationChannels = await channelsResponse.json();
+        notificationPreferences = await preferencesResponse.json();
+        defaultLeadTimes = await leadTimesResponse.json();
+        renderNotificationSettings();
+        await loadQuietHours();
+        renderReminders();
+        renderAppointments();
+        
+    } catch (error) {
+        console.error('❌ Error loading notification settings:', error);
+    }
+}
+
+function renderNotificationSettings() {
+    const email = notificationChannels.find(channel => channel.name === 'email');
+    const webhook = notificationChannels.find(channel => channel.name === 'webhook');
+    
+    document.getElementById('notifyEmail').value = (email && email.config.to) || '';
+    document.getElementById('notifyWebhook').value = (webhook && webhook.config.url) || '';
+    document.getElementById('defaultReminderLeadTimes').value = (defaultLeadTimes.reminder || []).map(formatLeadTime).join(', ');
+    document.getElementById('defaultAppointmentLeadTimes').value = (defaultLeadTimes.appointment || []).map(formatLeadTime).join(', ');
+    
+    document.getElementById('notificationPreferences').innerHTML = `
+        <table class="channel-preferences">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${notificationChannels.map(channel => `
+                        <th>
+                            ${escapeHtml(channel.name)}
+                            <button class="btn-icon" onclick="testNotificationChannel('${channel.name}')" title="Send a test">
+                                <i class="fas fa-vial"></i>
+                            </button>
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.keys(NOTIFICATION_TYPE_LABELS).map(type => `
+                    <tr>
+                        <td>${NOTIFICATION_TYPE_LABELS[type]}</td>
+                        ${notificationChannels.map(channel => `
+                            <td>
+                                <input type="checkbox" class="channel-choice" data-type="${type}" value="${channel.name}"
+                                    ${(notificationPreferences[type] || []).includes(channel.name) ? 'checked' : ''}>
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function saveNotificationSettings() {
+    const email = document.getElementById('notifyEmail').value.trim();
+    const webhook = document.getElementById('notifyWebhook').value.trim();
+    
+    const requests = [
+        fetch(`${API_URL}/notifications/channels/email`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ config: { to: email } })
+        }),
+        fetch(`${API_URL}/notifications/channels/webhook`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ config: { url: webhook } })
+        }),
+        fetch(`${API_URL}/notifications/lead-times/reminder`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ lead_times: parseLeadTimesInput(document.getElementById('defaultReminderLeadTimes').value) || [] })
+        }),
+        fetch(`${API_URL}/notifications/lead-times/appointment`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ lead_times: parseLeadTimesInput(document.getElementById('defaultAppointmentLeadTimes').value) || [] })
+        }),
+        fetch(`${API_URL}/notifications/quiet-hours`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                enabled: document.getElementById('quietEnabled').checked,
+                start: document.getElementById('quietStart').value,
+                end: document.getElementById('quietEnd').value,
+                mode: document.getElementById('quietMode').value
+            })
+        }),
+        ...Object.keys(NOTIFICATION_TYPE_LABELS).map(type => fetch(`${API_URL}/notifications/preferences/${type}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                channels: [...document.querySelectorAll(`.channel-choice[data-type="${type}"]:checked`)].map(box => box.value)
+            })
+        }))
+    ];
+    
+    try {
+        const responses = await Promise.all(requests);
+        if (responses.some(response => !response.ok)) throw new Error('Failed to save notification settings');
+        
+        await loadNotificationSettings();
+        showToast('Notification channels saved 📨', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error saving notification settings:', error);
+        showToast('Failed to save notification channels', 'error');
+    }
+}
+
+function renderQuietStatus() {
+    const status = document.getElementById('quietStatus');
+    if (!status || !quietHours) return;
+    
+    if (quietHours.dnd_until && new Date(quietHours.dnd_until.replace(' ', 'T')) > new Date()) {
+        status.textContent = `Do not disturb until ${formatDateTime(quietHours.dnd_until.replace(' ', 'T'))}. Critical alerts still come through.`;
+    } else if (quietHours.active) {
+        status.textContent = `Quiet hours until ${formatDateTime(quietHours.quiet_until.replace(' ', 'T'))}. Critical alerts still come through.`;
+    } else {
+        status.textContent = '';
+    }
+}
+
+async function loadQuietHours() {
+    try {
+        const response = await fetch(`${API_URL}/notifications/quiet-hours`);
+        if (!response.ok) throw new Error('Failed to fetch quiet hours');
+        
+        quietHours = await response.json();
+        document.getElementById('quietEnabled').checked = quietHours.enabled;
+        document.getElementById('quietStart').value = quietHours.start;
+        document.getElementById('quietEnd').value = quietHours.end;
+        document.getElementById('quietMode').value = quietHours.mode;
+        renderQuietStatus();
+        
+    } catch (error) {
+        console.error('❌ Error loading quiet hours:', error);
+    }
+}
+
+async function startDoNotDisturb() {
+    try {
+        const response = await fetch(`${API_URL}/notifications/dnd`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ minutes: parseInt(document.getElementById('dndDuration').value) })
+        });
+        if (!response.ok) throw new Error('Failed to turn on do not disturb');
+        
+        await loadQuietHours();
+        showToast('Do not disturb is on 🔕', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error turning on do not disturb:', error);
+        showToast('Failed to turn on do not disturb', 'error');
+    }
+}
+
+async function endDoNotDisturb() {
+    try {
+        const response = await fetch(`${API_URL}/notifications/dnd`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to turn off do not disturb');
+        
+        await loadQuietHours();
+        showToast('Do not disturb is off 🔔', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error turning off do not disturb:', error);
+        showToast('Failed to turn off do not disturb', 'error');
+    }
+}
+
+async function testNotificationChannel(name) {
+    try {
+        const response = await fetch(`${API_URL}/notifications/channels/${name}/test`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error);
+        showToast(`Test ${name} notification sent ✅`, 'success');
+        
+    } catch (error) {
+        console.error('❌ Error testing notification channel:', error);
+        showToast(error.message || `Failed to send test ${name} notification`, 'error');
+    }
+}
+
+// ==================== PROVIDER FUNCTIONS ====================
+
+async function loadProviders() {
+    try {
+        const response = await fetch(`${API_URL}/providers`);
+        if (!response.ok) throw new Error('Failed to fetch providers');
+        
+        providers = await response.json();
+        renderProviders();
+        // Lists show provider details, and may have rendered before the directory loaded
+        renderMedications();
+        renderAppointments();
+        
+    } catch (error) {
+        console.error('❌ Error loading providers:', error);
+    }
+}
+
+// The provider with exactly this name; the server also matches looser spellings such as "Smith" for "Dr. Smith"
+function findProvider(name) {
+    const wanted = name.trim().toLowerCase();
+    return providers.find(provider => provider.name.toLowerCase() === wanted) || null;
+}
+
+function providerName(id) {
+    const provider = providers.find(p => p.id === id);
+    return provider ? provider.name : null;
+}
+
+function describeAppointmentProvider(id) {
+    const provider = providers.find(p => p.id === id);
+    if (!provider) return '';
+    
+    const details = [provider.specialty, provider.clinic].filter(Boolean).map(escapeHtml);
+    return `
+        ${details.length > 0 ? `<p><strong>Provider:</strong> ${details.join(', ')}</p>` : ''}
+        ${provider.phone ? `<p><strong>Phone:</strong> <a href="tel:${escapeHtml(provider.phone)}">${escapeHtml(provider.phone)}</a></p>` : ''}
+    `;
+}
+
+// Suggest the provider's address as the location when one is picked
+function fillAppointmentProvider() {
+    const provider = findProvider(document.getElementById('appointmentDoctor').value);
+    const location = document.getElementById('appointmentLocation');
+    
+    if (provider && !location.value.trim()) {
+        location.value = provider.address || provider.clinic || '';
+    }
+}
+
+function renderProviders() {
+    document.getElementById('providerOptions').innerHTML = providers.map(provider => `
+        <option value="${escapeHtml(provider.name)}">${escapeHtml([provider.specialty, provider.clinic].filter(Boolean).join(', '))}</option>
+    `).join('');
+    
+    const list = document.getElementById('providerList');
+    
+    if (providers.length === 0) {
+        list.innerHTML = '<p class="empty-state-subtext">No providers yet</p>';
+        return;
+    }
+    
+    list.innerHTML = providers.map(provider => `
+        <div class="list-item" data-id="${provider.id}">
+            <div class="list-item-header">
+                <span class="list-item-title">${escapeHtml(provider.name)}</span>
+                ${provider.specialty ? `<span class="badge badge-info">${escapeHtml(provider.specialty)}</span>` : ''}
+            </div>
+            <div class="list-item-content">
+                ${provider.clinic ? `<p><strong>Clinic:</strong> ${escapeHtml(provider.clinic)}</p>` : ''}
+                ${provider.phone ? `<p><strong>Phone:</strong> <a href="tel:${escapeHtml(provider.phone)}">${escapeHtml(provider.phone)}</a></p>` : ''}
+                ${provider.address ? `<p><strong>Address:</strong> ${escapeHtml(provider.address)}</p>` : ''}
+                ${provider.notes ? `<p><strong>Notes:</strong> ${escapeHtml(provider.notes)}</p>` : ''}
+                <p><strong>Appointments:</strong> ${provider.appointment_count}${provider.next_appointment ? `, next ${formatDateTime(provider.next_appointment)}` : ''}</p>
+                ${provider.medication_count ? `<p><strong>Prescriptions:</strong> ${provider.medication_count} active</p>` : ''}
+            </div>
+            <div class="list-item-actions">
+                <button class="btn btn-outline" onclick="editProvider(${provider.id})" title="Edit details">
+                    <i class="fas fa-edit"></i> Edit
+                </button>
+                <button class="btn btn-outline" onclick="mergeProvider(${provider.id})" title="This is a duplicate of another provider">
+                    <i class="fas fa-code-merge"></i> Merge
+                </button>
+                <button class="btn btn-danger" onclick="deleteProvider(${provider.id})" title="Remove from the directory">
+                    <i class="fas fa-trash"></i> Remove
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+const PROVIDER_FORM_FIELDS = {
+    name: 'providerName',
+    specialty: 'providerSpecialty',
+    clinic: 'providerClinic',
+    phone: 'providerPhone',
+    address: 'providerAddress',
+    notes: 'providerNotes'
+};
+
+function editProvider(id) {
+    const provider = providers.find(p => p.id === id);
+    if (!provider) return;
+    
+    editingProviderId = id;
+    Object.entries(PROVIDER_FORM_FIELDS).forEach(([field, inputId]) => {
+        document.getElementById(inputId).value = provider[field] || '';
+    });
+    document.getElementById('providerSaveButton').innerHTML = '<i class="fas fa-save"></i> Save Provider';
+    document.getElementById('providerName').focus();
+}
+
+function resetProviderForm() {
+    editingProviderId = null;
+    Object.values(PROVIDER_FORM_FIELDS).forEach(inputId => {
+        document.getElementById(inputId).value = '';
+    });
+    document.getElementById('providerSaveButton').innerHTML = '<i class="fas fa-user-plus"></i> Add Provider';
+}
+
+async function saveProvider() {
+    const body = {};
+    Object.entries(PROVIDER_FORM_FIELDS).forEach(([field, inputId]) => {
+        body[field] = document.getElementById(inputId).value.trim();
+    });
+    
+    if (!body.name) {
+        showToast('Please enter the provider\'s name', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/providers${editingProviderId ? `/${editingProviderId}` : ''}`, {
+            method: editingProviderId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error);
+        
+        const renamed = editingProviderId !== null;
+        resetProviderForm();
+        await loadProviders();
+        if (renamed) await loadAppointments();
+        showToast(result.message, 'success');
+        
+    } catch (error) {
+        console.error('❌ Error saving provider:', error);
+        showToast(error.message || 'Failed to save provider', 'error');
+    }
+}
+
+async function mergeProvider(id) {
+    const provider = providers.find(p => p.id === id);
+    const intoName = prompt(`Merge ${provider.name} into which provider? Their appointments and prescriptions move over.`);
+    if (!intoName) return;
+    
+    const into = findProvider(intoName);
+    if (!into || into.id === id) {
+        showToast('Enter the exact name of another provider', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/providers/${id}/merge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ into_id: into.id })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error);
+        
+        await Promise.all([loadProviders(), loadAppointments(), loadMedications()]);
+        showToast(result.message, 'success');
+        
+    } catch (error) {
+        console.error('❌ Error merging providers:', error);
+        showToast(error.message || 'Failed to merge providers', 'error');
+    }
+}
+
+async function deleteProvider(id) {
+    if (!confirm('Remove this provider? Their appointments keep the name, and prescriptions lose the prescriber.')) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/providers/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) throw new Error('Failed to delete provider');
+        
+        if (editingProviderId === id) resetProviderForm();
+        await loadProviders();
+        showToast('Provider removed 🗑️', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error deleting provider:', error);
+        showToast('Failed to remove provider', 'error');
+    }
+}
+
+// ==================== CAREGIVER FUNCTIONS ====================
+
+const ESCALATION_STATES = {
+    pending: { label: 'Sending', badge: 'badge-muted' },
+    sent: { label: 'Sent', badge: 'badge-warning' },
+    failed: { label: 'Failed', badge: 'badge-danger' },
+    acknowledged: { label: 'Acknowledged', badge: 'badge-success' }
+};
+
+async function loadCaregivers() {
+    try {
+        const [caregiversResponse, escalationsResponse] = await Promise.all([
+            fetch(`${API_URL}/caregivers`),
+            fetch(`${API_URL}/caregivers/escalations/list`)
+        ]);
+        if (!caregiversResponse.ok || !escalationsResponse.ok) throw new Error('Failed to fetch caregivers');
+        
+        caregivers = await caregiversResponse.json();
+        escalations = await escalationsResponse.json();
+        renderCaregivers();
+        renderEscalations();
+        
+    } catch (error) {
+        console.error('❌ Error loading caregivers:', error);
+    }
+}
+
+function renderCaregivers() {
+    const list = document.getElementById('caregiverList');
+    
+    if (caregivers.length === 0) {
+        list.innerHTML = '<p class="empty-state-subtext">No caregivers yet</p>';
+        return;
+    }
+    
+    list.innerHTML = caregivers.map(caregiver => `
+        <div class="list-item" data-id="${caregiver.id}">
+            <div class="list-item-header">
+                <span class="list-item-title">${escapeHtml(caregiver.name)}</span>
+                <span class="badge badge-info">After ${caregiver.delay_minutes} min</span>
+            </div>
+            <div class="list-item-content">
+                <p><strong>${caregiver.channel === 'email' ? 'Email' : 'Webhook'}:</strong> ${escapeHtml(caregiver.address)}</p>
+            </div>
+            <div class="list-item-actions">
+                <button class="btn btn-danger" onclick="deleteCaregiver(${caregiver.id})" title="Remove caregiver">
+                    <i class="fas fa-trash"></i> Remove
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderEscalations() {
+    const list = document.getElementById('escalationList');
+    
+    if (escalations.length === 0) {
+        list.innerHTML = '<p class="empty-state-subtext">Nothing has been escalated</p>';
+        return;
+    }
+    
+    list.innerHTML = escalations.map(escalation => {
+        const state = ESCALATION_STATES[escalation.status] || ESCALATION_STATES.pending;
+        return `
+            <div class="list-item" data-id="${escalation.id}">
+                <div class="list-item-header">
+                    <span class="list-item-title">${escapeHtml(escalation.title || (escalation.source_type === 'medication' ? 'Medication dose' : 'Reminder'))}</span>
+                    <span class="badge ${state.badge}">${state.label}</span>
+                </div>
+                <div class="list-item-content">
+                    <p><strong>Due:</strong> ${formatDateTime(escalation.scheduled_time)}</p>
+                    <p><strong>Caregiver:</strong> ${escapeHtml(escalation.caregiver_name || 'Removed caregiver')}</p>
+                    ${escalation.acknowledged_at ? `<p><strong>Acknowledged:</strong> ${formatDateTime(escalation.acknowledged_at)}</p>` : ''}
+                    ${escalation.last_error ? `<p><strong>Error:</strong> ${escapeHtml(escalation.last_error)}</p>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function addCaregiver() {
+    const name = document.getElementById('caregiverName').value.trim();
+    const channel = document.getElementById('caregiverChannel').value;
+    const address = document.getElementById('caregiverAddress').value.trim();
+    const delay = parseInt(document.getElementById('caregiverDelay').value);
+    
+    if (!name || !address) {
+        showToast('Please enter a name and an email address or webhook URL', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/caregivers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, channel, address, delay_minutes: delay })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error);
+        
+        document.getElementById('caregiverName').value = '';
+        document.getElementById('caregiverAddress').value = '';
+        await loadCaregivers();
+        showToast('Caregiver added 🤝', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error adding caregiver:', error);
+        showToast(error.message || 'Failed to add caregiver', 'error');
+    }
+}
+
+async function deleteCaregiver(id) {
+    if (!confirm('Remove this caregiver? They will no longer be alerted.')) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/caregivers/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) throw new Error('Failed to delete caregiver');
+        
+        await loadCaregivers();
+        showToast('Caregiver removed 🗑️', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error deleting caregiver:', error);
+        showToast('Failed to remove caregiver', 'error');
+    }
+}
+
+// ==================== LIVE UPDATES ====================
+
+// Order of each list as the server returns it
+const LIVE_LIST_ORDER = {
+    medication: (a, b) => String(a.time).localeCompare(String(b.time)),
+    reminder: (a, b) => new Date(a.date_time) - new Date(b.date_time),
+    vital: (a, b) => new Date(b.recorded_date) - new Date(a.recorded_date),
+    appointment: (a, b) => new Date(a.date_time) - new Date(b.date_time)
+};
+
+function connectLiveUpdates() {
+    if (!('EventSource' in window) || liveUpdates) return;
+    
+    let disconnected = false;
+    liveUpdates = new EventSource(`${API_URL}/events`);
+    
+    liveUpdates.addEventListener('change', event => {
+        handleLiveEvent(JSON.parse(event.data));
     });
+    
+    // The browser reconnects by itself; reload everything once back, since events sent
+    // while disconnected are lost
+    liveUpdates.onerror = () => {
+        disconnected = true;
+    };
+    liveUpdates.onopen = () => {
+        if (!disconnected) return;
+        disconnected = false;
+        loadData();
+    };
+}
+
+// Replace, add (item not yet listed) or remove (no item) an entry, keeping the list's order
+function patchList(list, entity, id, item) {
+    const others = list.filter(entry => entry.id !== id);
+    return item ? [...others, item].sort(LIVE_LIST_ORDER[entity]) : others;
+}
+
+async function handleLiveEvent(event) {
+    const { entity, action, entity_id: id, data } = event;
+    const removed = action === 'deleted' || action === 'archived';
+    
+    try {
+        switch (entity) {
+            case 'medication':
+                if (!removed && !data) {
+                    await loadMedications();
+                    break;
+                }
+                medications = patchList(medications, entity, id, removed ? null : data);
+                if (action === 'archived') await loadArchivedMedications();
+                renderMedications();
+                renderMedicationHistory();
+                // Reminders show the name of the medication they belong to
+                if (reminders.some(rem => rem.medication_id === id)) await loadReminders();
+                break;
+                
+            case 'dose':
+                // Stock, today's doses and adherence all follow from the dose log
+                await Promise.all([loadMedications(), loadAdherence()]);
+                break;
+                
+            case 'reminder':
+                if (!removed && !data) {
+                    await loadReminders();
+                    break;
+                }
+                reminders = patchList(reminders, entity, id, removed ? null : data);
+                await loadReminderOccurrences();
+                renderReminders();
+                break;
+                
+            case 'vital':
+                vitals = patchList(vitals, entity, id, removed ? null : data);
+                renderVitals();
+                break;
+                
+            case 'appointment':
+                appointments = patchList(appointments, entity, id, removed ? null : data);
+                renderAppointments();
+                if (reminders.some(rem => rem.appointment_id === id)) await loadReminders();
+                break;
+                
+            case 'notification':
+                checkNotifications();
+                break;
+        }
+        
+        updateStatistics();
+        
+    } catch (error) {
+        console.error('❌ Error applying live update:', error);
+    }
 }
 
 // Browser Notification System
@@ -598,6 +2038,7 @@ function requestNotificationPermission() {
                 if (permission === "granted") {
                     console.log('✅ Notifications enabled');
                     showToast("Notifications enabled! You'll receive reminder alerts.", 'success');
+                    subscribeToPush();
                 } else {
                     console.log('❌ Notifications disabled');
                     showToast("Notifications disabled. You won't receive alert sounds.", 'warning');
@@ -607,6 +2048,48 @@ function requestNotificationPermission() {
     }
 }
 
+// Web push keys are URL-safe base64; PushManager wants raw bytes
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+// Subscribe this browser to web push so alerts arrive even with the page closed
+async function subscribeToPush() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+    
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        let subscription = await registration.pushManager.getSubscription();
+        
+        if (!subscription) {
+            const keyResponse = await fetch(`${API_URL}/push/vapid-public-key`);
+            if (!keyResponse.ok) throw new Error('Web push is not available on the server');
+            const { publicKey } = await keyResponse.json();
+            
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(publicKey)
+            });
+        }
+        
+        const response = await fetch(`${API_URL}/push/subscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription: subscription.toJSON() })
+        });
+        if (!response.ok) throw new Error('Failed to save push subscription');
+        
+        console.log('✅ Subscribed to push notifications');
+    } catch (error) {
+        console.error('❌ Push subscription failed:', error);
+    }
+}
+
 // ==================== VITAL SIGNS FUNCTIONS ====================
 
 async function loadVitals() {
@@ -803,6 +2286,16 @@ async function deleteVital(id) {
 
 // ==================== APPOINTMENT FUNCTIONS ====================
 
+const APPOINTMENT_STATUSES = {
+    scheduled: { label: 'Upcoming', badge: 'badge-success' },
+    confirmed: { label: 'Confirmed', badge: 'badge-success' },
+    rescheduled: { label: 'Rescheduled', badge: 'badge-info' },
+    completed: { label: 'Attended', badge: 'badge-info' },
+    cancelled: { label: 'Cancelled', badge: 'badge-muted' },
+    no_show: { label: 'Missed', badge: 'badge-danger' }
+};
+const OPEN_APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
 async function loadAppointments() {
     try {
         const response = await fetch(`${API_URL}/appointments`);
@@ -823,6 +2316,11 @@ async function addAppointment() {
     const type = document.getElementById('appointmentType').value;
     const dateTime = document.getElementById('appointmentDateTime').value;
     const location = document.getElementById('appointmentLocation').value.trim();
+    const leadTimes = parseLeadTimesInput(document.getElementById('appointmentLeadTimes').value);
+    const duration = document.getElementById('appointmentDuration').value;
+    const travel = document.getElementById('appointmentTravel').value;
+    const autoReminders = document.getElementById('appointmentAutoReminders').checked;
+    const provider = findProvider(doctor);
     
     if (!doctor || !dateTime) {
         showToast('Please fill in doctor name and date/time', 'warning');
@@ -836,20 +2334,34 @@ async function addAppointment() {
         return;
     }
     
+    // Ask the server to refuse overlapping bookings first, then let the user book anyway
+    const schedule = (strict) => fetch(`${API_URL}/appointments${strict ? '?strict=true' : ''}`, {
+        method: 'POST',
+        headers: { 
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+            doctor,
+            provider_id: provider ? provider.id : undefined,
+            type,
+            date_time: dateTime,
+            duration_minutes: duration || null,
+            travel_minutes: travel || null,
+            location: location || null,
+            lead_times: leadTimes,
+            auto_reminders: autoReminders
+        })
+    });
+    
     try {
-        const response = await fetch(`${API_URL}/appointments`, {
-            method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                doctor,
-                type,
-                date_time: dateTime,
-                location: location || null
-            })
-        });
+        let response = await schedule(true);
+        
+        if (response.status === 409) {
+            const conflict = await response.json();
+            if (!confirm(formatConflictWarnings(conflict.conflicts))) return;
+            response = await schedule(false);
+        }
         
         if (!response.ok) {
             const errorData = await response.json();
@@ -860,10 +2372,21 @@ async function addAppointment() {
         document.getElementById('appointmentDoctor').value = '';
         document.getElementById('appointmentDateTime').value = '';
         document.getElementById('appointmentLocation').value = '';
+        document.getElementById('appointmentLeadTimes').value = '';
+        document.getElementById('appointmentDuration').value = '60';
+        document.getElementById('appointmentTravel').value = '0';
+        document.getElementById('appointmentFreeSlots').innerHTML = '';
+        document.getElementById('appointmentAutoReminders').checked = true;
+        
+        const result = await response.json();
         
         await loadAppointments();
+        if (result.reminders_created) await loadReminders();
+        if (!provider) await loadProviders();
         updateStatistics();
-        showToast('Appointment scheduled! 📅', 'success');
+        showToast(result.reminders_created
+            ? `Appointment scheduled with ${result.reminders_created} reminder${result.reminders_created === 1 ? '' : 's'}! 📅`
+            : 'Appointment scheduled! 📅', 'success');
         
     } catch (error) {
         console.error('❌ Error adding appointment:', error);
@@ -871,8 +2394,99 @@ async function addAppointment() {
     }
 }
 
+function formatConflictWarnings(conflicts) {
+    const lines = conflicts.map(conflict => {
+        if (conflict.type === 'reminder') {
+            return `• Reminder "${conflict.title}" at ${formatDateTime(conflict.time.replace(' ', 'T'))}`;
+        }
+        const overlap = conflict.reason === 'travel' ? ' (not enough travel time between)' : '';
+        return `• ${conflict.title}, ${formatDateTime(conflict.start.replace(' ', 'T'))}${overlap}`;
+    });
+    return `📅 This appointment overlaps with:\n\n${lines.join('\n')}\n\nSchedule it anyway?`;
+}
+
+// Offer open start times for the duration and travel time in the form
+async function findFreeAppointmentSlots() {
+    const container = document.getElementById('appointmentFreeSlots');
+    const params = new URLSearchParams({
+        duration: document.getElementById('appointmentDuration').value || 60,
+        travel: document.getElementById('appointmentTravel').value || 0,
+        limit: 6
+    });
+    
+    try {
+        const response = await fetch(`${API_URL}/appointments/free-slots?${params}`);
+        const slots = await response.json();
+        
+        if (!response.ok) throw new Error(slots.error);
+        
+        container.innerHTML = slots.length > 0
+            ? slots.map(slot => `
+                <button class="btn btn-outline" onclick="pickAppointmentSlot('${slot.start}')">${formatDateTime(slot.start.replace(' ', 'T'))}</button>
+            `).join('')
+            : '<p class="empty-state-subtext">No free times in the next 7 days</p>';
+        
+    } catch (error) {
+        console.error('❌ Error finding free slots:', error);
+        showToast(error.message || 'Failed to find free times', 'error');
+    }
+}
+
+// The reminder template is edited as one line per step: "1d | title | notes | priority"
+async function loadAppointmentTemplate() {
+    try {
+        const response = await fetch(`${API_URL}/appointments/reminder-template`);
+        if (!response.ok) throw new Error('Failed to fetch reminder template');
+        
+        const { template } = await response.json();
+        document.getElementById('appointmentTemplate').value = template
+            .map(step => [formatLeadTime(step.before_minutes), step.title, step.notes, step.priority === 'normal' ? '' : step.priority]
+                .join(' | ').replace(/( \| )+$/, ''))
+            .join('\n');
+        
+    } catch (error) {
+        console.error('❌ Error loading reminder template:', error);
+    }
+}
+
+async function saveAppointmentTemplate() {
+    const template = document.getElementById('appointmentTemplate').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const [before, title, notes, priority] = line.split('|').map(part => part.trim());
+            return { before_minutes: before, title, notes: notes || '', priority: priority || 'normal' };
+        });
+    
+    try {
+        const response = await fetch(`${API_URL}/appointments/reminder-template`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ template })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error);
+        
+        await loadAppointmentTemplate();
+        if (result.appointments_updated) await loadReminders();
+        showToast(`Template saved. ${result.appointments_updated} upcoming appointment(s) updated 📋`, 'success');
+        
+    } catch (error) {
+        console.error('❌ Error saving reminder template:', error);
+        showToast(error.message || 'Failed to save reminder template', 'error');
+    }
+}
+
+function pickAppointmentSlot(start) {
+    document.getElementById('appointmentDateTime').value = start.slice(0, 16).replace(' ', 'T');
+}
+
 function renderAppointments() {
     const list = document.getElementById('appointmentList');
+    renderReminderLinkOptions();
+    document.getElementById('calendarFeedUrl').value = `${API_URL}/appointments/calendar.ics`;
     
     if (appointments.length === 0) {
         list.innerHTML = `
@@ -889,21 +2503,64 @@ function renderAppointments() {
         const aptDate = new Date(apt.date_time);
         const now = new Date();
         const isPast = aptDate < now;
-        const statusClass = isPast ? 'badge-danger' : 'badge-success';
-        const statusText = isPast ? 'Past' : 'Upcoming';
+        const isOpen = OPEN_APPOINTMENT_STATUSES.includes(apt.status);
+        const status = isOpen && isPast
+            ? { label: 'Awaiting outcome', badge: 'badge-warning' }
+            : APPOINTMENT_STATUSES[apt.status] || APPOINTMENT_STATUSES.scheduled;
         
         return `
             <div class="list-item" data-id="${apt.id}">
                 <div class="list-item-header">
                     <span class="list-item-title">${escapeHtml(apt.doctor)}</span>
-                    <span class="badge ${statusClass}">${statusText}</span>
+                    <span class="badge ${status.badge}">${status.label}</span>
                 </div>
                 <div class="list-item-content">
                     <p><strong>Type:</strong> ${escapeHtml(apt.type)}</p>
-                    <p><strong>Date & Time:</strong> ${formatDateTime(apt.date_time)}</p>
+                    ${describeAppointmentProvider(apt.provider_id)}
+                    <p><strong>Date & Time:</strong> ${formatDateTime(apt.date_time)} (${apt.duration_minutes} min)</p>
+                    ${apt.travel_minutes ? `<p><strong>Travel:</strong> ${apt.travel_minutes} min each way</p>` : ''}
                     <p><strong>Location:</strong> ${apt.location ? escapeHtml(apt.location) : 'Not specified'}</p>
+                    <p><strong>Alerts:</strong> ${describeLeadTimes(apt.lead_times, 'appointment')}</p>
+                    ${apt.status === 'completed' ? describeAppointmentOutcome(apt) : ''}
                 </div>
                 <div class="list-item-actions">
+                    ${isOpen && isPast ? `
+                        <button class="btn btn-success" onclick="completeAppointment(${apt.id})" title="Record the visit's outcome">
+                            <i class="fas fa-check"></i> Attended
+                        </button>
+                        <button class="btn btn-outline" onclick="setAppointmentStatus(${apt.id}, 'no-show')" title="I missed this appointment">
+                            <i class="fas fa-user-times"></i> No-show
+                        </button>
+                    ` : ''}
+                    ${isOpen && !isPast && apt.status !== 'confirmed' ? `
+                        <button class="btn btn-outline" onclick="setAppointmentStatus(${apt.id}, 'confirm')" title="The clinic confirmed this appointment">
+                            <i class="fas fa-check-circle"></i> Confirm
+                        </button>
+                    ` : ''}
+                    ${isOpen ? `
+                        <button class="btn btn-outline" onclick="setAppointmentStatus(${apt.id}, 'cancel')" title="Cancel, keeping it in the history">
+                            <i class="fas fa-ban"></i> Cancel
+                        </button>
+                    ` : ''}
+                    ${apt.status === 'no_show' ? `
+                        <button class="btn btn-outline" onclick="completeAppointment(${apt.id})" title="I did attend after all">
+                            <i class="fas fa-check"></i> Attended
+                        </button>
+                    ` : ''}
+                    ${apt.status === 'completed' ? `
+                        <button class="btn btn-outline" onclick="completeAppointment(${apt.id})" title="Correct the visit's outcome">
+                            <i class="fas fa-edit"></i> Edit outcome
+                        </button>
+                    ` : ''}
+                    ${apt.status === 'cancelled' ? `
+                        <button class="btn btn-outline" onclick="setAppointmentStatus(${apt.id}, 'reinstate')" title="Schedule this appointment again">
+                            <i class="fas fa-undo"></i> Reinstate
+                        </button>
+                    ` : `
+                        <button class="btn btn-outline" onclick="openAppointmentSummary(${apt.id})" title="Printable summary of everything since the last visit">
+                            <i class="fas fa-file-medical"></i> Summary
+                        </button>
+                    `}
                     <button class="btn btn-danger" onclick="deleteAppointment(${apt.id})" title="Delete appointment">
                         <i class="fas fa-trash"></i> Delete
                     </button>
@@ -913,6 +2570,72 @@ function renderAppointments() {
     }).join('');
 }
 
+// Open the printable pre-visit summary in a new tab
+function openAppointmentSummary(id) {
+    window.open(`${API_URL}/appointments/${id}/summary?format=html`, '_blank');
+}
+
+function describeAppointmentOutcome(apt) {
+    const followUp = apt.follow_up_needed
+        ? `Yes${apt.follow_up_date ? `, by ${new Date(String(apt.follow_up_date).slice(0, 10) + 'T00:00').toLocaleDateString()}` : ''}`
+        : 'No';
+    const prescriptions = apt.prescriptions_changed
+        ? `Changed${apt.prescription_notes ? `: ${escapeHtml(apt.prescription_notes)}` : ''}`
+        : 'Unchanged';
+    
+    return `
+        ${apt.outcome_notes ? `<p><strong>Outcome:</strong> ${escapeHtml(apt.outcome_notes)}</p>` : ''}
+        <p><strong>Follow-up:</strong> ${followUp}</p>
+        <p><strong>Prescriptions:</strong> ${prescriptions}</p>
+    `;
+}
+
+async function completeAppointment(id) {
+    const apt = appointments.find(a => a.id === id) || {};
+    const outcomeNotes = prompt('Visit outcome (diagnosis, notes):', apt.outcome_notes || '');
+    if (outcomeNotes === null) return;
+    
+    const body = { outcome_notes: outcomeNotes };
+    body.follow_up_needed = confirm('Is a follow-up visit needed?');
+    if (body.follow_up_needed) {
+        const followUpDate = prompt('Follow-up by (YYYY-MM-DD, optional):', apt.follow_up_date ? String(apt.follow_up_date).slice(0, 10) : '');
+        if (followUpDate === null) return;
+        body.follow_up_date = followUpDate.trim() || null;
+    }
+    body.prescriptions_changed = confirm('Did your prescriptions change?');
+    if (body.prescriptions_changed) {
+        const prescriptionNotes = prompt('What changed?', apt.prescription_notes || '');
+        if (prescriptionNotes === null) return;
+        body.prescription_notes = prescriptionNotes;
+    }
+    
+    await setAppointmentStatus(id, 'complete', body);
+}
+
+async function setAppointmentStatus(id, action, body = {}) {
+    if (action === 'cancel' && !confirm('Cancel this appointment? Its upcoming reminders will be removed.')) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/appointments/${id}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error || 'Failed to update appointment');
+        
+        await loadAppointments();
+        await loadReminders();
+        updateStatistics();
+        showToast(result.message, 'success');
+        
+    } catch (error) {
+        console.error(`❌ Error updating appointment (${action}):`, error);
+        showToast(`Failed to update appointment: ${error.message}`, 'error');
+    }
+}
+
 async function deleteAppointment(id) {
     if (!confirm('Are you sure you want to delete this appointment?')) return;
     
@@ -933,6 +2656,50 @@ async function deleteAppointment(id) {
     }
 }
 
+async function copyCalendarFeedUrl() {
+    const input = document.getElementById('calendarFeedUrl');
+    
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showToast('Feed link copied. Add it as a subscribed calendar 📅', 'success');
+    } catch (error) {
+        input.select();
+        showToast('Copy the selected link into your calendar app');
+    }
+}
+
+async function importAppointmentCalendar() {
+    const input = document.getElementById('appointmentIcsFile');
+    const file = input.files[0];
+    if (!file) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/appointments/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/calendar' },
+            body: await file.text()
+        });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error);
+        
+        await loadAppointments();
+        updateStatistics();
+        
+        const parts = [`${result.created} added`, `${result.updated} updated`];
+        if (result.unchanged) parts.push(`${result.unchanged} already up to date`);
+        if (result.cancelled) parts.push(`${result.cancelled} cancelled`);
+        if (result.skipped) parts.push(`${result.skipped} skipped`);
+        showToast(`Calendar imported: ${parts.join(', ')} 📥`, 'success');
+        
+    } catch (error) {
+        console.error('❌ Error importing calendar:', error);
+        showToast(error.message || 'Failed to import calendar', 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
 // ==================== UTILITY FUNCTIONS ====================
 
 function formatDateTime(dateTimeString) {
@@ -955,7 +2722,10 @@ function formatDateTime(dateTimeString) {
 
 function formatDate(dateString) {
     try {
-        const date = new Date(dateString);
+        // Plain YYYY-MM-DD dates are local days, not UTC midnight
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString)
+            ? new Date(`${dateString}T00:00:00`)
+            : new Date(dateString);
         if (isNaN(date.getTime())) return 'Invalid Date';
         
         const options = { 
@@ -1113,6 +2883,7 @@ if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('✅ ServiceWorker registered:', registration);
+                subscribeToPush();
             })
             .catch(registrationError => {
                 console.log('❌ ServiceWorker registration failed:', registrationError);
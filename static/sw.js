@@ -0,0 +1,91 @@
+// Medical Tracker service worker.
+// Shows web push notifications sent by the server (reminders, doses, appointments) even
+// when the tracker page is closed, and sends the "Mark taken" / "Got it" / "Snooze"
+// buttons back to the API.
+
+const API_URL = '/api';
+const SNOOZE_MINUTES = 10;
+
+const ACTION_FAILURES = {
+    taken: 'mark the dose as taken',
+    acknowledge: 'acknowledge the reminder',
+    snooze: 'snooze the notification'
+};
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+// Buttons offered for a notification; test notifications have nothing to act on
+function notificationActions(notification) {
+    if (!notification.id) return [];
+    
+    const actions = [];
+    if (notification.source_type === 'medication') {
+        actions.push({ action: 'taken', title: 'Mark taken' });
+    }
+    if (notification.source_type === 'reminder') {
+        actions.push({ action: 'acknowledge', title: 'Got it' });
+    }
+    actions.push({ action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` });
+    return actions;
+}
+
+self.addEventListener('push', (event) => {
+    let notification;
+    try {
+        notification = event.data ? event.data.json() : {};
+    } catch (error) {
+        notification = { title: 'Medical Tracker', message: event.data.text() };
+    }
+    
+    const title = notification.title || 'Medical Tracker';
+    
+    event.waitUntil(self.registration.showNotification(title, {
+        body: notification.message || '',
+        tag: notification.id ? `notification-${notification.id}` : undefined,
+        requireInteraction: notification.source_type === 'medication' || !!notification.critical,
+        // Sent during quiet hours or do-not-disturb
+        silent: !!notification.silent,
+        data: notification,
+        actions: notificationActions(notification)
+    }));
+});
+
+async function sendAction(notification, action) {
+    const response = await fetch(`${API_URL}/notifications/${notification.id}/actions/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ minutes: SNOOZE_MINUTES })
+    });
+    
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        await self.registration.showNotification('Medical Tracker', {
+            body: result.error || `Could not ${ACTION_FAILURES[action] || 'update the notification'}.`
+        });
+    }
+}
+
+async function openTracker() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+    
+    if (existing) return existing.focus();
+    return self.clients.openWindow('/');
+}
+
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification.data || {};
+    event.notification.close();
+    
+    if (event.action && notification.id) {
+        event.waitUntil(sendAction(notification, event.action));
+    } else {
+        event.waitUntil(openTracker());
+    }
+});
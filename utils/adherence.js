@@ -0,0 +1,135 @@
+// Medication adherence analytics.
+// Compares the doses each medication's schedule expected with the dose events
+// actually logged, day by day, so that adherence, streaks and missed doses can
+// be reported over any date range.
+
+const { getMedicationSchedule, expandSchedule } = require('./schedule');
+const { getCourseWindow } = require('./courses');
+const { formatDate, addDays } = require('./dates');
+
+const percent = (taken, expected) => {
+    return expected > 0 ? Math.round((taken / expected) * 1000) / 10 : null;
+};
+
+// Net taken and skipped counts per medication per day, replaying undo events in order.
+// A dose taken late counts towards the day it was scheduled for.
+const tallyEvents = (events) => {
+    const tally = {};
+
+    events.forEach(event => {
+        const key = `${event.medication_id}|${formatDate(new Date(event.scheduled_time || event.event_time))}`;
+        const day = tally[key] || (tally[key] = { taken: 0, skipped: 0 });
+
+        if (event.action === 'taken') day.taken++;
+        else if (event.action === 'undone') day.taken = Math.max(0, day.taken - 1);
+        else if (event.action === 'skipped') day.skipped++;
+    });
+
+    return tally;
+};
+
+// Current and longest run of fully adherent days. Days without expected doses
+// neither extend nor break a streak; an unfinished today is not counted against it.
+const computeStreaks = (days, todayKey) => {
+    let longest = 0;
+    let run = 0;
+
+    days.forEach(day => {
+        if (day.expected_full === 0) return;
+
+        if (day.taken >= day.expected_full) {
+            run++;
+            longest = Math.max(longest, run);
+        } else if (day.date !== todayKey) {
+            run = 0;
+        }
+    });
+
+    return { current: run, longest };
+};
+
+// Build the adherence report for the given medications and dose events over [start, end)
+const computeAdherence = (medications, events, start, end, now = new Date()) => {
+    const tally = tallyEvents(events);
+    const todayKey = formatDate(now);
+    const dailyTotals = {};
+
+    for (let day = new Date(start); day < end; day = addDays(day, 1)) {
+        dailyTotals[formatDate(day)] = { date: formatDate(day), expected: 0, taken: 0, missed: 0 };
+    }
+
+    const perMedication = medications.map(med => {
+        const schedule = getMedicationSchedule(med);
+        const createdAt = med.created_at ? new Date(med.created_at) : start;
+        const course = getCourseWindow(med);
+        // Doses count from when the medication was added (or its course started) until the course ends
+        const medStart = course.start && course.start > createdAt ? course.start : (createdAt > start ? createdAt : start);
+        const medEnd = course.end;
+        const days = [];
+        const totals = { expected: 0, taken: 0, skipped: 0, missed: 0 };
+
+        Object.keys(dailyTotals).forEach(dateKey => {
+            const [year, month, date] = dateKey.split('-').map(Number);
+            const dayStart = new Date(year, month - 1, date);
+            const dayEnd = new Date(year, month - 1, date + 1);
+
+            if (dayStart > now) return;
+
+            const rangeStart = medStart > dayStart ? medStart : dayStart;
+            const rangeEnd = medEnd && medEnd < dayEnd ? medEnd : dayEnd;
+            const scheduled = rangeStart < rangeEnd
+                ? expandSchedule(schedule, rangeStart, rangeEnd, course.start || med.created_at)
+                : [];
+            const due = scheduled.filter(dose => dose <= now).length;
+            const logged = tally[`${med.id}|${dateKey}`] || { taken: 0, skipped: 0 };
+            const taken = schedule.type === 'as_needed' ? logged.taken : Math.min(logged.taken, due);
+            const missed = due - Math.min(logged.taken, due);
+
+            days.push({ date: dateKey, expected_full: scheduled.length, taken: logged.taken });
+
+            totals.expected += due;
+            totals.taken += taken;
+            totals.skipped += logged.skipped;
+            totals.missed += missed;
+
+            dailyTotals[dateKey].expected += due;
+            dailyTotals[dateKey].taken += Math.min(logged.taken, due);
+            dailyTotals[dateKey].missed += missed;
+        });
+
+        const streaks = computeStreaks(days, todayKey);
+
+        return {
+            medication_id: med.id,
+            name: med.name,
+            dosage: med.dosage,
+            as_needed: schedule.type === 'as_needed',
+            expected: totals.expected,
+            taken: totals.taken,
+            skipped: totals.skipped,
+            missed: totals.missed,
+            adherence: schedule.type === 'as_needed' ? null : percent(totals.taken, totals.expected),
+            current_streak: streaks.current,
+            longest_streak: streaks.longest
+        };
+    });
+
+    const scheduledMeds = perMedication.filter(med => !med.as_needed);
+    const overall = scheduledMeds.reduce((sum, med) => ({
+        expected: sum.expected + med.expected,
+        taken: sum.taken + med.taken,
+        missed: sum.missed + med.missed
+    }), { expected: 0, taken: 0, missed: 0 });
+    overall.adherence = percent(overall.taken, overall.expected);
+
+    const daily = Object.values(dailyTotals).map(day => ({
+        ...day,
+        adherence: percent(day.taken, day.expected)
+    }));
+
+    return { overall, medications: perMedication, daily };
+};
+
+module.exports = {
+    computeAdherence
+};
@@ -0,0 +1,240 @@
+// Reminders generated for appointments.
+// Every appointment (unless auto_reminders is off) gets one reminder per step of the
+// user's template, stored in app_settings under 'appointment_reminder_template', e.g.
+// "a day before: bring your insurance card" and "2 hours before: leave for {location}".
+// Generated reminders are ordinary reminders linked to the appointment, marked with the
+// template step they came from. Whenever the appointment is created, changed or
+// rescheduled they are rewritten to match it, and they are deleted with it; editing
+// the template resyncs every upcoming appointment. Direct edits to a generated reminder
+// last until the next sync, so changes belong in the template (or turn auto_reminders off).
+
+const { formatDateTime } = require('./dates');
+const { toMinutes, MAX_LEAD_MINUTES } = require('./leadTimes');
+const { REMINDER_PRIORITIES } = require('./reminders');
+const { publish } = require('./liveEvents');
+const { OPEN_STATUSES } = require('./appointmentStatus');
+
+const DEFAULT_TEMPLATE = [
+    {
+        before_minutes: 1440,
+        title: 'Tomorrow: {type} with {doctor}',
+        notes: 'At {time}, {location}. Bring your insurance card and a list of your medications.',
+        priority: 'normal'
+    },
+    {
+        before_minutes: 120,
+        title: 'Leave soon for {type} with {doctor}',
+        notes: 'Appointment at {time}, {location}.',
+        priority: 'high'
+    }
+];
+const MAX_STEPS = 10;
+const PLACEHOLDERS = ['doctor', 'type', 'location', 'date', 'time'];
+
+// Validate a template: a list of { before_minutes (or '1d', '2h'), title, notes, priority }.
+// Returns { template } (latest reminder last) or { error }.
+const parseTemplate = (value) => {
+    if (!Array.isArray(value) || value.length > MAX_STEPS) {
+        return { error: `The template must be a list of up to ${MAX_STEPS} steps` };
+    }
+
+    const template = [];
+    for (const step of value) {
+        const before = step ? toMinutes(step.before_minutes) : null;
+        const title = step ? String(step.title || '').trim() : '';
+        const priority = (step && step.priority) || 'normal';
+
+        if (before === null || before < 0 || before > MAX_LEAD_MINUTES) {
+            return { error: 'before_minutes must be minutes (or 2h, 1d) from 0 up to 7 days' };
+        }
+        if (!title) {
+            return { error: 'Every step needs a title' };
+        }
+        if (!REMINDER_PRIORITIES.includes(priority)) {
+            return { error: `priority must be one of: ${REMINDER_PRIORITIES.join(', ')}` };
+        }
+
+        template.push({ before_minutes: before, title: title.slice(0, 255), notes: String(step.notes || '').trim(), priority });
+    }
+
+    return { template: template.sort((a, b) => b.before_minutes - a.before_minutes) };
+};
+
+// The user's template, or DEFAULT_TEMPLATE when none is stored
+const loadTemplate = (db, callback) => {
+    db.query('SELECT setting_value FROM app_settings WHERE setting_key = \'appointment_reminder_template\'', (err, results) => {
+        if (err) return callback(err);
+
+        let parsed = { error: 'unset' };
+        try {
+            if (results.length > 0) parsed = parseTemplate(JSON.parse(results[0].setting_value));
+        } catch (e) {
+            parsed = { error: 'unreadable' };
+        }
+        callback(null, parsed.error ? DEFAULT_TEMPLATE : parsed.template);
+    });
+};
+
+const saveTemplate = (db, template, callback) => {
+    const query = `
+        INSERT INTO app_settings (setting_key, setting_value) VALUES ('appointment_reminder_template', ?)
+        ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)
+    `;
+    db.query(query, [JSON.stringify(template)], (err) => callback(err));
+};
+
+// Fill {doctor}, {type}, {location}, {date} and {time} from the appointment
+const fillPlaceholders = (text, appointment) => {
+    const start = new Date(appointment.date_time);
+    const values = {
+        doctor: appointment.doctor,
+        type: appointment.type,
+        location: appointment.location || 'the clinic',
+        date: start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+        time: start.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+    };
+    return text.replace(/\{(\w+)\}/g, (match, name) => (PLACEHOLDERS.includes(name) ? values[name] : match));
+};
+
+// The reminders an appointment should have, by template step: none once it is cancelled
+// or attended. Steps whose time has already passed are left out, so booking at short
+// notice does not create stale reminders.
+const plannedReminders = (appointment, template, now) => {
+    const start = new Date(appointment.date_time);
+    const planned = new Map();
+
+    if (!appointment.auto_reminders || !OPEN_STATUSES.includes(appointment.status)) return planned;
+
+    template.forEach((step, index) => {
+        const time = new Date(start.getTime() - step.before_minutes * 60000);
+        if (time <= now) return;
+
+        planned.set(index, {
+            title: fillPlaceholders(step.title, appointment).slice(0, 255),
+            notes: fillPlaceholders(step.notes, appointment) || null,
+            date_time: formatDateTime(time),
+            priority: step.priority
+        });
+    });
+
+    return planned;
+};
+
+const isSame = (reminder, wanted) => {
+    return reminder.title === wanted.title &&
+        (reminder.notes || null) === wanted.notes &&
+        formatDateTime(new Date(reminder.date_time)) === wanted.date_time &&
+        reminder.priority === wanted.priority;
+};
+
+// Bring an appointment's generated reminders in line with the appointment and template:
+// missing ones are created, changed ones rewritten in place and unwanted upcoming ones
+// deleted. Calls back with { created, updated, deleted }.
+const syncWithTemplate = (db, appointment, template, now, callback) => {
+    const planned = plannedReminders(appointment, template, now);
+
+    db.query('SELECT * FROM reminders WHERE appointment_id = ? AND template_step IS NOT NULL', [appointment.id], (err, existing) => {
+        if (err) return callback(err);
+
+        const counts = { created: 0, updated: 0, deleted: 0 };
+        const work = [];
+        const byStep = new Map(existing.map(reminder => [reminder.template_step, reminder]));
+
+        planned.forEach((wanted, step) => {
+            const reminder = byStep.get(step);
+            if (!reminder) {
+                work.push(done => db.query(
+                    `INSERT INTO reminders (title, date_time, notes, category, priority, appointment_id, template_step)
+                     VALUES (?, ?, ?, 'appointment', ?, ?, ?)`,
+                    [wanted.title, wanted.date_time, wanted.notes, wanted.priority, appointment.id, step],
+                    (err, result) => {
+                        if (!err) {
+                            counts.created++;
+                            publish('reminder', 'created', result.insertId);
+                        }
+                        done(err);
+                    }
+                ));
+            } else if (!isSame(reminder, wanted)) {
+                work.push(done => db.query(
+                    'UPDATE reminders SET title = ?, date_time = ?, notes = ?, priority = ? WHERE id = ?',
+                    [wanted.title, wanted.date_time, wanted.notes, wanted.priority, reminder.id],
+                    (err) => {
+                        if (!err) {
+                            counts.updated++;
+                            publish('reminder', 'updated', reminder.id);
+                        }
+                        done(err);
+                    }
+                ));
+            }
+        });
+
+        // Upcoming reminders that are no longer wanted (step removed, auto_reminders turned off,
+        // appointment cancelled, or moved into the past by a reschedule). Ones that already went off stay as history.
+        existing
+            .filter(reminder => !planned.has(reminder.template_step) && new Date(reminder.date_time) > now)
+            .forEach(reminder => work.push(done => db.query('DELETE FROM reminders WHERE id = ?', [reminder.id], (err) => {
+                if (!err) {
+                    counts.deleted++;
+                    publish('reminder', 'deleted', reminder.id);
+                }
+                done(err);
+            })));
+
+        // One change at a time, stopping at the first error
+        const next = (index) => {
+            if (index === work.length) return callback(null, counts);
+            work[index]((err) => (err ? callback(err) : next(index + 1)));
+        };
+        next(0);
+    });
+};
+
+// Sync the generated reminders of one appointment
+const syncAppointmentReminders = (db, appointmentId, callback) => {
+    db.query('SELECT * FROM appointments WHERE id = ?', [appointmentId], (err, results) => {
+        if (err) return callback(err);
+        if (results.length === 0) return callback(null, { created: 0, updated: 0, deleted: 0 });
+
+        loadTemplate(db, (err, template) => {
+            if (err) return callback(err);
+            syncWithTemplate(db, results[0], template, new Date(), callback);
+        });
+    });
+};
+
+// Sync every upcoming appointment, after the template changed. Calls back with the
+// number of appointments whose reminders changed.
+const syncUpcomingAppointments = (db, callback) => {
+    db.query('SELECT * FROM appointments WHERE date_time > NOW() AND status IN (?) ORDER BY date_time', [OPEN_STATUSES], (err, appointments) => {
+        if (err) return callback(err);
+
+        loadTemplate(db, (err, template) => {
+            if (err) return callback(err);
+
+            const now = new Date();
+            let changed = 0;
+            const next = (index) => {
+                if (index === appointments.length) return callback(null, changed);
+
+                syncWithTemplate(db, appointments[index], template, now, (err, counts) => {
+                    if (err) return callback(err);
+                    if (counts.created + counts.updated + counts.deleted > 0) changed++;
+                    next(index + 1);
+                });
+            };
+            next(0);
+        });
+    });
+};
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    PLACEHOLDERS,
+    parseTemplate,
+    loadTemplate,
+    saveTemplate,
+    syncAppointmentReminders,
+    syncUpcomingAppointments
+};
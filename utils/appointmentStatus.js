@@ -0,0 +1,123 @@
+// Appointment lifecycle.
+// Every appointment has a status, so past appointments say what actually happened:
+//
+//   scheduled -> confirmed -> completed (with the visit's outcome)
+//       |            |   \--> no_show
+//       |            \------> rescheduled (moved to a new time; still expected)
+//       \-------------------> cancelled -> scheduled (reinstated)
+//
+// scheduled, confirmed and rescheduled are "open": the appointment is still expected,
+// alerts go out for it and it counts as upcoming. Attendance (completed or no_show) can
+// only be recorded once the appointment has started. A completed visit records an
+// outcome: diagnosis notes, whether a follow-up is needed (and by when) and whether
+// prescriptions changed.
+
+const { parseDate, formatDate } = require('./dates');
+const { publishRow } = require('./liveEvents');
+
+const APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'rescheduled', 'completed', 'cancelled', 'no_show'];
+const OPEN_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+const ATTENDANCE_STATUSES = ['completed', 'no_show'];
+
+// Allowed moves from each status. Completing again corrects the outcome, and a no-show
+// can still be marked completed when the visit did happen.
+const TRANSITIONS = {
+    scheduled: ['confirmed', 'rescheduled', 'completed', 'cancelled', 'no_show'],
+    confirmed: ['rescheduled', 'completed', 'cancelled', 'no_show'],
+    rescheduled: ['confirmed', 'rescheduled', 'completed', 'cancelled', 'no_show'],
+    completed: ['completed'],
+    no_show: ['completed'],
+    cancelled: ['scheduled']
+};
+
+const EMPTY_OUTCOME = {
+    outcome_notes: null,
+    follow_up_needed: false,
+    follow_up_date: null,
+    prescriptions_changed: false,
+    prescription_notes: null
+};
+
+// Validate a visit outcome from a request body. Returns { outcome } or { error }.
+const parseOutcome = (body) => {
+    const followUpDate = body.follow_up_date ? parseDate(body.follow_up_date) : null;
+
+    if (body.follow_up_date && !followUpDate) {
+        return { error: 'follow_up_date must be a date (YYYY-MM-DD)' };
+    }
+
+    return {
+        outcome: {
+            outcome_notes: String(body.outcome_notes || '').trim() || null,
+            follow_up_needed: !!body.follow_up_needed || !!followUpDate,
+            follow_up_date: followUpDate ? formatDate(followUpDate) : null,
+            prescriptions_changed: !!body.prescriptions_changed,
+            prescription_notes: String(body.prescription_notes || '').trim() || null
+        }
+    };
+};
+
+// Status after an edit that may move the appointment: a scheduled or confirmed
+// appointment moved to another time becomes rescheduled
+const statusAfterMove = (appointment, start) => {
+    const moved = new Date(appointment.date_time).getTime() !== start.getTime();
+    return moved && ['scheduled', 'confirmed'].includes(appointment.status) ? 'rescheduled' : appointment.status;
+};
+
+// Move an appointment to a new status. For 'completed' pass the parsed outcome; every
+// other status clears it. Calls back with { from, to } or { status, error } when the
+// appointment is missing or the move is not allowed.
+const transitionAppointment = (db, id, to, outcome, callback) => {
+    db.query('SELECT status, date_time FROM appointments WHERE id = ?', [id], (err, rows) => {
+        if (err) return callback(err);
+        if (rows.length === 0) return callback(null, { status: 404, error: 'Appointment not found' });
+
+        const from = rows[0].status;
+        if (!TRANSITIONS[from].includes(to)) {
+            return callback(null, { status: 409, error: `Cannot move an appointment from ${from} to ${to}` });
+        }
+        if (ATTENDANCE_STATUSES.includes(to) && new Date(rows[0].date_time) > new Date()) {
+            return callback(null, { status: 409, error: 'Attendance can only be recorded once the appointment has started' });
+        }
+
+        const fields = to === 'completed' ? outcome : EMPTY_OUTCOME;
+        // Cancelling or reinstating changes the calendar feed's STATUS, which subscribed
+        // calendars only pick up with a higher SEQUENCE
+        const cancellationChanged = from === 'cancelled' || to === 'cancelled';
+        const query = `
+            UPDATE appointments
+            SET status = ?, status_changed_at = NOW(), outcome_notes = ?, follow_up_needed = ?,
+                follow_up_date = ?, prescriptions_changed = ?, prescription_notes = ?,
+                ical_sequence = ical_sequence + ?
+            WHERE id = ? AND status = ?
+        `;
+        const params = [
+            to,
+            fields.outcome_notes,
+            fields.follow_up_needed,
+            fields.follow_up_date,
+            fields.prescriptions_changed,
+            fields.prescription_notes,
+            cancellationChanged ? 1 : 0,
+            id,
+            from
+        ];
+
+        db.query(query, params, (err, result) => {
+            if (err) return callback(err);
+            // Someone else changed the status between the read and the write
+            if (result.affectedRows === 0) return callback(null, { status: 409, error: 'Appointment status changed, please try again' });
+
+            publishRow(db, 'appointment', 'updated', id);
+            callback(null, { from, to });
+        });
+    });
+};
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    OPEN_STATUSES,
+    parseOutcome,
+    statusAfterMove,
+    transitionAppointment
+};
@@ -0,0 +1,208 @@
+// Appointment lengths, conflicts and free time.
+// An appointment lasts duration_minutes from its date_time and may need travel_minutes
+// to get there and back. Its "busy" span is the appointment plus travel on either side,
+// so two appointments conflict when their busy spans overlap, i.e. when the gap between
+// them is shorter than the travel both need. A reminder conflicts when it falls during
+// the appointment itself. Free slots are start times whose busy span touches nothing.
+
+const { formatDateTime, parseDate, addDays } = require('./dates');
+const { normalizeTime } = require('./schedule');
+const { fetchReminderOccurrences } = require('./reminders');
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_TRAVEL_MINUTES = 12 * 60;
+// Busy spans reach this far outside a day, so neighbouring days are loaded as well
+const MARGIN_DAYS = 2;
+const MAX_SLOT_WINDOW_DAYS = 31;
+const SLOT_DEFAULTS = { duration: DEFAULT_DURATION_MINUTES, travel: 0, dayStart: '08:00', dayEnd: '18:00', step: 30, limit: 20 };
+
+const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// 'YYYY-MM-DD' as local midnight, anything else as Date parses it
+const parseWhen = (value) => parseDate(value) || new Date(value);
+
+const wholeMinutes = (value, min, max) => {
+    const minutes = Number(value);
+    return Number.isInteger(minutes) && minutes >= min && minutes <= max ? minutes : null;
+};
+
+// Validate duration and travel buffer from a request body. The length may be given as
+// duration_minutes or as an end_time after date_time. On an edit, pass the current row:
+// fields left out keep their value. Returns { duration_minutes, travel_minutes } or { error }.
+const resolveDuration = (body, current = null) => {
+    let duration = current ? current.duration_minutes : DEFAULT_DURATION_MINUTES;
+    let travel = current ? current.travel_minutes : 0;
+
+    if (body.duration_minutes !== undefined && body.duration_minutes !== null && body.duration_minutes !== '') {
+        duration = wholeMinutes(body.duration_minutes, 1, MAX_DURATION_MINUTES);
+        if (duration === null) {
+            return { error: `duration_minutes must be a whole number between 1 and ${MAX_DURATION_MINUTES}` };
+        }
+    } else if (body.end_time) {
+        const minutes = (new Date(body.end_time) - new Date(body.date_time)) / 60000;
+        duration = wholeMinutes(Math.round(minutes), 1, MAX_DURATION_MINUTES);
+        if (duration === null) {
+            return { error: 'end_time must be after date_time and within a day of it' };
+        }
+    }
+
+    if (body.travel_minutes !== undefined && body.travel_minutes !== null && body.travel_minutes !== '') {
+        travel = wholeMinutes(body.travel_minutes, 0, MAX_TRAVEL_MINUTES);
+        if (travel === null) {
+            return { error: `travel_minutes must be a whole number between 0 and ${MAX_TRAVEL_MINUTES}` };
+        }
+    }
+
+    return { duration_minutes: duration, travel_minutes: travel };
+};
+
+// Start, end and busy span (with travel) of an appointment
+const spanOf = (start, duration, travel) => ({
+    start,
+    end: minutesAfter(start, duration),
+    busyStart: minutesAfter(start, -travel),
+    busyEnd: minutesAfter(start, duration + travel)
+});
+
+// Appointments and reminder occurrences that could touch [from, to), leaving out
+// cancelled appointments, the appointment being edited and its own reminders
+const loadCommitments = (db, from, to, excludeId, callback) => {
+    const loadFrom = addDays(from, -MARGIN_DAYS);
+    const loadTo = addDays(to, MARGIN_DAYS);
+    const query = `
+        SELECT id, doctor, type, date_time, duration_minutes, travel_minutes
+        FROM appointments
+        WHERE date_time >= ? AND date_time < ? AND id <> ? AND status <> 'cancelled'
+    `;
+
+    db.query(query, [formatDateTime(loadFrom), formatDateTime(loadTo), excludeId || 0], (err, appointments) => {
+        if (err) return callback(err);
+
+        fetchReminderOccurrences(db, loadFrom, loadTo, (err, occurrences) => {
+            if (err) return callback(err);
+
+            callback(null, {
+                appointments: appointments.map(appointment => ({
+                    ...appointment,
+                    span: spanOf(new Date(appointment.date_time), appointment.duration_minutes, appointment.travel_minutes)
+                })),
+                reminders: occurrences.filter(occurrence => !excludeId || Number(occurrence.appointment_id) !== Number(excludeId))
+            });
+        });
+    });
+};
+
+// What a span conflicts with among loaded commitments, as structured warnings
+const conflictsWith = (commitments, span) => {
+    const conflicts = [];
+
+    commitments.appointments.forEach(appointment => {
+        const other = appointment.span;
+        if (!(span.busyStart < other.busyEnd && other.busyStart < span.busyEnd)) return;
+
+        conflicts.push({
+            type: 'appointment',
+            id: appointment.id,
+            title: `${appointment.type} with ${appointment.doctor}`,
+            start: formatDateTime(other.start),
+            end: formatDateTime(other.end),
+            // 'overlap' when the appointments themselves overlap, 'travel' when only the travel time does
+            reason: span.start < other.end && other.start < span.end ? 'overlap' : 'travel'
+        });
+    });
+
+    commitments.reminders.forEach(reminder => {
+        const time = new Date(reminder.date_time);
+        if (time < span.start || time >= span.end) return;
+
+        conflicts.push({
+            type: 'reminder',
+            id: reminder.reminder_id,
+            title: reminder.title,
+            time: formatDateTime(time),
+            reason: 'during'
+        });
+    });
+
+    return conflicts;
+};
+
+// Conflicts of an appointment at start with the given length. Pass the appointment's own
+// id when editing so it does not conflict with itself.
+const findConflicts = (db, { id = null, start, duration_minutes, travel_minutes }, callback) => {
+    const span = spanOf(start, duration_minutes, travel_minutes);
+
+    loadCommitments(db, span.busyStart, span.busyEnd, id, (err, commitments) => {
+        if (err) return callback(err);
+        callback(null, conflictsWith(commitments, span));
+    });
+};
+
+// Validate a free-slot query. Returns { options } or { error }.
+const parseSlotQuery = (query, now = new Date()) => {
+    const from = query.from ? parseWhen(query.from) : now;
+    const to = query.to ? parseWhen(query.to) : addDays(from, 7);
+    const duration = query.duration === undefined ? SLOT_DEFAULTS.duration : wholeMinutes(query.duration, 1, MAX_DURATION_MINUTES);
+    const travel = query.travel === undefined ? SLOT_DEFAULTS.travel : wholeMinutes(query.travel, 0, MAX_TRAVEL_MINUTES);
+    const step = query.step === undefined ? SLOT_DEFAULTS.step : wholeMinutes(query.step, 5, 240);
+    const limit = query.limit === undefined ? SLOT_DEFAULTS.limit : wholeMinutes(query.limit, 1, 100);
+    const dayStart = normalizeTime(query.day_start || SLOT_DEFAULTS.dayStart);
+    const dayEnd = normalizeTime(query.day_end || SLOT_DEFAULTS.dayEnd);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+        return { error: 'from and to must be dates, with to after from' };
+    }
+    if ((to - from) / 86400000 > MAX_SLOT_WINDOW_DAYS) {
+        return { error: `The window can be at most ${MAX_SLOT_WINDOW_DAYS} days` };
+    }
+    if (duration === null || travel === null) {
+        return { error: 'duration and travel must be whole numbers of minutes' };
+    }
+    if (step === null || limit === null) {
+        return { error: 'step must be 5 to 240 minutes and limit 1 to 100' };
+    }
+    if (!dayStart || !dayEnd || dayStart >= dayEnd) {
+        return { error: 'day_start and day_end must be HH:MM times, with day_end later' };
+    }
+
+    return { options: { from: from < now ? now : from, to, duration, travel, step, limit, dayStart, dayEnd } };
+};
+
+// Suggest start times within [from, to) and between dayStart and dayEnd each day, every
+// step minutes, where an appointment of the given length and travel fits without conflict.
+const findFreeSlots = (db, options, callback) => {
+    const { from, to, duration, travel, step, limit, dayStart, dayEnd } = options;
+    const [startHour, startMinute] = dayStart.split(':').map(Number);
+    const [endHour, endMinute] = dayEnd.split(':').map(Number);
+
+    loadCommitments(db, from, to, null, (err, commitments) => {
+        if (err) return callback(err);
+
+        const slots = [];
+        for (let day = addDays(from, 0); day < to && slots.length < limit; day = addDays(day, 1)) {
+            const open = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startHour, startMinute);
+            const close = new Date(day.getFullYear(), day.getMonth(), day.getDate(), endHour, endMinute);
+
+            for (let start = open; slots.length < limit; start = minutesAfter(start, step)) {
+                const span = spanOf(start, duration, travel);
+                if (span.end > close || span.end > to) break;
+                if (start < from) continue;
+
+                if (conflictsWith(commitments, span).length === 0) {
+                    slots.push({ start: formatDateTime(span.start), end: formatDateTime(span.end) });
+                }
+            }
+        }
+
+        callback(null, slots);
+    });
+};
+
+module.exports = {
+    DEFAULT_DURATION_MINUTES,
+    resolveDuration,
+    findConflicts,
+    parseSlotQuery,
+    findFreeSlots
+};
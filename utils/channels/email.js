@@ -0,0 +1,50 @@
+// Email channel: sends notifications over SMTP with nodemailer.
+// The server comes from SMTP_HOST / SMTP_PORT (defaults to a local catcher such as
+// MailHog or smtp4dev on localhost:1025); the recipient is the channel's config.to
+// or NOTIFY_EMAIL_TO.
+
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const port = Number(process.env.SMTP_PORT) || 1025;
+
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    }
+    return transport;
+};
+
+const isConfigured = (config) => !!((config && config.to) || process.env.NOTIFY_EMAIL_TO);
+
+const send = ({ notification, config }, callback) => {
+    const to = (config && config.to) || process.env.NOTIFY_EMAIL_TO;
+
+    if (!to) {
+        return callback(new Error('No email recipient configured'));
+    }
+
+    getTransport().sendMail({
+        from: process.env.SMTP_FROM || 'Medical Tracker <noreply@localhost>',
+        to,
+        subject: notification.title,
+        text: `${notification.message || notification.title}\n\nDue: ${notification.due_time}`
+    }, (err, info) => {
+        if (err) return callback(err);
+        callback(null, { message_id: info.messageId });
+    });
+};
+
+module.exports = {
+    name: 'email',
+    isConfigured,
+    send
+};
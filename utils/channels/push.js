@@ -0,0 +1,53 @@
+// Web push channel: sends notifications to every browser subscription stored in
+// push_subscriptions, signed with the server's VAPID keys (see utils/vapid.js).
+// Subscriptions the push service reports as gone (404/410) are removed.
+
+const webpush = require('web-push');
+const { getVapidKeys } = require('../vapid');
+
+const isConfigured = () => !!getVapidKeys();
+
+const toSubscription = (row) => ({
+    endpoint: row.endpoint,
+    keys: { p256dh: row.p256dh, auth: row.auth }
+});
+
+const send = ({ db, notification }, callback) => {
+    if (!isConfigured()) {
+        return callback(new Error('VAPID keys are not configured'));
+    }
+
+    db.query('SELECT * FROM push_subscriptions', (err, subscriptions) => {
+        if (err) return callback(err);
+        if (subscriptions.length === 0) return callback(new Error('No browsers are subscribed to push notifications'));
+
+        const payload = JSON.stringify(notification);
+        const options = { vapidDetails: getVapidKeys(), TTL: 3600, urgency: notification.critical ? 'high' : 'normal' };
+
+        Promise.allSettled(subscriptions.map(row => webpush.sendNotification(toSubscription(row), payload, options)))
+            .then(results => {
+                const gone = subscriptions.filter((row, i) => results[i].status === 'rejected' &&
+                    [404, 410].includes(results[i].reason.statusCode));
+                const delivered = results.filter(result => result.status === 'fulfilled').length;
+
+                if (gone.length > 0) {
+                    db.query('DELETE FROM push_subscriptions WHERE id IN (?)', [gone.map(row => row.id)], (err) => {
+                        if (err) console.error('Failed to remove expired push subscriptions:', err);
+                    });
+                }
+
+                if (delivered === 0) {
+                    const failure = results.find(result => result.status === 'rejected');
+                    return callback(new Error(`Push failed: ${failure.reason.message}`));
+                }
+
+                callback(null, { delivered, failed: results.length - delivered });
+            });
+    });
+};
+
+module.exports = {
+    name: 'push',
+    isConfigured,
+    send
+};
@@ -0,0 +1,40 @@
+// Webhook channel: POSTs each notification as JSON to an HTTP endpoint.
+// The URL is the channel's config.url or NOTIFY_WEBHOOK_URL. With a config.secret the
+// body is signed (HMAC-SHA256, hex) in the X-Signature header so receivers can verify it.
+
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 10000;
+
+const isConfigured = (config) => !!((config && config.url) || process.env.NOTIFY_WEBHOOK_URL);
+
+const send = ({ notification, config }, callback) => {
+    const url = (config && config.url) || process.env.NOTIFY_WEBHOOK_URL;
+
+    if (!url) {
+        return callback(new Error('No webhook URL configured'));
+    }
+
+    const body = JSON.stringify({ event: 'notification', notification });
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (config && config.secret) {
+        headers['X-Signature'] = crypto.createHmac('sha256', config.secret).update(body).digest('hex');
+    }
+
+    // Both outcomes are handled in one then() so an error thrown by the callback is not
+    // caught and reported as a failed delivery (calling back twice)
+    fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) })
+        .then(response => {
+            if (!response.ok) {
+                return callback(new Error(`Webhook responded with HTTP ${response.status}`));
+            }
+            callback(null, { status: response.status });
+        }, err => callback(err));
+};
+
+module.exports = {
+    name: 'webhook',
+    isConfigured,
+    send
+};
@@ -0,0 +1,200 @@
+// Medication courses and tapering plans.
+//
+// A medication may have a start_date and end_date (both inclusive). A fixed-length
+// course is stored as an end_date computed from course_days, and a tapering plan is
+// a JSON list of steps such as [{ days: 5, dosage: '40 mg' }, { days: 5, dosage: '20 mg' }]
+// that also sets the end_date. Once the end_date has passed the medication is archived:
+// it drops out of the active list but stays in history and analytics.
+
+const { parseDate, formatDate, addDays } = require('./dates');
+const { parseDosage, formatDosage } = require('./dosage');
+const { snapshot, recordVersion } = require('./medicationHistory');
+
+const DAY_MS = 86400000;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    return parseDate(String(value).slice(0, 10));
+};
+
+const parseTaper = (taper) => {
+    if (typeof taper === 'string') {
+        try {
+            return JSON.parse(taper);
+        } catch (e) {
+            return null;
+        }
+    }
+    return Array.isArray(taper) ? taper : null;
+};
+
+// Validate course fields from a request body. Returns { course } or { error }.
+// course holds start_date, end_date (YYYY-MM-DD or null) and taper (array or null).
+// When editing, pass the current medication row: a course without a new start_date
+// keeps the stored one instead of restarting today.
+const resolveCourse = (body, current = null) => {
+    const { start_date, end_date, course_days, taper } = body;
+    const start = start_date
+        ? parseDate(start_date)
+        : toDate((current && current.start_date) || new Date());
+
+    if (!start) {
+        return { error: 'start_date must be in YYYY-MM-DD format' };
+    }
+
+    if (taper !== undefined && taper !== null && taper !== '') {
+        const steps = parseTaper(taper);
+
+        if (!steps || steps.length === 0) {
+            return { error: 'taper must be a list of steps with days and dosage' };
+        }
+
+        const invalid = steps.find(step => !Number.isInteger(Number(step.days)) || Number(step.days) < 1 || !step.dosage);
+        if (invalid) {
+            return { error: 'Every taper step needs a whole number of days (1 or more) and a dosage' };
+        }
+
+        const badDosage = steps.map(step => parseDosage(step.dosage)).find(parsed => parsed.error);
+        if (badDosage) {
+            return { error: `Taper step: ${badDosage.error}` };
+        }
+
+        const normalized = steps.map(step => {
+            const parsed = parseDosage(step.dosage);
+            return { days: Number(step.days), dosage: formatDosage(parsed.amount, parsed.unit) };
+        });
+        const totalDays = normalized.reduce((sum, step) => sum + step.days, 0);
+
+        return {
+            course: {
+                start_date: formatDate(start),
+                end_date: formatDate(addDays(start, totalDays - 1)),
+                taper: normalized
+            }
+        };
+    }
+
+    if (course_days !== undefined && course_days !== null && course_days !== '') {
+        const days = Number(course_days);
+
+        if (!Number.isInteger(days) || days < 1) {
+            return { error: 'course_days must be a whole number of days (1 or more)' };
+        }
+
+        return {
+            course: { start_date: formatDate(start), end_date: formatDate(addDays(start, days - 1)), taper: null }
+        };
+    }
+
+    if (end_date) {
+        const end = parseDate(end_date);
+
+        if (!end) {
+            return { error: 'end_date must be in YYYY-MM-DD format' };
+        }
+        if (end < start) {
+            return { error: 'end_date must not be before start_date' };
+        }
+
+        return { course: { start_date: formatDate(start), end_date: formatDate(end), taper: null } };
+    }
+
+    return { course: { start_date: formatDate(start), end_date: null, taper: null } };
+};
+
+// Dosage in effect on a given day, following the taper plan when there is one
+const dosageOn = (medication, day) => {
+    const steps = parseTaper(medication.taper);
+    const start = toDate(medication.start_date);
+
+    if (!steps || !start) return medication.dosage;
+
+    let offset = Math.round((toDate(day) - start) / DAY_MS);
+    if (offset < 0) return steps[0].dosage;
+
+    for (const step of steps) {
+        if (offset < step.days) return step.dosage;
+        offset -= step.days;
+    }
+
+    return steps[steps.length - 1].dosage;
+};
+
+// Window in which a medication is taken, as [start, end) Dates (either may be null)
+const getCourseWindow = (medication) => {
+    const start = toDate(medication.start_date);
+    const end = toDate(medication.end_date);
+
+    return { start, end: end ? addDays(end, 1) : null };
+};
+
+// Progress through the course for display, or null for open-ended medications
+const describeCourse = (medication, now = new Date()) => {
+    const start = toDate(medication.start_date);
+    const end = toDate(medication.end_date);
+
+    if (!start || !end) return null;
+
+    const today = toDate(now);
+    const totalDays = Math.round((end - start) / DAY_MS) + 1;
+    const dayOfCourse = Math.round((today - start) / DAY_MS) + 1;
+
+    return {
+        start_date: formatDate(start),
+        end_date: formatDate(end),
+        total_days: totalDays,
+        day_of_course: dayOfCourse < 1 ? 0 : Math.min(dayOfCourse, totalDays),
+        not_started: dayOfCourse < 1,
+        current_dosage: dosageOn(medication, today),
+        taper: parseTaper(medication.taper)
+    };
+};
+
+// Archive every medication whose course ended before today, storing an 'archived'
+// version for each so the end of the course shows in its history.
+// Calls back with the number of medications archived.
+const archiveExpiredCourses = (db, callback) => {
+    const query = `
+        SELECT * FROM medications
+        WHERE archived_at IS NULL AND end_date IS NOT NULL AND end_date < CURDATE()
+    `;
+
+    db.query(query, (err, expired) => {
+        if (err) return callback(err);
+        if (expired.length === 0) return callback(null, 0);
+
+        let pending = expired.length;
+        let archived = 0;
+        let failed = null;
+
+        const finish = (err) => {
+            if (err) failed = failed || err;
+            if (--pending === 0) callback(failed, archived);
+        };
+
+        expired.forEach(medication => {
+            const before = snapshot(medication);
+
+            // Only the sweep that actually archives the row records the version
+            db.query('UPDATE medications SET archived_at = NOW() WHERE id = ? AND archived_at IS NULL', [medication.id], (err, result) => {
+                if (err) return finish(err);
+                if (result.affectedRows === 0) return finish(null);
+
+                archived++;
+                recordVersion(db, medication.id, before, (err) => {
+                    if (err) console.error(`Failed to record archived version for medication ${medication.id}:`, err);
+                    finish(null);
+                });
+            });
+        });
+    });
+};
+
+module.exports = {
+    resolveCourse,
+    dosageOn,
+    getCourseWindow,
+    describeCourse,
+    archiveExpiredCourses
+};
@@ -0,0 +1,35 @@
+// Local date helpers shared by the schedule, course and analytics code.
+// Dates are handled in server local time, matching how MySQL DATETIME values are read.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Format a Date as a local 'YYYY-MM-DD HH:MM:SS' string (the DATETIME format MySQL expects)
+const formatDateTime = (date) => {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Format a Date as a local 'YYYY-MM-DD' string
+const formatDate = (date) => {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Parse 'YYYY-MM-DD' as local midnight, or null when invalid
+const parseDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Local midnight a number of days after the given date
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+module.exports = {
+    pad,
+    formatDateTime,
+    formatDate,
+    parseDate,
+    addDays
+};
@@ -0,0 +1,137 @@
+// Structured dosage amounts.
+// Free-text dosages such as "500mg", "1000 IU" or "1/2 tablet" are parsed into an
+// amount and a unit from a known vocabulary. Units of the same dimension (mass,
+// volume) convert into each other; count units such as tablets or puffs only compare
+// with themselves.
+
+// Canonical unit -> dimension, factor to the dimension's base unit, and accepted spellings
+const UNITS = {
+    mcg: { dimension: 'mass', factor: 0.001, aliases: ['mcg', 'µg', 'ug', 'microgram', 'micrograms'] },
+    mg: { dimension: 'mass', factor: 1, aliases: ['mg', 'milligram', 'milligrams'] },
+    g: { dimension: 'mass', factor: 1000, aliases: ['g', 'gm', 'gram', 'grams'] },
+    mL: { dimension: 'volume', factor: 1, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres', 'cc'] },
+    L: { dimension: 'volume', factor: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+    tsp: { dimension: 'volume', factor: 5, aliases: ['tsp', 'teaspoon', 'teaspoons'] },
+    tbsp: { dimension: 'volume', factor: 15, aliases: ['tbsp', 'tablespoon', 'tablespoons'] },
+    IU: { dimension: 'IU', factor: 1, aliases: ['iu', 'international unit', 'international units'] },
+    units: { dimension: 'units', factor: 1, aliases: ['unit', 'units', 'u'] },
+    mEq: { dimension: 'mEq', factor: 1, aliases: ['meq'] },
+    tablets: { dimension: 'tablets', factor: 1, aliases: ['tablet', 'tablets', 'tab', 'tabs', 'pill', 'pills'] },
+    capsules: { dimension: 'capsules', factor: 1, aliases: ['capsule', 'capsules', 'cap', 'caps'] },
+    puffs: { dimension: 'puffs', factor: 1, aliases: ['puff', 'puffs', 'inhalation', 'inhalations'] },
+    drops: { dimension: 'drops', factor: 1, aliases: ['drop', 'drops', 'gtt'] },
+    sprays: { dimension: 'sprays', factor: 1, aliases: ['spray', 'sprays'] },
+    patches: { dimension: 'patches', factor: 1, aliases: ['patch', 'patches'] },
+    sachets: { dimension: 'sachets', factor: 1, aliases: ['sachet', 'sachets'] }
+};
+
+const unitIndex = Object.entries(UNITS).reduce((index, [unit, definition]) => {
+    definition.aliases.forEach(alias => {
+        index[alias] = unit;
+    });
+    return index;
+}, {});
+
+// Resolve a unit spelling to its canonical unit, or null
+const normalizeUnit = (unit) => {
+    const key = String(unit || '').toLowerCase().replace(/\.$/, '').trim();
+    return unitIndex[key] || null;
+};
+
+const parseAmount = (text) => {
+    if (text === '½') return 0.5;
+
+    const fraction = /^(\d+)\/(\d+)$/.exec(text);
+    if (fraction) {
+        return Number(fraction[2]) === 0 ? NaN : Number(fraction[1]) / Number(fraction[2]);
+    }
+
+    return Number(text);
+};
+
+// Parse a dosage string. Returns { amount, unit } or { error } with a helpful message.
+const parseDosage = (text) => {
+    // Drop thousands separators ("1,000 IU", "1,000,000 IU") and accept a decimal comma ("0,5 mg")
+    const value = String(text || '').trim().replace(/(\d),(?=\d{3}(?:,\d{3})*(?!\d))/g, '$1').replace(',', '.');
+    const match = /^(\d+(?:\.\d+)?|\d+\/\d+|½)\s*([a-zµ][a-zµ. ]*)$/i.exec(value);
+
+    if (!match) {
+        return {
+            error: `Could not understand dosage "${text}". Use an amount followed by a unit, ` +
+                'for example "500 mg", "1000 IU" or "2 tablets".'
+        };
+    }
+
+    const amount = parseAmount(match[1]);
+    const unit = normalizeUnit(match[2]);
+
+    if (!unit) {
+        return {
+            error: `Unknown dosage unit "${match[2].trim()}". Known units: ${Object.keys(UNITS).join(', ')}.`
+        };
+    }
+
+    if (!(amount > 0)) {
+        return { error: 'Dosage amount must be greater than zero' };
+    }
+
+    return { amount: Math.round(amount * 10000) / 10000, unit };
+};
+
+// Canonical display text for an amount and unit, e.g. "500 mg"
+const formatDosage = (amount, unit) => `${Number(amount)} ${unit}`;
+
+// Convert an amount between compatible units. Returns null when the units cannot be compared.
+const convertDosage = (amount, fromUnit, toUnit) => {
+    const from = UNITS[normalizeUnit(fromUnit)];
+    const to = UNITS[normalizeUnit(toUnit)];
+
+    if (!from || !to || from.dimension !== to.dimension) return null;
+
+    return Math.round((amount * from.factor / to.factor) * 10000) / 10000;
+};
+
+// Fill dosage_amount and dosage_unit for rows saved before dosages were structured.
+// Rows that cannot be parsed are left alone and reported so they can be fixed by hand.
+// Rows whose raw dosage text still has several thousands separators ("1,000,000 IU")
+// are parsed again from that text on every run.
+const backfillDosages = (db, callback) => {
+    const query = "SELECT id, dosage FROM medications WHERE dosage_amount IS NULL OR dosage REGEXP '[0-9],[0-9]{3},[0-9]{3}'";
+
+    db.query(query, (err, rows) => {
+        if (err) return callback(err);
+
+        const unparsed = [];
+        let pending = rows.length;
+
+        if (pending === 0) return callback(null, { updated: 0, unparsed });
+
+        rows.forEach(row => {
+            const parsed = parseDosage(row.dosage);
+
+            if (parsed.error) {
+                unparsed.push({ id: row.id, dosage: row.dosage });
+                if (--pending === 0) callback(null, { updated: rows.length - unparsed.length, unparsed });
+                return;
+            }
+
+            db.query(
+                'UPDATE medications SET dosage_amount = ?, dosage_unit = ? WHERE id = ?',
+                [parsed.amount, parsed.unit, row.id],
+                (err) => {
+                    if (err) console.error(`Failed to backfill dosage for medication ${row.id}:`, err);
+                    if (--pending === 0) callback(null, { updated: rows.length - unparsed.length, unparsed });
+                }
+            );
+        });
+    });
+};
+
+module.exports = {
+    UNITS,
+    normalizeUnit,
+    parseDosage,
+    formatDosage,
+    convertDosage,
+    backfillDosages
+};
@@ -0,0 +1,129 @@
+// Dose log helpers shared by the medication and dose routes.
+// Every take, skip, snooze or undo is stored as its own row in dose_events,
+// so the history survives when the medication's taken flag is flipped.
+// Skips carry a reason, snoozes the time the dose is due again, and a dose
+// taken late keeps both its scheduled time and the time it was actually taken.
+// Taken and undone events also move the medication's stock.
+
+const { formatDate, formatDateTime } = require('./dates');
+const { adjustStockForDose, checkRefill } = require('./inventory');
+const { publish } = require('./liveEvents');
+
+const DOSE_ACTIONS = ['taken', 'skipped', 'snoozed', 'undone'];
+const SKIP_REASONS = ['side_effects', 'forgot', 'out_of_stock', 'felt_better', 'doctor_advised', 'other'];
+const MAX_SNOOZE_MINUTES = 720;
+
+// Parse a date-time from a request ('YYYY-MM-DD HH:MM[:SS]' or ISO), or null when invalid
+const parseDateTime = (value) => {
+    const date = new Date(String(value).replace(' ', 'T'));
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Validate the action-specific fields of a dose request.
+// Returns { details } ready for recordDoseEvent, or { error }.
+const resolveDoseDetails = (action, body, now = new Date()) => {
+    const { event_time, scheduled_time, reason, minutes, notes } = body;
+    const details = { notes };
+
+    if (!DOSE_ACTIONS.includes(action)) {
+        return { error: `Action must be one of: ${DOSE_ACTIONS.join(', ')}` };
+    }
+
+    if (scheduled_time) {
+        const scheduled = parseDateTime(scheduled_time);
+        if (!scheduled) {
+            return { error: 'scheduled_time must be a date and time such as 2025-01-31 08:00' };
+        }
+        details.scheduled_time = formatDateTime(scheduled);
+    }
+
+    if (event_time) {
+        const taken = parseDateTime(event_time);
+        if (!taken) {
+            return { error: 'event_time must be a date and time such as 2025-01-31 09:30' };
+        }
+        if (taken > now) {
+            return { error: 'event_time cannot be in the future' };
+        }
+        details.event_time = formatDateTime(taken);
+    }
+
+    if (action === 'skipped') {
+        if (!SKIP_REASONS.includes(reason)) {
+            return { error: `A skipped dose needs a reason: ${SKIP_REASONS.join(', ')}` };
+        }
+        details.reason = reason;
+    }
+
+    if (action === 'snoozed') {
+        const snoozeMinutes = Number(minutes);
+        if (!Number.isInteger(snoozeMinutes) || snoozeMinutes < 1 || snoozeMinutes > MAX_SNOOZE_MINUTES) {
+            return { error: `minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}` };
+        }
+        details.snooze_until = formatDateTime(new Date(now.getTime() + snoozeMinutes * 60000));
+    }
+
+    return { details };
+};
+
+// Record a single dose event for a medication, then update stock.
+// Calls back with (err, insertResult, refillReminderId).
+const recordDoseEvent = (db, medicationId, action, options, callback) => {
+    const { event_time, scheduled_time, reason, snooze_until, notes } = options || {};
+
+    if (!DOSE_ACTIONS.includes(action)) {
+        return callback(new Error(`Invalid dose action '${action}'. Use one of: ${DOSE_ACTIONS.join(', ')}`));
+    }
+
+    const query = `
+        INSERT INTO dose_events (medication_id, action, reason, event_time, scheduled_time, snooze_until, notes)
+        VALUES (?, ?, ?, COALESCE(?, NOW()), ?, ?, ?)
+    `;
+
+    db.query(query, [
+        medicationId,
+        action,
+        reason || null,
+        event_time || null,
+        scheduled_time || null,
+        snooze_until || null,
+        notes || null
+    ], (err, result) => {
+        if (err) return callback(err);
+
+        const done = (refillReminderId) => {
+            publish('dose', 'created', result.insertId, { medication_id: Number(medicationId), action });
+            callback(null, result, refillReminderId);
+        };
+
+        adjustStockForDose(db, medicationId, action, result.insertId, (err) => {
+            if (err) {
+                // The dose itself is logged; a stock error should not lose it
+                console.error('Failed to update medication stock:', err);
+                return done(null);
+            }
+
+            checkRefill(db, medicationId, (err, refillReminderId) => {
+                if (err) console.error('Failed to check medication refill:', err);
+                done(refillReminderId || null);
+            });
+        });
+    });
+};
+
+// Resolve 'today' or a YYYY-MM-DD string to a date string, or null when invalid
+const parseDay = (day) => {
+    if (!day || day === 'today') {
+        return formatDate(new Date());
+    }
+
+    return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+};
+
+module.exports = {
+    DOSE_ACTIONS,
+    SKIP_REASONS,
+    resolveDoseDetails,
+    recordDoseEvent,
+    parseDay
+};
@@ -0,0 +1,281 @@
+// Caregiver escalation.
+// When a medication dose or a critical reminder goes unanswered, the patient's caregivers
+// are told in turn: each active caregiver once their delay_minutes after the patient was
+// alerted has passed (e.g. a relative after 15 minutes, a nurse after 45). Alerts held back
+// by quiet hours or do-not-disturb count from when they are finally delivered, so nobody is
+// called about a dose the patient has not been told about yet. The chain stops as soon as
+// the patient takes or skips the dose or acknowledges the reminder, or a caregiver
+// acknowledges it on the patient's behalf through the link in their message. Every message
+// sent to a caregiver is logged in escalations.
+
+const crypto = require('crypto');
+const { formatDateTime } = require('./dates');
+const { channels, loadChannelSettings } = require('./notifications');
+const { MAX_DND_MINUTES } = require('./quietHours');
+const { transitionReminder } = require('./reminderStates');
+const { recordDoseEvent } = require('./doseLog');
+
+const CAREGIVER_CHANNELS = ['email', 'webhook'];
+// Alerts older than the longest caregiver delay plus this are left alone (e.g. after downtime)
+const LOOKBACK_GRACE_MINUTES = 60;
+// A dose logged up to this long before its scheduled time answers it
+const EARLY_DOSE_MINUTES = 120;
+
+const publicUrl = () => process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const acknowledgeUrl = (token) => `${publicUrl()}/api/caregivers/escalations/acknowledge/${token}`;
+
+const minutesBefore = (date, minutes) => new Date(date.getTime() - minutes * 60000);
+
+// Validate a caregiver from a request body. Returns { caregiver } or { error }.
+const parseCaregiver = (body) => {
+    const name = String(body.name || '').trim();
+    const channel = body.channel || 'email';
+    const address = String(body.address || '').trim();
+    const delay = body.delay_minutes === undefined || body.delay_minutes === '' ? 30 : Number(body.delay_minutes);
+
+    if (!name) {
+        return { error: 'Caregiver name is required' };
+    }
+    if (!CAREGIVER_CHANNELS.includes(channel)) {
+        return { error: `channel must be one of: ${CAREGIVER_CHANNELS.join(', ')}` };
+    }
+    if (channel === 'email' && !/^[^\s@]+@[^\s@]+$/.test(address)) {
+        return { error: 'address must be an email address' };
+    }
+    if (channel === 'webhook' && !/^https?:\/\/\S+$/.test(address)) {
+        return { error: 'address must be an http(s) URL' };
+    }
+    if (!Number.isInteger(delay) || delay < 1 || delay > 1440) {
+        return { error: 'delay_minutes must be a whole number between 1 and 1440' };
+    }
+
+    return { caregiver: { name, channel, address, delay_minutes: delay, active: body.active !== false } };
+};
+
+// The first alert of each dose or critical reminder that reached the patient between the
+// two times, with alerted_at set to its first successful delivery. An alert without any
+// deliveries (no channel enabled) counts from its scheduled time; one whose deliveries are
+// all still pending (deferred or retrying) is left out until it goes out.
+const findCandidates = (db, from, to, callback) => {
+    const query = `
+        SELECT n.*, COALESCE(
+            MIN(d.delivered_at),
+            IF(SUM(d.status IN ('pending', 'sending')) > 0, NULL, n.scheduled_time)
+        ) AS alerted_at
+        FROM notification_dispatches n
+        JOIN (
+            SELECT MIN(id) AS id
+            FROM notification_dispatches
+            WHERE lead_minutes = 0
+            AND (source_type = 'medication' OR (source_type = 'reminder' AND critical = TRUE))
+            AND scheduled_time >= ? AND scheduled_time <= ?
+            GROUP BY source_type, source_id, scheduled_time
+        ) first ON first.id = n.id
+        LEFT JOIN notification_deliveries d ON d.dispatch_id = n.id
+        GROUP BY n.id
+        HAVING alerted_at >= ? AND alerted_at <= ?
+    `;
+    // Deliveries can be held back for as long as do-not-disturb lasts
+    const params = [formatDateTime(minutesBefore(from, MAX_DND_MINUTES)), formatDateTime(to), formatDateTime(from), formatDateTime(to)];
+
+    db.query(query, params, callback);
+};
+
+// Has the patient answered the alert (dose taken or skipped, reminder acknowledged)?
+const patientAnswered = (db, alert, callback) => {
+    const scheduled = new Date(alert.scheduled_time);
+    const query = alert.source_type === 'medication'
+        ? `SELECT COUNT(*) AS answered FROM dose_events
+           WHERE medication_id = ? AND action IN ('taken', 'skipped')
+           AND (scheduled_time = ? OR (scheduled_time IS NULL AND event_time >= ?))`
+        : `SELECT COUNT(*) AS answered FROM reminder_states
+           WHERE reminder_id = ? AND occurrence_time = ? AND status = 'acknowledged'`;
+    const params = alert.source_type === 'medication'
+        ? [alert.source_id, formatDateTime(scheduled), formatDateTime(minutesBefore(scheduled, EARLY_DOSE_MINUTES))]
+        : [alert.source_id, formatDateTime(scheduled)];
+
+    db.query(query, params, (err, results) => {
+        if (err) return callback(err);
+        callback(null, results[0].answered > 0);
+    });
+};
+
+// Claim, send and log one escalation to one caregiver
+const escalate = (db, alert, caregiver, settings, callback) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    const query = `
+        INSERT IGNORE INTO escalations
+            (source_type, source_id, scheduled_time, dispatch_id, caregiver_id, status, token)
+        VALUES (?, ?, ?, ?, ?, 'pending', ?)
+    `;
+    const scheduled = new Date(alert.scheduled_time);
+
+    db.query(query, [alert.source_type, alert.source_id, formatDateTime(scheduled), alert.id, caregiver.id, token], (err, result) => {
+        if (err) return callback(err);
+        if (result.affectedRows === 0) return callback(null, false);
+
+        const escalationId = result.insertId;
+        const clock = scheduled.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        const what = alert.source_type === 'medication' ? 'dose' : 'reminder';
+        const notification = {
+            id: alert.id,
+            source_type: alert.source_type,
+            source_id: alert.source_id,
+            due_time: formatDateTime(scheduled),
+            scheduled_time: formatDateTime(scheduled),
+            lead_minutes: 0,
+            critical: true,
+            silent: false,
+            title: `Unanswered ${what}: ${alert.title}`,
+            message: `"${alert.title}" was due at ${clock} and has not been answered. ` +
+                `Please check in, then acknowledge it here: ${acknowledgeUrl(token)}`,
+            escalation: {
+                id: escalationId,
+                caregiver: caregiver.name,
+                acknowledge_url: acknowledgeUrl(token)
+            }
+        };
+        const baseConfig = settings[caregiver.channel] ? settings[caregiver.channel].config : {};
+        const config = caregiver.channel === 'email'
+            ? { ...baseConfig, to: caregiver.address }
+            : { ...baseConfig, url: caregiver.address };
+
+        channels[caregiver.channel].send({ db, notification, config }, (sendErr) => {
+            const update = sendErr
+                ? ['UPDATE escalations SET status = \'failed\', last_error = ? WHERE id = ?', [sendErr.message, escalationId]]
+                : ['UPDATE escalations SET status = \'sent\', sent_at = NOW() WHERE id = ?', [escalationId]];
+
+            if (sendErr) console.error(`Escalation ${escalationId} to ${caregiver.name} failed:`, sendErr.message);
+            else console.log(`📣 Escalated "${alert.title}" to ${caregiver.name}`);
+
+            db.query(update[0], update[1], (err) => callback(err, !sendErr));
+        });
+    });
+};
+
+// Escalate one alert to every caregiver whose delay has passed and who has not been told yet
+const escalateAlert = (db, alert, caregivers, settings, now, callback) => {
+    const key = [alert.source_type, alert.source_id, formatDateTime(new Date(alert.scheduled_time))];
+    const query = `
+        SELECT caregiver_id, acknowledged_at FROM escalations
+        WHERE source_type = ? AND source_id = ? AND scheduled_time = ?
+    `;
+
+    db.query(query, key, (err, existing) => {
+        if (err) return callback(err);
+        if (existing.some(row => row.acknowledged_at)) return callback(null, 0);
+
+        const overdue = (now - new Date(alert.alerted_at)) / 60000;
+        const due = caregivers.filter(caregiver => caregiver.delay_minutes <= overdue &&
+            !existing.some(row => row.caregiver_id === caregiver.id));
+        if (due.length === 0) return callback(null, 0);
+
+        patientAnswered(db, alert, (err, answered) => {
+            if (err) return callback(err);
+            if (answered) return callback(null, 0);
+
+            let sent = 0;
+            let remaining = due.length;
+            due.forEach(caregiver => {
+                escalate(db, alert, caregiver, settings, (err, delivered) => {
+                    if (err) console.error('Failed to record escalation:', err);
+                    if (delivered) sent++;
+                    if (--remaining === 0) callback(null, sent);
+                });
+            });
+        });
+    });
+};
+
+// Escalate everything that has gone unanswered for long enough. Calls back with the number sent.
+const runEscalations = (db, now, callback) => {
+    db.query('SELECT * FROM caregivers WHERE active = TRUE', (err, caregivers) => {
+        if (err) return callback(err);
+        if (caregivers.length === 0) return callback(null, 0);
+
+        const delays = caregivers.map(caregiver => caregiver.delay_minutes);
+        const from = minutesBefore(now, Math.max(...delays) + LOOKBACK_GRACE_MINUTES);
+        const to = minutesBefore(now, Math.min(...delays));
+
+        loadChannelSettings(db, (err, settings) => {
+            if (err) return callback(err);
+
+            findCandidates(db, from, to, (err, alerts) => {
+                if (err) return callback(err);
+                if (alerts.length === 0) return callback(null, 0);
+
+                let sent = 0;
+                let remaining = alerts.length;
+                alerts.forEach(alert => {
+                    escalateAlert(db, alert, caregivers, settings, now, (err, count) => {
+                        if (err) console.error('Failed to escalate alert:', err);
+                        else sent += count;
+                        if (--remaining === 0) callback(null, sent);
+                    });
+                });
+            });
+        });
+    });
+};
+
+// Acknowledge an escalation on the patient's behalf. With action 'taken' a dose is also
+// logged as taken. Calls back with { message } or { status, error }.
+const acknowledgeEscalation = (db, token, action, callback) => {
+    const query = `
+        SELECT e.*, c.name AS caregiver_name
+        FROM escalations e
+        LEFT JOIN caregivers c ON c.id = e.caregiver_id
+        WHERE e.token = ?
+    `;
+
+    db.query(query, [token], (err, results) => {
+        if (err) return callback(err);
+        if (results.length === 0) return callback(null, { status: 404, error: 'Escalation not found' });
+
+        const escalation = results[0];
+        const caregiverName = escalation.caregiver_name || 'a caregiver';
+        const scheduled = new Date(escalation.scheduled_time);
+
+        if (action === 'taken' && escalation.source_type !== 'medication') {
+            return callback(null, { status: 400, error: 'Only doses can be marked as taken' });
+        }
+
+        db.query(
+            'UPDATE escalations SET status = \'acknowledged\', acknowledged_at = NOW() WHERE id = ? AND acknowledged_at IS NULL',
+            [escalation.id],
+            (err, result) => {
+                if (err) return callback(err);
+                if (result.affectedRows === 0) return callback(null, { message: 'Already acknowledged. Thank you.' });
+
+                if (escalation.source_type === 'reminder') {
+                    return transitionReminder(db, escalation.source_id, scheduled, 'acknowledged', {}, (err) => {
+                        if (err) return callback(err);
+                        callback(null, { message: `Reminder acknowledged by ${caregiverName}. Thank you.` });
+                    });
+                }
+
+                if (action !== 'taken') {
+                    return callback(null, { message: `Dose acknowledged by ${caregiverName}. Thank you.` });
+                }
+
+                db.query('UPDATE medications SET taken = TRUE WHERE id = ?', [escalation.source_id], (err) => {
+                    if (err) return callback(err);
+
+                    const details = { scheduled_time: formatDateTime(scheduled), notes: `Confirmed by caregiver ${caregiverName}` };
+                    recordDoseEvent(db, escalation.source_id, 'taken', details, (err) => {
+                        if (err) return callback(err);
+                        callback(null, { message: `Dose marked as taken by ${caregiverName}. Thank you.` });
+                    });
+                });
+            }
+        );
+    });
+};
+
+module.exports = {
+    CAREGIVER_CHANNELS,
+    parseCaregiver,
+    runEscalations,
+    acknowledgeEscalation
+};
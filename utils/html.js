@@ -0,0 +1,14 @@
+// HTML helpers for the few pages the server renders itself (caregiver links, visit summaries).
+
+// Escape text for use in HTML content and attribute values
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+}[char]));
+
+module.exports = {
+    escapeHtml
+};
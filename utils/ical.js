@@ -0,0 +1,281 @@
+// iCalendar (RFC 5545) support for appointments.
+// formatCalendar turns appointments into a feed that phone and desktop calendars can
+// subscribe to. Each appointment keeps the same UID on every refresh (the UID it was
+// imported with, or one derived from its id), so calendars update events instead of
+// duplicating them. parseCalendar reads the VEVENTs out of an .ics file, such as a
+// clinic's booking confirmation, for import.
+
+const { pad } = require('./dates');
+const { DEFAULT_DURATION_MINUTES } = require('./availability');
+
+const PRODUCT_ID = '-//Medical Tracker//Appointments//EN';
+const UID_DOMAIN = 'medical-tracker';
+// VEVENT STATUS for appointment statuses; the others are left without one
+const EVENT_STATUSES = { confirmed: 'CONFIRMED', completed: 'CONFIRMED', cancelled: 'CANCELLED' };
+const OWN_UID = new RegExp(`^appointment-(\\d+)@${UID_DOMAIN}$`);
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+// The UID an appointment is published under
+const appointmentUid = (appointment) => appointment.ical_uid || `appointment-${appointment.id}@${UID_DOMAIN}`;
+
+// The appointment id in a UID this feed published, or null for UIDs from elsewhere
+const ownAppointmentId = (uid) => {
+    const match = OWN_UID.exec(uid || '');
+    return match ? Number(match[1]) : null;
+};
+
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// A UTC timestamp in iCalendar form, e.g. 20261020T083000Z
+const formatUtc = (date) => {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+// Split a content line into 75-octet pieces without breaking a multi-byte character
+const foldLine = (line) => {
+    const pieces = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            pieces.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    pieces.push(current);
+
+    return pieces.join('\r\n ');
+};
+
+const formatEvent = (appointment, now) => {
+    const start = new Date(appointment.date_time);
+    const end = new Date(start.getTime() + (appointment.duration_minutes || DEFAULT_DURATION_MINUTES) * 60000);
+    const modified = appointment.updated_at ? new Date(appointment.updated_at) : now;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${appointmentUid(appointment)}`,
+        `DTSTAMP:${formatUtc(modified)}`,
+        `LAST-MODIFIED:${formatUtc(modified)}`,
+        `SEQUENCE:${appointment.ical_sequence || 0}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(`${appointment.type} with ${appointment.doctor}`)}`,
+        `CATEGORIES:${escapeText(appointment.type)}`
+    ];
+
+    if (appointment.location) {
+        lines.push(`LOCATION:${escapeText(appointment.location)}`);
+    }
+    if (EVENT_STATUSES[appointment.status]) {
+        lines.push(`STATUS:${EVENT_STATUSES[appointment.status]}`);
+    }
+    lines.push('END:VEVENT');
+
+    return lines;
+};
+
+// Build a VCALENDAR document for the appointments
+const formatCalendar = (appointments, name = 'Medical Appointments') => {
+    const now = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        // Ask subscribers to refresh hourly (the first is the standard, the second what Outlook reads)
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...appointments.flatMap(appointment => formatEvent(appointment, now)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Offset of a time zone from UTC at a moment, in milliseconds (throws for unknown zones)
+const zoneOffset = (time, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(time)).forEach(part => { parts[part.type] = Number(part.value); });
+
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+};
+
+// Parse a DATE or DATE-TIME value. UTC ('Z') and TZID times are converted; floating
+// times, all-day dates and zones this system does not know are read as server local time.
+const parseDateValue = (value, params) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+    let date;
+
+    if (match[7]) {
+        date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    } else if (params.TZID && match[4]) {
+        try {
+            // Correct the wall-clock time by the zone's offset, twice to settle across DST changes
+            const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+            let time = wallClock - zoneOffset(wallClock, params.TZID);
+            time = wallClock - zoneOffset(time, params.TZID);
+            date = new Date(time);
+        } catch (err) {
+            date = new Date(year, month - 1, day, hour, minute, second);
+        }
+    } else {
+        date = new Date(year, month - 1, day, hour, minute, second);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Minutes in a DURATION value such as PT1H30M or P1D, or null when unreadable
+const parseDuration = (value) => {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes + Math.round(seconds / 60);
+};
+
+// Length of an event in minutes from DTEND or DURATION, or null when it has neither
+const eventMinutes = (properties, start) => {
+    if (properties.DTEND && start) {
+        const end = parseDateValue(properties.DTEND.value, properties.DTEND.params);
+        return end ? Math.round((end - start) / 60000) : null;
+    }
+    return properties.DURATION ? parseDuration(properties.DURATION.value) : null;
+};
+
+// Split 'NAME;PARAM=value;PARAM="va:lue":VALUE' into its parts
+const parseContentLine = (line) => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    rawParams.forEach(param => {
+        const equals = param.indexOf('=');
+        if (equals === -1) return;
+        params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Read the doctor and type from an event: the organizer's name when there is one,
+// otherwise 'Type with Doctor' summaries (as this feed writes them) are split.
+const describeEvent = (properties) => {
+    const summary = properties.SUMMARY ? unescapeText(properties.SUMMARY.value).trim() : '';
+    const organizer = properties.ORGANIZER && properties.ORGANIZER.params.CN;
+    const category = properties.CATEGORIES ? unescapeText(properties.CATEGORIES.value).split(',')[0].trim() : '';
+    const withMatch = /^(.+?)\s+with\s+(.+)$/i.exec(summary);
+
+    const doctor = organizer || (withMatch ? withMatch[2] : '') || summary;
+    const type = category || (withMatch ? withMatch[1] : '') || summary || 'Appointment';
+
+    return { doctor: doctor.trim(), type: type.trim() };
+};
+
+// Read the events out of an .ics document. Returns { method, events } where each event is
+// { uid, doctor, type, start, duration_minutes, location, sequence, cancelled }, or { error }
+// when the text is not a calendar. Events without a start time come back with start null,
+// and without an end or duration with duration_minutes null.
+const parseCalendar = (text) => {
+    const lines = String(text || '')
+        .replace(/\r\n[ \t]/g, '')
+        .replace(/\n[ \t]/g, '')
+        .split(/\r?\n/);
+
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+        return { error: 'Not an iCalendar file (BEGIN:VCALENDAR missing)' };
+    }
+
+    let method = null;
+    const events = [];
+    let properties = null;
+    let depth = 0; // Nesting inside the current VEVENT (VALARMs and the like)
+
+    lines.forEach(line => {
+        const property = parseContentLine(line);
+        if (!property) return;
+
+        if (property.name === 'BEGIN') {
+            if (properties) depth++;
+            else if (property.value.toUpperCase() === 'VEVENT') properties = {};
+            return;
+        }
+        if (property.name === 'END') {
+            if (properties && depth > 0) {
+                depth--;
+            } else if (properties && property.value.toUpperCase() === 'VEVENT') {
+                events.push(properties);
+                properties = null;
+            }
+            return;
+        }
+
+        if (!properties) {
+            if (property.name === 'METHOD') method = property.value.trim().toUpperCase();
+        } else if (depth === 0 && !properties[property.name]) {
+            properties[property.name] = property;
+        }
+    });
+
+    return {
+        method,
+        events: events.map(properties => {
+            const start = properties.DTSTART ? parseDateValue(properties.DTSTART.value, properties.DTSTART.params) : null;
+
+            return {
+                uid: properties.UID ? properties.UID.value.trim() : null,
+                ...describeEvent(properties),
+                start,
+                duration_minutes: eventMinutes(properties, start),
+                location: properties.LOCATION ? unescapeText(properties.LOCATION.value).trim() || null : null,
+                sequence: properties.SEQUENCE ? parseInt(properties.SEQUENCE.value, 10) || 0 : 0,
+                cancelled: method === 'CANCEL' ||
+                    (properties.STATUS ? properties.STATUS.value.trim().toUpperCase() === 'CANCELLED' : false)
+            };
+        })
+    };
+};
+
+module.exports = {
+    appointmentUid,
+    ownAppointmentId,
+    formatCalendar,
+    parseCalendar
+};
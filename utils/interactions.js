@@ -0,0 +1,121 @@
+// Drug-drug interaction and duplicate-therapy checks.
+// Works fully offline from the rule set bundled in dataset/drug_interactions.json:
+// medication names are resolved to a generic drug (through brand names and aliases),
+// then compared with the patient's other medications for the same drug, the same
+// therapeutic class and known interaction rules.
+
+const rules = require('../dataset/drug_interactions.json');
+
+const SEVERITY_RANK = { contraindicated: 4, major: 3, moderate: 2, minor: 1 };
+
+// Lowercase a medication name and strip strengths, forms and punctuation
+const normalizeName = (name) => {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/\b\d+(\.\d+)?\s*(mg|mcg|µg|g|ml|iu|units?|%)\b/g, ' ')
+        .replace(/\b(tablets?|tabs?|capsules?|caps?|syrup|injection|cream|er|xr|sr|cr|dr)\b/g, ' ')
+        .replace(/[^a-z0-9\- ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// Map every generic name and alias to its generic drug
+const aliasIndex = Object.entries(rules.drugs).reduce((index, [generic, drug]) => {
+    index[generic] = generic;
+    drug.aliases.forEach(alias => {
+        index[alias.toLowerCase()] = generic;
+    });
+    return index;
+}, {});
+
+// Longest aliases first so "isosorbide mononitrate" wins over shorter matches
+const aliasesByLength = Object.keys(aliasIndex).sort((a, b) => b.length - a.length);
+
+// Resolve a medication name to a generic drug in the rule set, or null
+const identifyDrug = (name) => {
+    const normalized = normalizeName(name);
+    if (!normalized) return null;
+
+    if (aliasIndex[normalized]) return aliasIndex[normalized];
+
+    const padded = ` ${normalized} `;
+    const alias = aliasesByLength.find(candidate => padded.includes(` ${candidate} `));
+
+    return alias ? aliasIndex[alias] : null;
+};
+
+const classesOf = (generic) => (generic && rules.drugs[generic] ? rules.drugs[generic].classes : []);
+
+// Does an interaction rule reference ('warfarin' or 'class:nsaid') cover this drug?
+const matchesReference = (reference, generic) => {
+    if (!generic) return false;
+    if (reference.startsWith('class:')) return classesOf(generic).includes(reference.slice(6));
+    return reference === generic;
+};
+
+// Compare a medication name against a list of other medications ({ id, name }).
+// Returns warnings sorted from most to least severe.
+const checkInteractions = (name, otherMedications) => {
+    const generic = identifyDrug(name);
+    const normalized = normalizeName(name);
+    const warnings = [];
+
+    otherMedications.forEach(other => {
+        const otherGeneric = identifyDrug(other.name);
+        const base = { medication_id: other.id, medication_name: other.name };
+
+        if ((generic && generic === otherGeneric) || (!generic && normalized && normalized === normalizeName(other.name))) {
+            warnings.push({
+                ...base,
+                type: 'duplicate_drug',
+                severity: 'major',
+                message: `${name} and ${other.name} are the same drug${generic ? ` (${generic})` : ''}. Taking both doubles the dose.`
+            });
+            return;
+        }
+
+        classesOf(generic)
+            .filter(drugClass => rules.classes[drugClass] && classesOf(otherGeneric).includes(drugClass))
+            .forEach(drugClass => {
+                warnings.push({
+                    ...base,
+                    type: 'duplicate_therapy',
+                    severity: rules.classes[drugClass].duplicate_severity,
+                    message: `${name} and ${other.name} are both ${rules.classes[drugClass].label}.`
+                });
+            });
+
+        rules.interactions
+            .filter(rule => (matchesReference(rule.a, generic) && matchesReference(rule.b, otherGeneric)) ||
+                (matchesReference(rule.b, generic) && matchesReference(rule.a, otherGeneric)))
+            .forEach(rule => {
+                warnings.push({
+                    ...base,
+                    type: 'interaction',
+                    severity: rule.severity,
+                    message: `${name} + ${other.name}: ${rule.description}`
+                });
+            });
+    });
+
+    return warnings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+};
+
+// Check a medication name against every other active medication in the database.
+// excludeId skips the medication being updated.
+const findInteractionWarnings = (db, name, excludeId, callback) => {
+    const query = 'SELECT id, name FROM medications WHERE id <> ? AND archived_at IS NULL';
+
+    db.query(query, [excludeId || 0], (err, results) => {
+        if (err) return callback(err);
+        callback(null, checkInteractions(name, results));
+    });
+};
+
+module.exports = {
+    SEVERITY_RANK,
+    identifyDrug,
+    checkInteractions,
+    findInteractionWarnings
+};
@@ -0,0 +1,137 @@
+// Pill inventory helpers.
+// Stock is tracked per medication as quantity_on_hand, reduced by units_per_dose
+// for every dose taken. When the projected supply drops to refill_threshold days
+// or fewer, a refill reminder is created in the reminders table (once per low-stock spell).
+
+const { getMedicationSchedule, dosesPerDay } = require('./schedule');
+const { publish } = require('./liveEvents');
+
+// Average number of units a medication's schedule uses per day
+const dailyUsage = (medication) => {
+    const unitsPerDose = Number(medication.units_per_dose) || 1;
+    return dosesPerDay(getMedicationSchedule(medication)) * unitsPerDose;
+};
+
+// Projected supply for a medication, or null when stock is not tracked
+const projectSupply = (medication) => {
+    if (medication.quantity_on_hand === null || medication.quantity_on_hand === undefined) {
+        return null;
+    }
+
+    const quantity = Number(medication.quantity_on_hand);
+    const usage = dailyUsage(medication);
+    const daysLeft = usage > 0 ? Math.floor((quantity / usage) * 10) / 10 : null;
+    const threshold = Number(medication.refill_threshold);
+
+    return {
+        quantity_on_hand: quantity,
+        daily_usage: Math.round(usage * 100) / 100,
+        days_left: daysLeft,
+        refill_threshold: threshold,
+        needs_refill: daysLeft !== null && daysLeft <= threshold
+    };
+};
+
+// Whether the undo logged as eventId cancels an earlier taken dose. Replays the
+// medication's takes and undos in order; an undo with nothing left to cancel counts
+// for nothing, as in the adherence tally.
+const undoCancelsDose = (db, medicationId, eventId, callback) => {
+    const query = `
+        SELECT id, action FROM dose_events
+        WHERE medication_id = ? AND action IN ('taken', 'undone') AND id < ?
+        ORDER BY id ASC
+    `;
+
+    db.query(query, [medicationId, eventId], (err, events) => {
+        if (err) return callback(err);
+
+        const net = events.reduce((count, event) => (event.action === 'taken' ? count + 1 : Math.max(0, count - 1)), 0);
+        callback(null, net > 0);
+    });
+};
+
+// Take stock for a dose taken (logged as eventId), or put it back when an undo
+// cancels one
+const adjustStockForDose = (db, medicationId, action, eventId, callback) => {
+    const restock = `
+        UPDATE medications
+        SET quantity_on_hand = quantity_on_hand + units_per_dose
+        WHERE id = ? AND quantity_on_hand IS NOT NULL
+    `;
+
+    if (action === 'taken') {
+        const query = `
+            UPDATE medications
+            SET quantity_on_hand = GREATEST(quantity_on_hand - units_per_dose, 0)
+            WHERE id = ? AND quantity_on_hand IS NOT NULL
+        `;
+        return db.query(query, [medicationId], (err) => callback(err));
+    }
+
+    if (action !== 'undone') return callback(null);
+
+    undoCancelsDose(db, medicationId, eventId, (err, cancels) => {
+        if (err) return callback(err);
+        if (!cancels) return callback(null);
+        db.query(restock, [medicationId], (err) => callback(err));
+    });
+};
+
+// Create a refill reminder when supply is low, or clear the link once restocked.
+// Calls back with the id of a newly created reminder, or null.
+const checkRefill = (db, medicationId, callback) => {
+    const query = `
+        SELECT m.*, r.id AS open_refill_reminder
+        FROM medications m
+        LEFT JOIN reminders r ON r.id = m.refill_reminder_id
+        WHERE m.id = ?
+    `;
+
+    db.query(query, [medicationId], (err, results) => {
+        if (err) return callback(err);
+        if (results.length === 0) return callback(null, null);
+
+        const medication = results[0];
+        const supply = projectSupply(medication);
+
+        if (!supply) return callback(null, null);
+
+        if (!supply.needs_refill) {
+            if (!medication.refill_reminder_id) return callback(null, null);
+
+            return db.query(
+                'UPDATE medications SET refill_reminder_id = NULL WHERE id = ?',
+                [medicationId],
+                (err) => callback(err, null)
+            );
+        }
+
+        if (medication.open_refill_reminder) return callback(null, null);
+
+        const notes = `Only ${supply.quantity_on_hand} left of ${medication.name} ` +
+            `(about ${supply.days_left} days). Refill soon.`;
+
+        db.query(
+            `INSERT INTO reminders (title, date_time, notes, category, priority, medication_id)
+             VALUES (?, DATE_ADD(NOW(), INTERVAL 5 MINUTE), ?, 'medication', 'high', ?)`,
+            [`Refill ${medication.name}`, notes, medicationId],
+            (err, result) => {
+                if (err) return callback(err);
+
+                publish('reminder', 'created', result.insertId);
+                db.query(
+                    'UPDATE medications SET refill_reminder_id = ? WHERE id = ?',
+                    [result.insertId, medicationId],
+                    (err) => callback(err, result.insertId)
+                );
+            }
+        );
+    });
+};
+
+module.exports = {
+    dailyUsage,
+    projectSupply,
+    adjustStockForDose,
+    checkRefill
+};
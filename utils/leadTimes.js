@@ -0,0 +1,128 @@
+// Advance alerts ("lead times") for reminders and appointments.
+// A lead time is how many minutes before the event an alert goes out, e.g. [1440, 120, 10]
+// for a day, two hours and ten minutes before. Each reminder or appointment may carry its
+// own list in lead_times; without one the user's default for its type applies, stored in
+// app_settings under 'lead_times'. Reminders always alert at their time as well; an
+// appointment only alerts at its start if 0 is in the list.
+
+const LEAD_TIME_TYPES = ['reminder', 'appointment'];
+const DEFAULT_LEAD_TIMES = {
+    reminder: [5],
+    appointment: [1440, 60]
+};
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+const UNIT_MINUTES = { m: 1, h: 60, d: 1440 };
+
+// Minutes from a number, or a string like '90', '2h' or '1d'. Returns null when unreadable.
+const toMinutes = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : null;
+
+    const match = /^\s*(\d+)\s*([mhd]?)\s*$/i.exec(String(value));
+    if (!match) return null;
+    return Number(match[1]) * UNIT_MINUTES[(match[2] || 'm').toLowerCase()];
+};
+
+// Validate a list of lead times. Returns { leadTimes } (unique, largest first) or { error }.
+const parseLeadTimes = (value) => {
+    if (!Array.isArray(value)) {
+        return { error: 'lead_times must be a list such as [1440, 120, 10] or ["1d", "2h", "10m"]' };
+    }
+
+    const minutes = [];
+    for (const entry of value) {
+        const lead = toMinutes(entry);
+        if (lead === null || lead < 0 || lead > MAX_LEAD_MINUTES) {
+            return { error: `Invalid lead time "${entry}". Use minutes (or 2h, 1d) from 0 up to 7 days` };
+        }
+        minutes.push(lead);
+    }
+
+    return { leadTimes: [...new Set(minutes)].sort((a, b) => b - a) };
+};
+
+// Validate an optional lead_times from a request body. Returns { leadTimes } (null means
+// "use the default") or { error }.
+const resolveLeadTimes = (value) => {
+    if (value === undefined || value === null || value === '') return { leadTimes: null };
+    return parseLeadTimes(value);
+};
+
+// Human-readable lead time, e.g. "1 day", "2 hours 30 minutes", "at the time"
+const formatLeadTime = (minutes) => {
+    if (minutes === 0) return 'at the time';
+
+    const parts = [];
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+
+    if (days) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (mins) parts.push(`${mins} minute${mins === 1 ? '' : 's'}`);
+    return parts.join(' ');
+};
+
+// The user's default lead times per type, falling back to DEFAULT_LEAD_TIMES
+const loadDefaultLeadTimes = (db, callback) => {
+    db.query('SELECT setting_value FROM app_settings WHERE setting_key = \'lead_times\'', (err, results) => {
+        if (err) return callback(err);
+
+        let stored = {};
+        try {
+            stored = results.length > 0 ? JSON.parse(results[0].setting_value) : {};
+        } catch (e) {
+            stored = {};
+        }
+
+        const defaults = {};
+        LEAD_TIME_TYPES.forEach(type => {
+            const parsed = Array.isArray(stored[type]) ? parseLeadTimes(stored[type]) : { error: 'unset' };
+            defaults[type] = parsed.error ? DEFAULT_LEAD_TIMES[type] : parsed.leadTimes;
+        });
+        callback(null, defaults);
+    });
+};
+
+// Store the default lead times for one type
+const saveDefaultLeadTimes = (db, type, leadTimes, callback) => {
+    loadDefaultLeadTimes(db, (err, defaults) => {
+        if (err) return callback(err);
+
+        const query = `
+            INSERT INTO app_settings (setting_key, setting_value) VALUES ('lead_times', ?)
+            ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)
+        `;
+        db.query(query, [JSON.stringify({ ...defaults, [type]: leadTimes })], (err) => callback(err));
+    });
+};
+
+// Lead times that apply to a reminder or appointment row
+const leadTimesFor = (row, type, defaults) => {
+    let own = row.lead_times;
+    if (typeof own === 'string') {
+        try {
+            own = JSON.parse(own);
+        } catch (e) {
+            own = null;
+        }
+    }
+
+    const parsed = Array.isArray(own) ? parseLeadTimes(own) : { error: 'unset' };
+    const leadTimes = parsed.error ? defaults[type] : parsed.leadTimes;
+
+    // Reminders always alert at their time too
+    return type === 'reminder' && !leadTimes.includes(0) ? [...leadTimes, 0] : leadTimes;
+};
+
+module.exports = {
+    LEAD_TIME_TYPES,
+    DEFAULT_LEAD_TIMES,
+    MAX_LEAD_MINUTES,
+    toMinutes,
+    parseLeadTimes,
+    resolveLeadTimes,
+    formatLeadTime,
+    loadDefaultLeadTimes,
+    saveDefaultLeadTimes,
+    leadTimesFor
+};
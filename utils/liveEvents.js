@@ -0,0 +1,53 @@
+// Live updates.
+// Routes publish an event after every create, update or delete of a medication, reminder,
+// vital or appointment, and the scheduler's notifications are published as they fire.
+// GET /api/events streams them to every open tab as Server-Sent Events, so pages patch
+// their lists in place instead of polling. An event looks like
+// { id, entity, action, entity_id, data } where data is the row as its list endpoint
+// returns it, or null when the client should fetch it again (and on deletes).
+
+const EventEmitter = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per open tab
+
+const TABLES = {
+    medication: 'medications',
+    reminder: 'reminders',
+    vital: 'vitals',
+    appointment: 'appointments'
+};
+
+let lastEventId = 0;
+
+const publish = (entity, action, entityId, data = null) => {
+    bus.emit('event', {
+        id: ++lastEventId,
+        entity,
+        action,
+        entity_id: Number(entityId),
+        data
+    });
+};
+
+// Listen for events. Returns a function that stops listening.
+const subscribe = (listener) => {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+};
+
+// Look up a row after a create or update and publish it; transform shapes it like its list endpoint
+const publishRow = (db, entity, action, id, transform = row => row) => {
+    db.query(`SELECT * FROM ${TABLES[entity]} WHERE id = ?`, [id], (err, results) => {
+        if (err) return console.error(`Failed to publish ${entity} ${id}:`, err);
+        if (results.length === 0) return;
+
+        publish(entity, action, id, transform(results[0]));
+    });
+};
+
+module.exports = {
+    publish,
+    subscribe,
+    publishRow
+};
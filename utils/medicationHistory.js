@@ -0,0 +1,98 @@
+// Prescription change history.
+// Every time a medication is added, edited, stopped or restarted, the prescription
+// fields that changed are stored as a numbered version in medication_versions with
+// their old and new values, so the full timeline of a prescription can be reviewed.
+// Stock on hand is not tracked here: it moves with every dose.
+
+const { formatDate, formatDateTime } = require('./dates');
+
+const TRACKED_FIELDS = [
+    'name',
+    'dosage',
+    'frequency',
+    'time',
+    'schedule',
+    'units_per_dose',
+    'refill_threshold',
+    'start_date',
+    'end_date',
+    'taper',
+    'prescriber_id',
+    'archived_at'
+];
+
+const DATE_FIELDS = ['start_date', 'end_date'];
+const JSON_FIELDS = ['schedule', 'taper'];
+const NUMBER_FIELDS = ['units_per_dose', 'refill_threshold', 'prescriber_id'];
+
+const normalizeValue = (field, value) => {
+    if (value === null || value === undefined) return null;
+    if (DATE_FIELDS.includes(field)) return value instanceof Date ? formatDate(value) : String(value).slice(0, 10);
+    if (field === 'archived_at') return value instanceof Date ? formatDateTime(value) : String(value);
+    if (NUMBER_FIELDS.includes(field)) return Number(value);
+    if (JSON_FIELDS.includes(field) && typeof value === 'string') {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+};
+
+// Comparable copy of the tracked fields of a medication row
+const snapshot = (medication) => {
+    return TRACKED_FIELDS.reduce((values, field) => {
+        values[field] = normalizeValue(field, medication[field]);
+        return values;
+    }, {});
+};
+
+// Fields whose values differ, as { field: { old, new } }
+const diffSnapshots = (before, after) => {
+    return TRACKED_FIELDS.reduce((changes, field) => {
+        const oldValue = before ? before[field] : null;
+        if (JSON.stringify(oldValue) !== JSON.stringify(after[field])) {
+            changes[field] = { old: oldValue, new: after[field] };
+        }
+        return changes;
+    }, {});
+};
+
+const changeType = (before, changes) => {
+    if (!before) return 'created';
+    if (changes.archived_at && changes.archived_at.new) return 'archived';
+    if (changes.archived_at) return 'restored';
+    return 'updated';
+};
+
+// Store a version for a medication against its state before the change
+// (a snapshot, or null for a new medication). Calls back with the version id, or null if nothing changed.
+const recordVersion = (db, medicationId, before, callback) => {
+    db.query('SELECT * FROM medications WHERE id = ?', [medicationId], (err, results) => {
+        if (err) return callback(err);
+        if (results.length === 0) return callback(null, null);
+
+        const changes = diffSnapshots(before, snapshot(results[0]));
+        if (Object.keys(changes).length === 0) return callback(null, null);
+
+        const query = `
+            INSERT INTO medication_versions (medication_id, version, change_type, changes)
+            SELECT ?, COALESCE(MAX(version), 0) + 1, ?, ?
+            FROM medication_versions
+            WHERE medication_id = ?
+        `;
+
+        db.query(query, [medicationId, changeType(before, changes), JSON.stringify(changes), medicationId], (err, result) => {
+            if (err) return callback(err);
+            callback(null, result.insertId);
+        });
+    });
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    snapshot,
+    diffSnapshots,
+    recordVersion
+};
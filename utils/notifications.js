@@ -0,0 +1,312 @@
+// Notification delivery over pluggable channels.
+// Every notification the scheduler dispatches gets one row in notification_deliveries per
+// channel picked for its type (notification_preferences), each with its own status and
+// attempt count. Failed deliveries are retried with backoff until MAX_ATTEMPTS, including
+// after a restart. During quiet hours or do-not-disturb, deliveries of non-critical
+// notifications wait until it ends, or go out flagged `silent` (see quietHours.js).
+// A channel is any module with
+// { name, isConfigured(config), send({ db, notification, config }, callback) }.
+
+const { formatDateTime } = require('./dates');
+const { quietUntil, loadQuietHours } = require('./quietHours');
+
+const NOTIFICATION_TYPES = ['reminder', 'medication', 'appointment'];
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const WORKER_MS = 30000;
+const BATCH_SIZE = 50;
+
+const channels = {};
+
+// Make a channel available for delivery and preferences
+const registerChannel = (channel) => {
+    channels[channel.name] = channel;
+};
+
+[require('./channels/email'), require('./channels/webhook'), require('./channels/push')].forEach(registerChannel);
+
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+// Every registered channel with its stored settings: { name: { enabled, config, configured } }
+const loadChannelSettings = (db, callback) => {
+    db.query('SELECT * FROM notification_channels', (err, rows) => {
+        if (err) return callback(err);
+
+        const settings = {};
+        Object.keys(channels).forEach(name => {
+            const row = rows.find(r => r.name === name);
+            const config = row ? parseJson(row.config, {}) : {};
+
+            settings[name] = {
+                enabled: row ? !!row.enabled : true,
+                config,
+                configured: channels[name].isConfigured(config)
+            };
+        });
+
+        callback(null, settings);
+    });
+};
+
+// Channels per notification type. Types without a stored choice use every configured channel.
+const loadPreferences = (db, settings, callback) => {
+    db.query('SELECT * FROM notification_preferences', (err, rows) => {
+        if (err) return callback(err);
+
+        const defaults = Object.keys(settings).filter(name => settings[name].configured);
+        const preferences = {};
+
+        NOTIFICATION_TYPES.forEach(type => {
+            const row = rows.find(r => r.notification_type === type);
+            preferences[type] = row ? parseJson(row.channels, []) : defaults;
+        });
+
+        callback(null, preferences);
+    });
+};
+
+const notificationFromRow = (row) => ({
+    id: row.dispatch_id,
+    source_type: row.source_type,
+    source_id: row.source_id,
+    due_time: row.due_time,
+    scheduled_time: row.scheduled_time,
+    lead_minutes: row.lead_minutes,
+    critical: !!row.critical,
+    title: row.title,
+    message: row.message
+});
+
+// Record the outcome of one attempt: sent, retry later, or give up
+const finishAttempt = (db, delivery, err, callback) => {
+    const attempts = delivery.attempts + 1;
+    let query;
+    let params;
+
+    if (!err) {
+        query = `
+            UPDATE notification_deliveries
+            SET status = 'sent', attempts = ?, last_error = NULL, delivered_at = NOW()
+            WHERE id = ?
+        `;
+        params = [attempts, delivery.id];
+    } else if (attempts >= MAX_ATTEMPTS) {
+        query = 'UPDATE notification_deliveries SET status = \'failed\', attempts = ?, last_error = ? WHERE id = ?';
+        params = [attempts, err.message, delivery.id];
+    } else {
+        query = `
+            UPDATE notification_deliveries
+            SET status = 'pending', attempts = ?, last_error = ?,
+                next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+            WHERE id = ?
+        `;
+        params = [attempts, err.message, RETRY_DELAYS_MINUTES[attempts - 1], delivery.id];
+    }
+
+    if (err) console.error(`Delivery ${delivery.id} via ${delivery.channel} failed (attempt ${attempts}):`, err.message);
+
+    db.query(query, params, (updateErr) => callback(updateErr));
+};
+
+// Put a claimed delivery back until quiet time ends, without counting an attempt
+const deferDelivery = (db, delivery, until, callback) => {
+    db.query(
+        'UPDATE notification_deliveries SET status = \'pending\', next_attempt_at = ? WHERE id = ?',
+        [formatDateTime(until), delivery.id],
+        (err) => callback(err)
+    );
+};
+
+// Send one claimed delivery through its channel, respecting quiet hours
+const attemptDelivery = (db, delivery, settings, quiet, callback) => {
+    const channel = channels[delivery.channel];
+
+    if (!channel) {
+        return finishAttempt(db, { ...delivery, attempts: MAX_ATTEMPTS }, new Error(`Unknown channel '${delivery.channel}'`), callback);
+    }
+
+    const quietEnd = delivery.critical ? null : quietUntil(quiet);
+    if (quietEnd && quiet.mode === 'defer') {
+        return deferDelivery(db, delivery, quietEnd, callback);
+    }
+
+    const config = settings[delivery.channel] ? settings[delivery.channel].config : {};
+    const notification = { ...notificationFromRow(delivery), silent: !!quietEnd };
+
+    channel.send({ db, notification, config }, (err) => {
+        finishAttempt(db, delivery, err, callback);
+    });
+};
+
+// Channel settings and quiet hours for a delivery run
+const loadDeliverySettings = (db, callback) => {
+    loadChannelSettings(db, (err, settings) => {
+        if (err) return callback(err);
+
+        loadQuietHours(db, (err, quiet) => {
+            if (err) return callback(err);
+            callback(null, settings, quiet);
+        });
+    });
+};
+
+// Send every pending delivery whose next attempt is due
+const processDeliveries = (db, callback) => {
+    const query = `
+        SELECT d.*, n.source_type, n.source_id, n.due_time, n.scheduled_time, n.lead_minutes, n.critical, n.title, n.message
+        FROM notification_deliveries d
+        JOIN notification_dispatches n ON n.id = d.dispatch_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+        ORDER BY d.next_attempt_at ASC
+        LIMIT ?
+    `;
+
+    db.query(query, [BATCH_SIZE], (err, deliveries) => {
+        if (err) return callback(err);
+        if (deliveries.length === 0) return callback(null, 0);
+
+        loadDeliverySettings(db, (err, settings, quiet) => {
+            if (err) return callback(err);
+
+            let remaining = deliveries.length;
+            const done = () => {
+                if (--remaining === 0) callback(null, deliveries.length);
+            };
+
+            deliveries.forEach(delivery => {
+                // Claim the row so an overlapping run cannot send it too
+                db.query(
+                    'UPDATE notification_deliveries SET status = \'sending\' WHERE id = ? AND status = \'pending\'',
+                    [delivery.id],
+                    (err, result) => {
+                        if (err || result.affectedRows === 0) {
+                            if (err) console.error('Failed to claim delivery:', err);
+                            return done();
+                        }
+
+                        attemptDelivery(db, delivery, settings, quiet, (err) => {
+                            if (err) console.error('Failed to record delivery status:', err);
+                            done();
+                        });
+                    }
+                );
+            });
+        });
+    });
+};
+
+// Create a pending delivery for each channel chosen for the notification's type
+const queueDeliveries = (db, notification, callback) => {
+    loadChannelSettings(db, (err, settings) => {
+        if (err) return callback(err);
+
+        loadPreferences(db, settings, (err, preferences) => {
+            if (err) return callback(err);
+
+            const selected = (preferences[notification.source_type] || [])
+                .filter(name => settings[name] && settings[name].enabled);
+
+            if (selected.length === 0) return callback(null, 0);
+
+            db.query(
+                'INSERT IGNORE INTO notification_deliveries (dispatch_id, channel, status, next_attempt_at) VALUES ?',
+                [selected.map(name => [notification.id, name, 'pending', new Date()])],
+                (err, result) => {
+                    if (err) return callback(err);
+                    callback(null, result.affectedRows);
+                }
+            );
+        });
+    });
+};
+
+// Send a test message straight through one channel, without queueing or retries
+const sendTestNotification = (db, channelName, callback) => {
+    const channel = channels[channelName];
+    if (!channel) return callback(new Error(`Unknown channel '${channelName}'`));
+
+    loadChannelSettings(db, (err, settings) => {
+        if (err) return callback(err);
+
+        channel.send({
+            db,
+            notification: {
+                id: null,
+                source_type: 'test',
+                source_id: null,
+                due_time: new Date().toISOString(),
+                scheduled_time: null,
+                lead_minutes: 0,
+                critical: false,
+                silent: false,
+                title: 'Test notification',
+                message: `Medical Tracker can reach you by ${channelName}.`
+            },
+            config: settings[channelName].config
+        }, callback);
+    });
+};
+
+// Queue deliveries for every dispatched notification and keep retrying the pending ones
+const startDeliveryWorker = (db, dispatcher, isReady = () => true) => {
+    let running = false;
+    let runAgain = false;
+
+    const run = () => {
+        if (!isReady()) return;
+        if (running) {
+            runAgain = true;
+            return;
+        }
+        running = true;
+
+        processDeliveries(db, (err) => {
+            if (err) console.error('Failed to process notification deliveries:', err);
+            running = false;
+
+            if (runAgain) {
+                runAgain = false;
+                run();
+            }
+        });
+    };
+
+    dispatcher.on('dispatch', (notification) => {
+        queueDeliveries(db, notification, (err, queued) => {
+            if (err) return console.error('Failed to queue notification deliveries:', err);
+            if (queued > 0) run();
+        });
+    });
+
+    // Deliveries left mid-send by a crash are tried again
+    const recover = () => {
+        if (!isReady()) return setTimeout(recover, WORKER_MS);
+        db.query('UPDATE notification_deliveries SET status = \'pending\' WHERE status = \'sending\'', (err) => {
+            if (err) console.error('Failed to recover notification deliveries:', err);
+            run();
+        });
+    };
+    recover();
+
+    return setInterval(run, WORKER_MS);
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    channels,
+    registerChannel,
+    loadChannelSettings,
+    loadPreferences,
+    processDeliveries,
+    queueDeliveries,
+    sendTestNotification,
+    startDeliveryWorker
+};
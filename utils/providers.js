@@ -0,0 +1,95 @@
+// Provider directory.
+// Doctors, clinics and other providers are stored once in the providers table and
+// referenced by id: appointments.provider_id for who the visit is with and
+// medications.prescriber_id for who prescribed a medication. Names typed on a form are
+// matched against the directory ignoring case, titles and credentials, so "Dr. Smith",
+// "smith" and "Smith, MD" are the same provider; unknown names are added.
+// appointments.doctor keeps a copy of the provider's name for the calendar feed,
+// generated reminders and notifications, and follows renames.
+
+const FIELD_LENGTHS = { name: 255, specialty: 100, clinic: 255, phone: 50, address: 500 };
+const OPTIONAL_FIELDS = ['specialty', 'clinic', 'phone', 'address', 'notes'];
+const TITLE = /^(dr|doctor|prof|professor)(\s+|$)/;
+const CREDENTIAL = /(^|\s+)(md|do|phd)$/;
+
+// Lower case without dots, titles and credentials, e.g. ' Dr. Jane Smith M.D.' -> 'jane smith'
+const normalizeWords = (text) => {
+    let words = text.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+    while (TITLE.test(words)) words = words.replace(TITLE, '');
+    while (CREDENTIAL.test(words)) words = words.replace(CREDENTIAL, '');
+    return words;
+};
+
+// Matching key for a provider name: 'Dr. Jane Smith, MD', 'Smith, Jane' and 'jane smith'
+// all give 'jane smith'
+const providerKey = (name) => {
+    // Credentials after a comma drop out, and 'Last, First' is turned around
+    const parts = String(name || '').split(',').map(normalizeWords).filter(part => part);
+    return parts.length === 2 ? `${parts[1]} ${parts[0]}` : parts.join(' ');
+};
+
+// Validate a provider from a request body. Returns { provider } or { error }.
+const parseProvider = (body) => {
+    const provider = { name: String(body.name || '').trim() };
+
+    if (!provider.name) {
+        return { error: 'Provider name is required' };
+    }
+
+    OPTIONAL_FIELDS.forEach(field => {
+        provider[field] = String(body[field] || '').trim() || null;
+    });
+
+    for (const field of Object.keys(FIELD_LENGTHS)) {
+        if (provider[field] && provider[field].length > FIELD_LENGTHS[field]) {
+            return { error: `${field} can be at most ${FIELD_LENGTHS[field]} characters` };
+        }
+    }
+
+    return { provider };
+};
+
+// The provider whose name matches, or null. Pass excludeId to ignore one provider
+// (the one being renamed).
+const findProviderByName = (db, name, excludeId, callback) => {
+    const key = providerKey(name);
+    if (!key) return callback(null, null);
+
+    db.query('SELECT * FROM providers WHERE id <> ? ORDER BY id', [excludeId || 0], (err, providers) => {
+        if (err) return callback(err);
+        callback(null, providers.find(provider => providerKey(provider.name) === key) || null);
+    });
+};
+
+// The provider a request refers to, by id or by name. A name not in the directory is
+// added to it. Calls back with { provider } (null when neither was given) or { error }
+// when the id does not exist.
+const resolveProvider = (db, providerId, name, callback) => {
+    if (providerId !== undefined && providerId !== null && providerId !== '') {
+        return db.query('SELECT * FROM providers WHERE id = ?', [providerId], (err, results) => {
+            if (err) return callback(err);
+            if (results.length === 0) return callback(null, { error: 'Provider not found' });
+            callback(null, { provider: results[0] });
+        });
+    }
+
+    const trimmed = String(name || '').trim().slice(0, FIELD_LENGTHS.name);
+    if (!trimmed) return callback(null, { provider: null });
+
+    findProviderByName(db, trimmed, null, (err, provider) => {
+        if (err) return callback(err);
+        if (provider) return callback(null, { provider });
+
+        db.query('INSERT INTO providers (name) VALUES (?)', [trimmed], (err, result) => {
+            if (err) return callback(err);
+            callback(null, { provider: { id: result.insertId, name: trimmed }, created: true });
+        });
+    });
+};
+
+module.exports = {
+    providerKey,
+    parseProvider,
+    findProviderByName,
+    resolveProvider
+};
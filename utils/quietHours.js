@@ -0,0 +1,117 @@
+// Quiet hours and do-not-disturb.
+// Quiet hours are a daily window (which may cross midnight, e.g. 22:00-07:00); do-not-disturb
+// silences everything until a set time. While either is active, alerts that are not
+// critical are held back until it ends ('defer') or delivered without sound ('silent').
+// Critical alerts (e.g. insulin) always break through. Settings live in app_settings under
+// 'quiet_hours' and 'do_not_disturb_until'.
+
+const { formatDateTime } = require('./dates');
+const { normalizeTime } = require('./schedule');
+
+const QUIET_MODES = ['defer', 'silent'];
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', mode: 'defer' };
+const MAX_DND_MINUTES = 7 * 24 * 60;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// When the quiet-hours window containing `now` ends, or null if `now` is outside it
+const quietWindowEnd = (quietHours, now) => {
+    if (!quietHours.enabled) return null;
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const current = now.getHours() * 60 + now.getMinutes();
+
+    if (start === end) return null;
+
+    const inWindow = start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+    if (!inWindow) return null;
+
+    const endDay = current < end ? now.getDate() : now.getDate() + 1;
+    return new Date(now.getFullYear(), now.getMonth(), endDay, Math.floor(end / 60), end % 60);
+};
+
+// When the current quiet period (quiet hours or do-not-disturb) ends, or null if alerts may sound now
+const quietUntil = (settings, now = new Date()) => {
+    const ends = [quietWindowEnd(settings, now)];
+    if (settings.dnd_until && new Date(settings.dnd_until) > now) ends.push(new Date(settings.dnd_until));
+
+    const active = ends.filter(Boolean);
+    return active.length > 0 ? new Date(Math.max(...active)) : null;
+};
+
+// Validate quiet-hours settings from a request body. Returns { quietHours } or { error }.
+const parseQuietHours = (body) => {
+    const start = normalizeTime(body.start);
+    const end = normalizeTime(body.end);
+    const mode = body.mode || DEFAULT_QUIET_HOURS.mode;
+
+    if (!start || !end) {
+        return { error: 'start and end must be times like 22:00' };
+    }
+    if (!QUIET_MODES.includes(mode)) {
+        return { error: `mode must be one of: ${QUIET_MODES.join(', ')}` };
+    }
+
+    return { quietHours: { enabled: body.enabled !== false, start, end, mode } };
+};
+
+// Current settings: { enabled, start, end, mode, dnd_until }
+const loadQuietHours = (db, callback) => {
+    const query = 'SELECT setting_key, setting_value FROM app_settings WHERE setting_key IN (\'quiet_hours\', \'do_not_disturb_until\')';
+
+    db.query(query, (err, rows) => {
+        if (err) return callback(err);
+
+        const values = {};
+        rows.forEach(row => {
+            values[row.setting_key] = row.setting_value;
+        });
+
+        let quietHours = DEFAULT_QUIET_HOURS;
+        try {
+            if (values.quiet_hours) quietHours = { ...DEFAULT_QUIET_HOURS, ...JSON.parse(values.quiet_hours) };
+        } catch (e) {
+            quietHours = DEFAULT_QUIET_HOURS;
+        }
+
+        callback(null, { ...quietHours, dnd_until: values.do_not_disturb_until || null });
+    });
+};
+
+const saveSetting = (db, key, value, callback) => {
+    const query = `
+        INSERT INTO app_settings (setting_key, setting_value) VALUES (?, ?)
+        ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)
+    `;
+    db.query(query, [key, value], (err) => callback(err));
+};
+
+const saveQuietHours = (db, quietHours, callback) => {
+    saveSetting(db, 'quiet_hours', JSON.stringify(quietHours), callback);
+};
+
+// Turn do-not-disturb on until the given time
+const startDoNotDisturb = (db, until, callback) => {
+    saveSetting(db, 'do_not_disturb_until', formatDateTime(until), callback);
+};
+
+const endDoNotDisturb = (db, callback) => {
+    db.query('DELETE FROM app_settings WHERE setting_key = \'do_not_disturb_until\'', (err) => callback(err));
+};
+
+module.exports = {
+    QUIET_MODES,
+    MAX_DND_MINUTES,
+    quietUntil,
+    parseQuietHours,
+    loadQuietHours,
+    saveQuietHours,
+    startDoNotDisturb,
+    endDoNotDisturb
+};
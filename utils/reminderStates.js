@@ -0,0 +1,151 @@
+// Reminder lifecycle.
+// Every occurrence of a reminder moves through explicit states, kept in reminder_states
+// and keyed like overrides by the occurrence's original time (a one-off's date_time):
+//
+//   pending -> notified -> acknowledged
+//                  |  \-> snoozed -> notified (again when the snooze runs out)
+//                  \----> missed     (no response within GRACE_MINUTES)
+//
+// Pending occurrences have no row. An occurrence that was never notified and is more
+// than GRACE_MINUTES old reads as missed. A missed reminder can still be acknowledged;
+// missed_at then records that the response came late.
+
+const { formatDateTime } = require('./dates');
+const { publish } = require('./liveEvents');
+
+const REMINDER_STATES = ['pending', 'notified', 'acknowledged', 'snoozed', 'missed'];
+const GRACE_MINUTES = 30;
+const MAX_SNOOZE_MINUTES = 720;
+
+// Allowed moves from each state
+const TRANSITIONS = {
+    pending: ['notified', 'acknowledged', 'snoozed'],
+    notified: ['acknowledged', 'snoozed', 'missed'],
+    snoozed: ['notified', 'acknowledged', 'snoozed', 'missed'],
+    missed: ['acknowledged'],
+    acknowledged: []
+};
+
+// Timestamp column set when entering a state
+const STATE_COLUMNS = {
+    notified: 'notified_at',
+    acknowledged: 'acknowledged_at',
+    missed: 'missed_at'
+};
+
+// The time an occurrence's state is keyed by
+const stateTime = (occurrence) => occurrence.occurrence_time || formatDateTime(new Date(occurrence.date_time));
+
+const stateKey = (reminderId, time) => `${reminderId}|${time}`;
+
+// Status of an occurrence given its state row (or undefined)
+const effectiveStatus = (state, occurrence, now = new Date()) => {
+    if (state) return state.status;
+    const graceEnd = new Date(new Date(occurrence.date_time).getTime() + GRACE_MINUTES * 60000);
+    return graceEnd < now ? 'missed' : 'pending';
+};
+
+// State rows for a list of occurrences, as { 'reminderId|time': row }
+const loadReminderStates = (db, occurrences, callback) => {
+    if (occurrences.length === 0) return callback(null, {});
+
+    const keys = occurrences.map(occurrence => [occurrence.reminder_id, stateTime(occurrence)]);
+
+    db.query('SELECT * FROM reminder_states WHERE (reminder_id, occurrence_time) IN (?)', [keys], (err, rows) => {
+        if (err) return callback(err);
+
+        const states = {};
+        rows.forEach(row => {
+            states[stateKey(row.reminder_id, formatDateTime(new Date(row.occurrence_time)))] = row;
+        });
+        callback(null, states);
+    });
+};
+
+// Add status, notified_at, acknowledged_at, snoozed_until and missed_at to each occurrence
+const attachReminderStates = (db, occurrences, callback) => {
+    loadReminderStates(db, occurrences, (err, states) => {
+        if (err) return callback(err);
+
+        const now = new Date();
+        callback(null, occurrences.map(occurrence => {
+            const state = states[stateKey(occurrence.reminder_id, stateTime(occurrence))];
+            return {
+                ...occurrence,
+                status: effectiveStatus(state, occurrence, now),
+                notified_at: state ? state.notified_at : null,
+                acknowledged_at: state ? state.acknowledged_at : null,
+                snoozed_until: state ? state.snoozed_until : null,
+                missed_at: state ? state.missed_at : null
+            };
+        }));
+    });
+};
+
+// Move one occurrence to a new state. options.snoozed_until is required for 'snoozed'.
+// Calls back with { from, to } or { error } when the move is not allowed.
+const transitionReminder = (db, reminderId, occurrenceTime, to, options, callback) => {
+    const time = formatDateTime(occurrenceTime);
+    const snoozedUntil = to === 'snoozed' ? formatDateTime(options.snoozed_until) : null;
+    const column = STATE_COLUMNS[to];
+
+    db.query('SELECT status FROM reminder_states WHERE reminder_id = ? AND occurrence_time = ?', [reminderId, time], (err, rows) => {
+        if (err) return callback(err);
+
+        const from = rows.length > 0 ? rows[0].status : 'pending';
+        if (!TRANSITIONS[from].includes(to)) {
+            return callback(null, { error: `Cannot move a reminder from ${from} to ${to}` });
+        }
+
+        const done = (err, result) => {
+            if (err) return callback(err);
+            // Someone else changed the state between the read and the write
+            if (result.affectedRows === 0) return callback(null, { error: 'Reminder state changed, please try again' });
+            publish('reminder', 'updated', reminderId);
+            callback(null, { from, to });
+        };
+
+        if (rows.length === 0) {
+            const query = `
+                INSERT IGNORE INTO reminder_states (reminder_id, occurrence_time, status, snoozed_until${column ? `, ${column}` : ''})
+                VALUES (?, ?, ?, ?${column ? ', NOW()' : ''})
+            `;
+            return db.query(query, [reminderId, time, to, snoozedUntil], done);
+        }
+
+        const query = `
+            UPDATE reminder_states
+            SET status = ?, snoozed_until = ?${column ? `, ${column} = NOW()` : ''}
+            WHERE reminder_id = ? AND occurrence_time = ? AND status = ?
+        `;
+        db.query(query, [to, snoozedUntil, reminderId, time, from], done);
+    });
+};
+
+// Mark notified and snoozed reminders that got no response within the grace window as missed
+const markMissedReminders = (db, now, callback) => {
+    const cutoff = formatDateTime(new Date(now.getTime() - GRACE_MINUTES * 60000));
+    const query = `
+        UPDATE reminder_states
+        SET status = 'missed', snoozed_until = NULL, missed_at = NOW()
+        WHERE (status = 'notified' AND notified_at < ?)
+        OR (status = 'snoozed' AND snoozed_until < ?)
+    `;
+
+    db.query(query, [cutoff, cutoff], (err, result) => {
+        if (err) return callback(err);
+        callback(null, result.affectedRows);
+    });
+};
+
+module.exports = {
+    REMINDER_STATES,
+    GRACE_MINUTES,
+    MAX_SNOOZE_MINUTES,
+    stateTime,
+    stateKey,
+    loadReminderStates,
+    attachReminderStates,
+    transitionReminder,
+    markMissedReminders
+};
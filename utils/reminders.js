@@ -0,0 +1,232 @@
+// Reminder occurrences.
+// A reminder with an rrule is a series starting at its date_time. Listing endpoints
+// expand series into individual occurrences; rows in reminder_overrides move, retitle
+// or cancel a single occurrence (keyed by its original time) without touching the rest.
+// A reminder may belong to a medication or an appointment (medication_id/appointment_id):
+// it moves when its parent is rescheduled and is deleted with it.
+
+const { formatDateTime } = require('./dates');
+const { parseRRule, describeRRule, expandRRule } = require('./rrule');
+
+const REMINDER_CATEGORIES = ['medication', 'appointment', 'lab', 'exercise', 'custom'];
+const REMINDER_PRIORITIES = ['low', 'normal', 'high'];
+// Column linking a reminder to each kind of parent
+const LINK_COLUMNS = {
+    medication: 'medication_id',
+    appointment: 'appointment_id'
+};
+
+// Parsed rule of a reminder row, or null for one-off reminders (and unreadable rules)
+const getReminderRule = (reminder) => {
+    if (!reminder.rrule) return null;
+    const parsed = parseRRule(reminder.rrule);
+    return parsed.error ? null : parsed.rule;
+};
+
+// Human-readable recurrence of a reminder row, or null
+const describeReminder = (reminder) => {
+    const rule = getReminderRule(reminder);
+    return rule ? describeRRule(rule) : null;
+};
+
+const toOccurrence = (reminder, occurrenceTime, override) => ({
+    ...reminder,
+    reminder_id: reminder.id,
+    occurrence_time: formatDateTime(occurrenceTime),
+    date_time: override && override.date_time ? new Date(override.date_time) : occurrenceTime,
+    title: override && override.title ? override.title : reminder.title,
+    notes: override && override.notes !== null ? override.notes : reminder.notes,
+    recurrence: describeReminder(reminder),
+    overridden: !!override
+});
+
+// Expand reminder rows into the occurrences that fall within [start, end), sorted by time.
+// One-off reminders pass through with occurrence_time null.
+const expandReminders = (reminders, overrides, start, end) => {
+    const overridesByKey = {};
+    overrides.forEach(override => {
+        overridesByKey[`${override.reminder_id}|${formatDateTime(new Date(override.occurrence_time))}`] = override;
+    });
+
+    const inRange = (time) => time >= start && time < end;
+    const occurrences = [];
+
+    reminders.forEach(reminder => {
+        const rule = getReminderRule(reminder);
+
+        if (!rule) {
+            if (inRange(new Date(reminder.date_time))) {
+                occurrences.push({ ...reminder, reminder_id: reminder.id, occurrence_time: null, recurrence: null, overridden: false });
+            }
+            return;
+        }
+
+        const seen = new Set();
+
+        expandRRule(rule, new Date(reminder.date_time), start, end).forEach(time => {
+            const key = `${reminder.id}|${formatDateTime(time)}`;
+            const override = overridesByKey[key];
+            seen.add(key);
+
+            if (override && override.cancelled) return;
+
+            const occurrence = toOccurrence(reminder, time, override);
+            if (inRange(occurrence.date_time)) occurrences.push(occurrence);
+        });
+
+        // Occurrences moved into the range from outside it
+        overrides
+            .filter(override => override.reminder_id === reminder.id && !override.cancelled && override.date_time)
+            .forEach(override => {
+                const originalTime = new Date(override.occurrence_time);
+                const key = `${reminder.id}|${formatDateTime(originalTime)}`;
+
+                if (!seen.has(key) && inRange(new Date(override.date_time))) {
+                    occurrences.push(toOccurrence(reminder, originalTime, override));
+                }
+            });
+    });
+
+    return occurrences.sort((a, b) => new Date(a.date_time) - new Date(b.date_time));
+};
+
+// Load reminders and overrides from the database and expand them over [start, end)
+const fetchReminderOccurrences = (db, start, end, callback) => {
+    const query = `
+        SELECT * FROM reminders
+        WHERE (rrule IS NULL AND date_time >= ? AND date_time < ?)
+        OR (rrule IS NOT NULL AND date_time < ?)
+    `;
+    const from = formatDateTime(start);
+    const to = formatDateTime(end);
+
+    db.query(query, [from, to, to], (err, reminders) => {
+        if (err) return callback(err);
+
+        const seriesIds = reminders.filter(reminder => reminder.rrule).map(reminder => reminder.id);
+        if (seriesIds.length === 0) return callback(null, expandReminders(reminders, [], start, end));
+
+        db.query('SELECT * FROM reminder_overrides WHERE reminder_id IN (?)', [seriesIds], (err, overrides) => {
+            if (err) return callback(err);
+            callback(null, expandReminders(reminders, overrides, start, end));
+        });
+    });
+};
+
+// A parent id from a request body: null when unset, NaN when invalid
+const parseLinkId = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : NaN;
+};
+
+// Validate category, priority and parent link from a request body. On an edit, pass the
+// current row: fields left out keep their value, and sending either link replaces both.
+// Linking to a medication or appointment sets the matching category.
+// Returns { details: { category, priority, medication_id, appointment_id } } or { error }.
+const resolveReminderDetails = (body, current = null) => {
+    const linkSent = body.medication_id !== undefined || body.appointment_id !== undefined;
+    const linkSource = current && !linkSent ? current : body;
+    const medicationId = parseLinkId(linkSource.medication_id);
+    const appointmentId = parseLinkId(linkSource.appointment_id);
+
+    if (Number.isNaN(medicationId) || Number.isNaN(appointmentId)) {
+        return { error: 'medication_id and appointment_id must be ids' };
+    }
+    if (medicationId && appointmentId) {
+        return { error: 'A reminder can belong to a medication or an appointment, not both' };
+    }
+
+    const linked = medicationId ? 'medication' : (appointmentId ? 'appointment' : null);
+    const keptCategory = current && !(linkSent && linked) ? current.category : null;
+    const category = body.category || keptCategory || linked || 'custom';
+    const priority = body.priority || (current && current.priority) || 'normal';
+
+    if (!REMINDER_CATEGORIES.includes(category)) {
+        return { error: `category must be one of: ${REMINDER_CATEGORIES.join(', ')}` };
+    }
+    if (!REMINDER_PRIORITIES.includes(priority)) {
+        return { error: `priority must be one of: ${REMINDER_PRIORITIES.join(', ')}` };
+    }
+    if (linked && category !== linked) {
+        return { error: `A reminder linked to ${linked === 'medication' ? 'a' : 'an'} ${linked} must have category '${linked}' (unlink it with ${LINK_COLUMNS[linked]}: null)` };
+    }
+
+    return { details: { category, priority, medication_id: medicationId, appointment_id: appointmentId } };
+};
+
+// Ids of the reminders that belong to a medication or appointment
+const findLinkedReminders = (db, parentType, parentId, callback) => {
+    db.query(`SELECT id FROM reminders WHERE ${LINK_COLUMNS[parentType]} = ?`, [parentId], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => row.id));
+    });
+};
+
+// Ids of the linked reminders that follow their parent's time. A medication's refill
+// reminder is about its supply, not a dose time, so it stays where it is.
+const findTimedReminders = (db, parentType, parentId, callback) => {
+    if (parentType !== 'medication') return findLinkedReminders(db, parentType, parentId, callback);
+
+    const query = `
+        SELECT r.id
+        FROM reminders r
+        JOIN medications m ON m.id = r.medication_id
+        WHERE r.medication_id = ? AND (m.refill_reminder_id IS NULL OR r.id <> m.refill_reminder_id)
+    `;
+
+    db.query(query, [parentId], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => row.id));
+    });
+};
+
+// Move a parent's reminders, their edited or cancelled occurrences and the lifecycle states
+// of their occurrences by as many seconds as the parent moved. Calls back with the ids of
+// the moved reminders.
+const shiftLinkedReminders = (db, parentType, parentId, seconds, callback) => {
+    if (!seconds) return callback(null, []);
+
+    findTimedReminders(db, parentType, parentId, (err, ids) => {
+        if (err || ids.length === 0) return callback(err, ids);
+
+        // Occurrence rows are unique per time, so the ones furthest along the move go first
+        // and none lands on a row that has not moved yet
+        const order = seconds > 0 ? 'DESC' : 'ASC';
+
+        db.query('UPDATE reminders SET date_time = DATE_ADD(date_time, INTERVAL ? SECOND) WHERE id IN (?)', [seconds, ids], (err) => {
+            if (err) return callback(err);
+
+            const query = `
+                UPDATE reminder_overrides
+                SET occurrence_time = DATE_ADD(occurrence_time, INTERVAL ? SECOND),
+                    date_time = DATE_ADD(date_time, INTERVAL ? SECOND)
+                WHERE reminder_id IN (?)
+                ORDER BY occurrence_time ${order}
+            `;
+            db.query(query, [seconds, seconds, ids], (err) => {
+                if (err) return callback(err);
+
+                const statesQuery = `
+                    UPDATE reminder_states
+                    SET occurrence_time = DATE_ADD(occurrence_time, INTERVAL ? SECOND)
+                    WHERE reminder_id IN (?)
+                    ORDER BY occurrence_time ${order}
+                `;
+                db.query(statesQuery, [seconds, ids], (err) => callback(err, ids));
+            });
+        });
+    });
+};
+
+module.exports = {
+    REMINDER_CATEGORIES,
+    REMINDER_PRIORITIES,
+    resolveReminderDetails,
+    findLinkedReminders,
+    shiftLinkedReminders,
+    getReminderRule,
+    describeReminder,
+    expandReminders,
+    fetchReminderOccurrences
+};
@@ -0,0 +1,259 @@
+// iCalendar (RFC 5545) recurrence rules for reminders.
+// Supports the subset the app needs: FREQ=DAILY, WEEKLY, MONTHLY or YEARLY with
+// INTERVAL, BYDAY (weekdays, or ordinal weekdays such as 2TU or -1FR in monthly
+// rules), BYMONTHDAY, and an end set by COUNT or UNTIL. Occurrences keep the time
+// of day of the series start (the reminder's date_time) in server local time.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // index matches Date#getDay
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_PERIODS = 10000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const isPositiveInteger = (value) => /^\d+$/.test(value) && Number(value) > 0;
+
+// UNTIL as YYYYMMDD (whole day), YYYYMMDDTHHMMSS (local) or YYYYMMDDTHHMMSSZ (UTC)
+const parseUntil = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) return null;
+
+    const [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+
+    if (!match[4]) return new Date(year, month, day, 23, 59, 59);
+
+    const [hours, minutes, seconds] = [Number(match[4]), Number(match[5]), Number(match[6])];
+    return match[7]
+        ? new Date(Date.UTC(year, month, day, hours, minutes, seconds))
+        : new Date(year, month, day, hours, minutes, seconds);
+};
+
+// Parse an RRULE string (with or without the "RRULE:" prefix). Returns { rule } or { error }.
+const parseRRule = (text) => {
+    const value = String(text || '').trim().replace(/^RRULE:/i, '');
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+    if (!value) {
+        return { error: 'Recurrence rule is empty' };
+    }
+
+    for (const part of value.split(';').filter(Boolean)) {
+        const [key, partValue] = part.split('=').map(piece => (piece || '').trim().toUpperCase());
+
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(partValue)) {
+                    return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+                }
+                rule.freq = partValue;
+                break;
+            case 'INTERVAL':
+                if (!isPositiveInteger(partValue)) {
+                    return { error: 'INTERVAL must be a positive whole number' };
+                }
+                rule.interval = Number(partValue);
+                break;
+            case 'COUNT':
+                if (!isPositiveInteger(partValue)) {
+                    return { error: 'COUNT must be a positive whole number' };
+                }
+                rule.count = Number(partValue);
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(partValue);
+                if (!rule.until) {
+                    return { error: 'UNTIL must look like 20251231 or 20251231T235959Z' };
+                }
+                break;
+            case 'BYDAY':
+                for (const day of partValue.split(',')) {
+                    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+                    const ordinal = match && match[1] ? Number(match[1]) : null;
+
+                    if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+                        return { error: `Invalid BYDAY value "${day}". Use days such as MO,WE or 1MO, -1FR` };
+                    }
+                    rule.byDay.push({ day: WEEKDAYS.indexOf(match[2]), ordinal });
+                }
+                break;
+            case 'BYMONTHDAY':
+                for (const day of partValue.split(',')) {
+                    const monthDay = Number(day);
+
+                    if (!/^-?\d{1,2}$/.test(day) || monthDay === 0 || Math.abs(monthDay) > 31) {
+                        return { error: `Invalid BYMONTHDAY value "${day}". Use 1 to 31, or -1 for the last day` };
+                    }
+                    rule.byMonthDay.push(monthDay);
+                }
+                break;
+            case 'WKST':
+                // Weeks always start on Monday
+                break;
+            default:
+                return { error: `Unsupported recurrence part "${key}"` };
+        }
+    }
+
+    if (!rule.freq) {
+        return { error: 'Recurrence rule needs a FREQ, e.g. FREQ=DAILY' };
+    }
+    if (rule.count && rule.until) {
+        return { error: 'Use either COUNT or UNTIL, not both' };
+    }
+    if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+        return { error: 'BYMONTHDAY is only supported with FREQ=MONTHLY' };
+    }
+    if (rule.byMonthDay.length > 0 && rule.byDay.length > 0) {
+        return { error: 'Use either BYDAY or BYMONTHDAY, not both' };
+    }
+    if (rule.byDay.some(day => day.ordinal !== null) && rule.freq !== 'MONTHLY') {
+        return { error: 'Numbered days such as 2TU are only supported with FREQ=MONTHLY' };
+    }
+    if (rule.byDay.length > 0 && rule.freq === 'YEARLY') {
+        return { error: 'BYDAY is not supported with FREQ=YEARLY' };
+    }
+
+    return { rule };
+};
+
+const formatUntil = (until) => {
+    return `${until.getFullYear()}${pad(until.getMonth() + 1)}${pad(until.getDate())}` +
+        `T${pad(until.getHours())}${pad(until.getMinutes())}${pad(until.getSeconds())}`;
+};
+
+// Canonical RRULE string for storage
+const formatRRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) {
+        parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.day]}`).join(',')}`);
+    }
+    if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+
+    return parts.join(';');
+};
+
+const ordinalName = (ordinal) => {
+    if (ordinal === -1) return 'last';
+    return ['', 'first', 'second', 'third', 'fourth', 'fifth'][Math.abs(ordinal)] + (ordinal < 0 ? ' from last' : '');
+};
+
+// Human-readable summary, e.g. "Every 2 weeks on Mon, Thu, 10 times"
+const describeRRule = (rule) => {
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+    let text = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : `Every ${units[rule.freq]}`;
+
+    if (rule.byDay.length > 0) {
+        text += ' on ' + rule.byDay
+            .map(day => (day.ordinal ? `the ${ordinalName(day.ordinal)} ${WEEKDAY_NAMES[day.day]}` : WEEKDAY_NAMES[day.day]))
+            .join(', ');
+    }
+    if (rule.byMonthDay.length > 0) {
+        text += ' on ' + rule.byMonthDay
+            .map(day => (day > 0 ? `day ${day}` : (day === -1 ? 'the last day' : `${-day - 1} days before the last day`)))
+            .join(', ');
+    }
+    if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    if (rule.until) text += `, until ${rule.until.getFullYear()}-${pad(rule.until.getMonth() + 1)}-${pad(rule.until.getDate())}`;
+
+    return text;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Candidate dates (midnight) of one period of the rule, in order
+const periodDates = (rule, dtstart, index) => {
+    const step = index * rule.interval;
+    const year = dtstart.getFullYear();
+    const month = dtstart.getMonth();
+    const date = dtstart.getDate();
+
+    if (rule.freq === 'DAILY') {
+        const day = new Date(year, month, date + step);
+        return rule.byDay.length === 0 || rule.byDay.some(d => d.day === day.getDay()) ? [day] : [];
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        const monday = new Date(year, month, date - ((dtstart.getDay() + 6) % 7) + step * 7);
+        const days = rule.byDay.length > 0 ? rule.byDay.map(d => d.day) : [dtstart.getDay()];
+
+        return [...new Set(days.map(day => (day + 6) % 7))]
+            .sort((a, b) => a - b)
+            .map(offset => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + offset));
+    }
+
+    if (rule.freq === 'MONTHLY') {
+        const first = new Date(year, month + step, 1);
+        const y = first.getFullYear();
+        const m = first.getMonth();
+        const length = daysInMonth(y, m);
+        let monthDays = [];
+
+        if (rule.byMonthDay.length > 0) {
+            monthDays = rule.byMonthDay.map(day => (day > 0 ? day : length + day + 1));
+        } else if (rule.byDay.length > 0) {
+            rule.byDay.forEach(({ day, ordinal }) => {
+                const firstMatch = 1 + ((day - first.getDay() + 7) % 7);
+                const matches = [];
+                for (let d = firstMatch; d <= length; d += 7) matches.push(d);
+
+                if (ordinal === null) monthDays.push(...matches);
+                else if (ordinal > 0 && matches[ordinal - 1]) monthDays.push(matches[ordinal - 1]);
+                else if (ordinal < 0 && matches[matches.length + ordinal]) monthDays.push(matches[matches.length + ordinal]);
+            });
+        } else {
+            monthDays = [date];
+        }
+
+        return [...new Set(monthDays)]
+            .filter(day => day >= 1 && day <= length)
+            .sort((a, b) => a - b)
+            .map(day => new Date(y, m, day));
+    }
+
+    // YEARLY: same month and day; February 29 only occurs in leap years
+    const y = year + step;
+    return date <= daysInMonth(y, month) ? [new Date(y, month, date)] : [];
+};
+
+// Occurrences of a rule starting at dtstart that fall within [rangeStart, rangeEnd)
+const expandRRule = (rule, dtstart, rangeStart, rangeEnd) => {
+    const start = new Date(dtstart);
+    const occurrences = [];
+    let emitted = 0;
+
+    for (let index = 0; index < MAX_PERIODS; index++) {
+        for (const day of periodDates(rule, start, index)) {
+            const occurrence = new Date(
+                day.getFullYear(), day.getMonth(), day.getDate(),
+                start.getHours(), start.getMinutes(), start.getSeconds()
+            );
+
+            if (occurrence < start) continue;
+            if (rule.until && occurrence > rule.until) return occurrences;
+            if (occurrence >= rangeEnd) return occurrences;
+
+            emitted++;
+            if (occurrence >= rangeStart) occurrences.push(occurrence);
+            if (rule.count && emitted >= rule.count) return occurrences;
+        }
+    }
+
+    return occurrences;
+};
+
+// Is the given time one of the series' occurrences?
+const isOccurrence = (rule, dtstart, time) => {
+    return expandRRule(rule, dtstart, time, new Date(time.getTime() + 1000)).length > 0;
+};
+
+module.exports = {
+    parseRRule,
+    formatRRule,
+    describeRRule,
+    expandRRule,
+    isOccurrence
+};
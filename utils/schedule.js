@@ -0,0 +1,280 @@
+// Structured medication schedules.
+//
+// A schedule is stored as JSON on the medication row and has one of these shapes:
+//   { type: 'times_per_day', times: ['08:00', '20:00'] }
+//   { type: 'interval', every_hours: 8, start_time: '06:00' }
+//   { type: 'weekdays', days: [1, 3, 5], times: ['09:00'] }   (0 = Sunday)
+//   { type: 'as_needed', max_per_day: 3 }
+// expandSchedule() turns a schedule into the concrete doses expected in a date range.
+
+const { pad, formatDateTime, formatDate, parseDate, addDays } = require('./dates');
+const { getCourseWindow, dosageOn } = require('./courses');
+
+const SCHEDULE_TYPES = ['times_per_day', 'interval', 'weekdays', 'as_needed'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_RANGE_DAYS = 366;
+
+// Normalize 'H:MM', 'HH:MM' or 'HH:MM:SS' to 'HH:MM', or null when invalid
+const normalizeTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${pad(hours)}:${match[2]}`;
+};
+
+// Combine a local date with an 'HH:MM' time
+const atTime = (day, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes, 0);
+};
+
+const normalizeTimes = (times) => {
+    if (!Array.isArray(times) || times.length === 0) return null;
+
+    const normalized = times.map(normalizeTime);
+    if (normalized.includes(null)) return null;
+
+    return [...new Set(normalized)].sort();
+};
+
+// Validate and normalize a schedule object. Returns { schedule } or { error }.
+const normalizeSchedule = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Schedule must be an object with a type' };
+    }
+
+    switch (input.type) {
+        case 'times_per_day': {
+            const times = normalizeTimes(input.times);
+            if (!times) {
+                return { error: 'times_per_day schedules need a list of dose times in HH:MM format' };
+            }
+            return { schedule: { type: 'times_per_day', times } };
+        }
+
+        case 'interval': {
+            const everyHours = Number(input.every_hours);
+            const startTime = normalizeTime(input.start_time);
+            if (!Number.isInteger(everyHours) || everyHours < 1 || everyHours > 168) {
+                return { error: 'every_hours must be a whole number of hours between 1 and 168' };
+            }
+            if (!startTime) {
+                return { error: 'Interval schedules need a start_time in HH:MM format' };
+            }
+            return { schedule: { type: 'interval', every_hours: everyHours, start_time: startTime } };
+        }
+
+        case 'weekdays': {
+            const days = Array.isArray(input.days) ? [...new Set(input.days.map(Number))].sort() : [];
+            const times = normalizeTimes(input.times);
+            if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+                return { error: 'Weekday schedules need a list of days from 0 (Sunday) to 6 (Saturday)' };
+            }
+            if (!times) {
+                return { error: 'Weekday schedules need a list of dose times in HH:MM format' };
+            }
+            return { schedule: { type: 'weekdays', days, times } };
+        }
+
+        case 'as_needed': {
+            const schedule = { type: 'as_needed' };
+            if (input.max_per_day !== undefined && input.max_per_day !== null && input.max_per_day !== '') {
+                const maxPerDay = Number(input.max_per_day);
+                if (!Number.isInteger(maxPerDay) || maxPerDay < 1) {
+                    return { error: 'max_per_day must be a positive whole number' };
+                }
+                schedule.max_per_day = maxPerDay;
+            }
+            return { schedule };
+        }
+
+        default:
+            return { error: `Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}` };
+    }
+};
+
+// Build a schedule from the legacy free-text frequency and single time columns
+const scheduleFromFrequency = (frequency, time) => {
+    const firstTime = normalizeTime(time) || '08:00';
+    const text = String(frequency || '').toLowerCase();
+
+    if (text.includes('as needed') || text.includes('prn')) {
+        return { type: 'as_needed' };
+    }
+
+    const everyMatch = /every\s+(\d+)\s*h/.exec(text);
+    if (everyMatch) {
+        return { type: 'interval', every_hours: Number(everyMatch[1]), start_time: firstTime };
+    }
+
+    let count = 1;
+    if (text.includes('twice') || text.includes('two times')) count = 2;
+    else if (text.includes('three times')) count = 3;
+    else if (text.includes('four times')) count = 4;
+
+    // Spread extra doses evenly across the waking day following the first dose
+    const [hours, minutes] = firstTime.split(':').map(Number);
+    const spacing = count > 1 ? Math.floor(12 / (count - 1)) : 0;
+    const times = [];
+    for (let i = 0; i < count; i++) {
+        times.push(`${pad((hours + i * spacing) % 24)}:${pad(minutes)}`);
+    }
+
+    return { type: 'times_per_day', times: [...new Set(times)].sort() };
+};
+
+// Read the schedule stored on a medication row, falling back to the legacy columns
+const getMedicationSchedule = (medication) => {
+    let schedule = medication.schedule;
+
+    if (typeof schedule === 'string') {
+        try {
+            schedule = JSON.parse(schedule);
+        } catch (e) {
+            schedule = null;
+        }
+    }
+
+    return schedule && schedule.type ? schedule : scheduleFromFrequency(medication.frequency, medication.time);
+};
+
+// Human readable label for a schedule, used as the medication's frequency text
+const describeSchedule = (schedule) => {
+    switch (schedule.type) {
+        case 'times_per_day': {
+            const labels = { 1: 'Once daily', 2: 'Twice daily', 3: 'Three times daily', 4: 'Four times daily' };
+            return labels[schedule.times.length] || `${schedule.times.length} times daily`;
+        }
+        case 'interval':
+            return `Every ${schedule.every_hours} hours`;
+        case 'weekdays':
+            return schedule.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+        case 'as_needed':
+            return schedule.max_per_day ? `As needed (max ${schedule.max_per_day}/day)` : 'As needed';
+        default:
+            return 'Custom';
+    }
+};
+
+// Average number of doses a schedule expects per day (as-needed uses its daily maximum, or 1)
+const dosesPerDay = (schedule) => {
+    switch (schedule.type) {
+        case 'times_per_day':
+            return schedule.times.length;
+        case 'interval':
+            return 24 / schedule.every_hours;
+        case 'weekdays':
+            return schedule.days.length * schedule.times.length / 7;
+        case 'as_needed':
+            return schedule.max_per_day || 1;
+        default:
+            return 1;
+    }
+};
+
+// First dose time of a schedule, stored in the legacy time column
+const firstDoseTime = (schedule) => {
+    if (schedule.times) return schedule.times[0];
+    if (schedule.start_time) return schedule.start_time;
+    return '00:00';
+};
+
+// Expand a schedule into the Dates of every expected dose in [start, end).
+// Interval schedules are anchored on the given anchor date so that they stay
+// consistent across days even when the interval does not divide 24 hours.
+const expandSchedule = (schedule, start, end, anchor) => {
+    const doses = [];
+
+    if (schedule.type === 'as_needed') {
+        return doses;
+    }
+
+    if (schedule.type === 'interval') {
+        const stepMs = schedule.every_hours * 3600000;
+        const anchorDay = anchor ? new Date(anchor) : start;
+        let current = atTime(anchorDay, schedule.start_time).getTime();
+
+        if (current < start.getTime()) {
+            current += Math.ceil((start.getTime() - current) / stepMs) * stepMs;
+        }
+
+        for (; current < end.getTime(); current += stepMs) {
+            doses.push(new Date(current));
+        }
+        return doses;
+    }
+
+    for (let day = addDays(start, 0); day < end; day = addDays(day, 1)) {
+        if (schedule.type === 'weekdays' && !schedule.days.includes(day.getDay())) {
+            continue;
+        }
+
+        schedule.times.forEach(time => {
+            const dose = atTime(day, time);
+            if (dose >= start && dose < end) {
+                doses.push(dose);
+            }
+        });
+    }
+
+    return doses;
+};
+
+// Parse start_date/end_date query params (inclusive days) into a [start, end) range.
+// Returns { start, end } or { error }.
+const parseDateRange = (startDate, endDate) => {
+    const start = parseDate(startDate);
+    const lastDay = parseDate(endDate);
+
+    if (!start || !lastDay) {
+        return { error: 'start_date and end_date are required in YYYY-MM-DD format' };
+    }
+
+    const end = addDays(lastDay, 1);
+
+    if (end <= start) {
+        return { error: 'end_date must not be before start_date' };
+    }
+
+    if ((end - start) / 86400000 > MAX_RANGE_DAYS) {
+        return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { start, end };
+};
+
+// Expected doses for a medication row over a range, as plain objects for the API.
+// The range is clipped to the medication's course, and tapers report the dosage of the day.
+const expectedDoses = (medication, start, end) => {
+    const schedule = getMedicationSchedule(medication);
+    const course = getCourseWindow(medication);
+    const from = course.start && course.start > start ? course.start : start;
+    const to = course.end && course.end < end ? course.end : end;
+
+    if (from >= to) return [];
+
+    return expandSchedule(schedule, from, to, course.start || medication.created_at).map(dose => ({
+        medication_id: medication.id,
+        name: medication.name,
+        dosage: dosageOn(medication, dose),
+        scheduled_time: formatDateTime(dose)
+    }));
+};
+
+module.exports = {
+    SCHEDULE_TYPES,
+    normalizeTime,
+    normalizeSchedule,
+    scheduleFromFrequency,
+    getMedicationSchedule,
+    describeSchedule,
+    dosesPerDay,
+    firstDoseTime,
+    expandSchedule,
+    expectedDoses,
+    parseDateRange
+};
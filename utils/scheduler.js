@@ -0,0 +1,361 @@
+// Server-side notification scheduler.
+// Every tick looks for reminder occurrences, medication doses, upcoming appointments and
+// snoozed notifications that have come due, and dispatches each one exactly once.
+// Reminders and appointments also send advance alerts at each of their lead times.
+// A row in notification_dispatches, unique on (source_type, source_id, due_time,
+// lead_minutes), claims a notification before it is sent, so a restart or an overlapping tick never fires it
+// twice. Anything that came due while the server was down is still sent if it is at
+// most CATCH_UP_MINUTES late; older items are dropped rather than delivered hours late.
+// Listeners on `dispatcher` receive every dispatched notification. Each run also moves
+// reminders nobody responded to into the missed state and escalates unanswered doses and
+// critical reminders to caregivers (see escalation.js).
+
+const EventEmitter = require('events');
+const { formatDateTime } = require('./dates');
+const { expectedDoses } = require('./schedule');
+const { fetchReminderOccurrences } = require('./reminders');
+const { stateTime, stateKey, loadReminderStates, transitionReminder, markMissedReminders } = require('./reminderStates');
+const { MAX_LEAD_MINUTES, formatLeadTime, loadDefaultLeadTimes, leadTimesFor } = require('./leadTimes');
+const { runEscalations } = require('./escalation');
+const { OPEN_STATUSES } = require('./appointmentStatus');
+
+const TICK_MS = 30000;
+const CATCH_UP_MINUTES = 15;
+// A dose logged up to this long before its scheduled time counts as taken for it
+const EARLY_DOSE_MINUTES = 120;
+
+const dispatcher = new EventEmitter();
+
+const parseLocal = (value) => (value instanceof Date ? value : new Date(String(value).replace(' ', 'T')));
+
+const minutesBefore = (date, minutes) => new Date(date.getTime() - minutes * 60000);
+
+const formatClock = (date) => date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+const isWithin = (time, from, to) => time >= from && time <= to;
+
+const FINAL_REMINDER_STATES = ['acknowledged', 'missed'];
+
+// Alerts for open reminder occurrences: one at the occurrence time within [from, to],
+// plus one for each lead time whose advance alert falls within [from, to].
+// Acknowledged and missed occurrences send nothing more; a snoozed one only skips the
+// alert at its time, which the snooze sends instead.
+const collectReminders = (db, from, to, callback) => {
+    loadDefaultLeadTimes(db, (err, defaults) => {
+        if (err) return callback(err);
+
+        const horizon = new Date(to.getTime() + MAX_LEAD_MINUTES * 60000 + 1000);
+
+        fetchReminderOccurrences(db, from, horizon, (err, occurrences) => {
+            if (err) return callback(err);
+
+            const alerts = [];
+            occurrences.forEach(occurrence => {
+                const time = new Date(occurrence.date_time);
+                leadTimesFor(occurrence, 'reminder', defaults)
+                    .filter(lead => isWithin(minutesBefore(time, lead), from, to))
+                    .forEach(lead => alerts.push({ occurrence, lead }));
+            });
+
+            loadReminderStates(db, alerts.map(alert => alert.occurrence), (err, states) => {
+                if (err) return callback(err);
+
+                callback(null, alerts
+                    .filter(({ occurrence, lead }) => {
+                        const state = states[stateKey(occurrence.reminder_id, stateTime(occurrence))];
+                        if (!state) return true;
+                        return !FINAL_REMINDER_STATES.includes(state.status) && (lead > 0 || state.status !== 'snoozed');
+                    })
+                    .map(({ occurrence, lead }) => {
+                        // Occurrences are keyed by their original time so moving one does not re-fire it
+                        const originalTime = parseLocal(stateTime(occurrence));
+                        const message = occurrence.notes || `Reminder: ${occurrence.title}`;
+
+                        return {
+                            source_type: 'reminder',
+                            source_id: occurrence.reminder_id,
+                            due_time: minutesBefore(originalTime, lead),
+                            scheduled_time: originalTime,
+                            lead_minutes: lead,
+                            critical: !!occurrence.critical,
+                            title: lead ? `${occurrence.title} in ${formatLeadTime(lead)}` : occurrence.title,
+                            message: lead ? `At ${formatClock(new Date(occurrence.date_time))}: ${message}` : message
+                        };
+                    }));
+            });
+        });
+    });
+};
+
+// Snoozed reminders whose snooze runs out within [from, to]
+const collectSnoozedReminders = (db, from, to, callback) => {
+    const query = `
+        SELECT s.reminder_id, s.occurrence_time, s.snoozed_until, r.title, r.notes, r.critical
+        FROM reminder_states s
+        JOIN reminders r ON r.id = s.reminder_id
+        WHERE s.status = 'snoozed' AND s.snoozed_until >= ? AND s.snoozed_until <= ?
+    `;
+
+    db.query(query, [formatDateTime(from), formatDateTime(to)], (err, states) => {
+        if (err) return callback(err);
+
+        callback(null, states.map(state => ({
+            source_type: 'reminder',
+            source_id: state.reminder_id,
+            due_time: new Date(state.snoozed_until),
+            scheduled_time: new Date(state.occurrence_time),
+            critical: !!state.critical,
+            title: state.title,
+            message: state.notes || `Reminder: ${state.title}`
+        })));
+    });
+};
+
+// Has this dose already been dealt with (taken, skipped, or snoozed to a later time)?
+const isDoseHandled = (events, medicationId, doseTime, now) => {
+    return events.some(event => {
+        if (event.medication_id !== medicationId) return false;
+
+        const eventTime = new Date(event.event_time);
+        const coversDose = event.scheduled_time
+            ? new Date(event.scheduled_time).getTime() === doseTime.getTime()
+            : eventTime >= minutesBefore(doseTime, EARLY_DOSE_MINUTES);
+
+        if (!coversDose) return false;
+        if (event.action === 'snoozed') return new Date(event.snooze_until) > now;
+        return event.action === 'taken' || event.action === 'skipped';
+    });
+};
+
+// Scheduled doses due within [from, to] that have not been logged, plus snoozes that have run out
+const collectDoses = (db, from, to, callback) => {
+    db.query('SELECT * FROM medications WHERE archived_at IS NULL', (err, medications) => {
+        if (err) return callback(err);
+
+        const query = `
+            SELECT medication_id, action, event_time, scheduled_time, snooze_until
+            FROM dose_events
+            WHERE event_time >= ? OR snooze_until >= ?
+            ORDER BY event_time ASC, id ASC
+        `;
+
+        db.query(query, [formatDateTime(minutesBefore(from, EARLY_DOSE_MINUTES)), formatDateTime(from)], (err, events) => {
+            if (err) return callback(err);
+
+            const items = [];
+            const byId = {};
+            medications.forEach(med => {
+                byId[med.id] = med;
+            });
+
+            medications.forEach(med => {
+                expectedDoses(med, from, new Date(to.getTime() + 1000)).forEach(dose => {
+                    const doseTime = parseLocal(dose.scheduled_time);
+                    if (isDoseHandled(events, med.id, doseTime, to)) return;
+
+                    items.push({
+                        source_type: 'medication',
+                        source_id: med.id,
+                        due_time: doseTime,
+                        scheduled_time: doseTime,
+                        critical: !!med.critical,
+                        title: `Time to take ${med.name}`,
+                        message: `${dose.dosage} scheduled for ${formatClock(doseTime)}`
+                    });
+                });
+            });
+
+            events
+                .filter(event => event.action === 'snoozed' && byId[event.medication_id])
+                .forEach(event => {
+                    const until = new Date(event.snooze_until);
+                    const later = events.some(other => other.medication_id === event.medication_id &&
+                        new Date(other.event_time) > new Date(event.event_time));
+
+                    // A snooze only fires if nothing else was logged for the medication after it
+                    if (until < from || until > to || later) return;
+
+                    const med = byId[event.medication_id];
+                    items.push({
+                        source_type: 'medication',
+                        source_id: med.id,
+                        due_time: until,
+                        scheduled_time: event.scheduled_time ? new Date(event.scheduled_time) : until,
+                        critical: !!med.critical,
+                        title: `Time to take ${med.name}`,
+                        message: `Snoozed dose of ${med.dosage}`
+                    });
+                });
+
+            callback(null, items);
+        });
+    });
+};
+
+// Appointment alerts: one for each lead time whose alert falls within [from, to].
+// Cancelled and already attended appointments send none.
+const collectAppointments = (db, from, to, callback) => {
+    loadDefaultLeadTimes(db, (err, defaults) => {
+        if (err) return callback(err);
+
+        const query = 'SELECT * FROM appointments WHERE date_time >= ? AND date_time <= ? AND status IN (?)';
+        const params = [formatDateTime(from), formatDateTime(new Date(to.getTime() + MAX_LEAD_MINUTES * 60000)), OPEN_STATUSES];
+
+        db.query(query, params, (err, appointments) => {
+            if (err) return callback(err);
+
+            const items = [];
+            appointments.forEach(appointment => {
+                const start = new Date(appointment.date_time);
+                const where = appointment.location ? ` at ${appointment.location}` : '';
+
+                leadTimesFor(appointment, 'appointment', defaults)
+                    .filter(lead => isWithin(minutesBefore(start, lead), from, to))
+                    .forEach(lead => items.push({
+                        source_type: 'appointment',
+                        source_id: appointment.id,
+                        due_time: minutesBefore(start, lead),
+                        scheduled_time: start,
+                        lead_minutes: lead,
+                        title: `${appointment.type} with ${appointment.doctor}`,
+                        message: `${lead ? `In ${formatLeadTime(lead)}: starts` : 'Starts'} at ${formatClock(start)}${where}`
+                    }));
+            });
+
+            callback(null, items);
+        });
+    });
+};
+
+// Appointment notifications and reminder advance alerts snoozed until a time within
+// [from, to]. (Doses are snoozed through the dose log and the alert at a reminder's time
+// through its state; see the collectors above.)
+const collectSnoozed = (db, from, to, callback) => {
+    const query = 'SELECT * FROM notification_dispatches WHERE snoozed_until >= ? AND snoozed_until <= ?';
+
+    db.query(query, [formatDateTime(from), formatDateTime(to)], (err, dispatches) => {
+        if (err) return callback(err);
+
+        callback(null, dispatches.map(dispatched => ({
+            source_type: dispatched.source_type,
+            source_id: dispatched.source_id,
+            due_time: new Date(dispatched.snoozed_until),
+            scheduled_time: new Date(dispatched.scheduled_time),
+            lead_minutes: dispatched.lead_minutes,
+            critical: !!dispatched.critical,
+            title: dispatched.title,
+            message: dispatched.message
+        })));
+    });
+};
+
+// Claim and send one notification. Calls back with the dispatch row, or null if it was already sent.
+const dispatch = (db, item, callback) => {
+    const query = `
+        INSERT IGNORE INTO notification_dispatches
+            (source_type, source_id, due_time, scheduled_time, lead_minutes, critical, title, message)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+        item.source_type,
+        item.source_id,
+        formatDateTime(item.due_time),
+        formatDateTime(item.scheduled_time),
+        item.lead_minutes || 0,
+        !!item.critical,
+        item.title,
+        item.message
+    ];
+
+    db.query(query, params, (err, result) => {
+        if (err) return callback(err);
+        if (result.affectedRows === 0) return callback(null, null);
+
+        const row = {
+            id: result.insertId,
+            source_type: item.source_type,
+            source_id: item.source_id,
+            due_time: formatDateTime(item.due_time),
+            scheduled_time: formatDateTime(item.scheduled_time),
+            lead_minutes: item.lead_minutes || 0,
+            critical: !!item.critical,
+            title: item.title,
+            message: item.message,
+            dispatched_at: formatDateTime(new Date())
+        };
+
+        console.log(`🔔 ${row.title} (${row.source_type} ${row.source_id}, due ${row.due_time})`);
+        dispatcher.emit('dispatch', row);
+
+        // Only the alert at the reminder's time moves it to notified; advance alerts leave it pending
+        if (item.source_type !== 'reminder' || row.lead_minutes > 0) return callback(null, row);
+
+        transitionReminder(db, item.source_id, item.scheduled_time, 'notified', {}, (err, result) => {
+            if (err) console.error('Failed to mark reminder as notified:', err);
+            else if (result.error) console.warn(`Reminder ${item.source_id}: ${result.error}`);
+            callback(null, row);
+        });
+    });
+};
+
+// Evaluate everything that is due now. Calls back with the notifications sent by this run.
+const runScheduler = (db, now, callback) => {
+    const from = minutesBefore(now, CATCH_UP_MINUTES);
+    const collectors = [collectReminders, collectSnoozedReminders, collectDoses, collectAppointments, collectSnoozed];
+    const due = [];
+    let pending = collectors.length;
+
+    markMissedReminders(db, now, (err, missed) => {
+        if (err) console.error('Failed to mark missed reminders:', err);
+        else if (missed > 0) console.log(`⏰ ${missed} reminder(s) missed`);
+    });
+
+    runEscalations(db, now, (err) => {
+        if (err) console.error('Failed to run caregiver escalations:', err);
+    });
+
+    collectors.forEach(collect => {
+        collect(db, from, now, (err, items) => {
+            if (err) console.error(`Scheduler failed to collect ${collect.name}:`, err);
+            else due.push(...items);
+
+            if (--pending > 0) return;
+
+            const sent = [];
+            let remaining = due.length;
+            if (remaining === 0) return callback(null, sent);
+
+            due.forEach(item => {
+                dispatch(db, item, (err, row) => {
+                    if (err) console.error('Failed to dispatch notification:', err);
+                    else if (row) sent.push(row);
+
+                    if (--remaining === 0) callback(null, sent);
+                });
+            });
+        });
+    });
+};
+
+// Start ticking. isReady() lets the caller hold off while the database is disconnected.
+const startScheduler = (db, isReady = () => true) => {
+    let running = false;
+
+    const tick = () => {
+        if (running || !isReady()) return;
+        running = true;
+
+        runScheduler(db, new Date(), () => {
+            running = false;
+        });
+    };
+
+    tick();
+    return setInterval(tick, TICK_MS);
+};
+
+module.exports = {
+    dispatcher,
+    runScheduler,
+    startScheduler
+};
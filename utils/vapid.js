@@ -0,0 +1,57 @@
+// VAPID keys for web push.
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY when both are set. Otherwise a key
+// pair is generated on first start and kept in app_settings, so browser subscriptions
+// (which are tied to the public key) stay valid across restarts.
+
+const webpush = require('web-push');
+
+let keys = null;
+
+const readSetting = (db, key, callback) => {
+    db.query('SELECT setting_value FROM app_settings WHERE setting_key = ?', [key], (err, results) => {
+        if (err) return callback(err);
+        callback(null, results.length > 0 ? results[0].setting_value : null);
+    });
+};
+
+// Load (or create) the key pair. Calls back with { publicKey, privateKey, subject }.
+const loadVapidKeys = (db, callback) => {
+    const subject = process.env.VAPID_SUBJECT || 'mailto:noreply@localhost';
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        keys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY, subject };
+        return callback(null, keys);
+    }
+
+    readSetting(db, 'vapid_keys', (err, stored) => {
+        if (err) return callback(err);
+
+        if (stored) {
+            keys = { ...JSON.parse(stored), subject };
+            return callback(null, keys);
+        }
+
+        const generated = webpush.generateVAPIDKeys();
+        const query = 'INSERT IGNORE INTO app_settings (setting_key, setting_value) VALUES (?, ?)';
+
+        db.query(query, ['vapid_keys', JSON.stringify(generated)], (err) => {
+            if (err) return callback(err);
+
+            // Another process may have stored a pair first; use whichever was kept
+            readSetting(db, 'vapid_keys', (err, saved) => {
+                if (err) return callback(err);
+                keys = { ...JSON.parse(saved), subject };
+                console.log('🔑 Generated VAPID keys for web push');
+                callback(null, keys);
+            });
+        });
+    });
+};
+
+// The loaded key pair, or null before loadVapidKeys has finished
+const getVapidKeys = () => keys;
+
+module.exports = {
+    loadVapidKeys,
+    getVapidKeys
+};
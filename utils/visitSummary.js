@@ -0,0 +1,455 @@
+// Pre-visit summary.
+// Before an appointment, collects what happened since the previous visit with the same
+// provider: how the vitals moved, how well medications were taken, which doses were
+// missed or skipped, prescription changes, reminders and AI assistant symptom checks.
+// Without an earlier visit the summary looks back LOOKBACK_DAYS. The period ends when the
+// appointment starts, or now when it is still ahead. renderVisitSummary turns the result
+// into a page that prints on paper for the provider.
+
+const { formatDate, formatDateTime } = require('./dates');
+const { computeAdherence } = require('./adherence');
+const { fetchReminderOccurrences } = require('./reminders');
+const { attachReminderStates } = require('./reminderStates');
+const { escapeHtml } = require('./html');
+
+const LOOKBACK_DAYS = 90;
+// Previous appointments that count as a visit
+const VISIT_STATUSES = ['scheduled', 'confirmed', 'rescheduled', 'completed'];
+
+// Vital signs reported on, with the change between the first and latest reading that
+// is still called steady
+const VITAL_METRICS = [
+    { key: 'systolic', label: 'Systolic blood pressure', unit: 'mmHg', tolerance: 5 },
+    { key: 'diastolic', label: 'Diastolic blood pressure', unit: 'mmHg', tolerance: 5 },
+    { key: 'heart_rate', label: 'Heart rate', unit: 'bpm', tolerance: 5 },
+    { key: 'temperature', label: 'Temperature', unit: '°C', tolerance: 0.3 },
+    { key: 'blood_sugar', label: 'Blood sugar', unit: 'mg/dL', tolerance: 10 }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+};
+
+// Numbers out of a vitals row; blood pressure is stored as 'systolic/diastolic'
+const readVital = (vital) => {
+    const pressure = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(vital.blood_pressure || '');
+
+    return {
+        systolic: pressure ? Number(pressure[1]) : null,
+        diastolic: pressure ? Number(pressure[2]) : null,
+        heart_rate: toNumber(vital.heart_rate),
+        temperature: toNumber(vital.temperature),
+        blood_sugar: toNumber(vital.blood_sugar)
+    };
+};
+
+// First, latest, range, average and direction of each vital sign over the readings
+// (oldest first). Metrics without readings are null.
+const summarizeVitals = (vitals) => {
+    const readings = vitals.map(vital => ({ recorded_date: vital.recorded_date, ...readVital(vital) }));
+    const metrics = {};
+
+    VITAL_METRICS.forEach(metric => {
+        const values = readings.map(reading => reading[metric.key]).filter(value => value !== null);
+
+        if (values.length === 0) {
+            metrics[metric.key] = null;
+            return;
+        }
+
+        const first = values[0];
+        const latest = values[values.length - 1];
+        const change = round(latest - first);
+
+        metrics[metric.key] = {
+            count: values.length,
+            first,
+            latest,
+            min: Math.min(...values),
+            max: Math.max(...values),
+            average: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+            change,
+            trend: Math.abs(change) < metric.tolerance ? 'steady' : (change > 0 ? 'rising' : 'falling')
+        };
+    });
+
+    return { readings: readings.length, metrics, records: vitals };
+};
+
+// The last visit with the same provider (or doctor, for appointments outside the
+// directory) before the given time, or null
+const findPreviousAppointment = (db, appointment, before, callback) => {
+    const byProvider = appointment.provider_id !== null && appointment.provider_id !== undefined;
+    const query = `
+        SELECT * FROM appointments
+        WHERE id <> ? AND date_time < ? AND status IN (?)
+        AND ${byProvider ? 'provider_id = ?' : 'provider_id IS NULL AND doctor = ?'}
+        ORDER BY date_time DESC
+        LIMIT 1
+    `;
+    const params = [appointment.id, formatDateTime(before), VISIT_STATUSES, byProvider ? appointment.provider_id : appointment.doctor];
+
+    db.query(query, params, (err, results) => {
+        if (err) return callback(err);
+        callback(null, results[0] || null);
+    });
+};
+
+// Medications taken at some point in [start, end). One stopped during the period counts
+// until the day it was stopped.
+const loadMedications = (db, start, end, callback) => {
+    const query = `
+        SELECT * FROM medications
+        WHERE created_at < ? AND (archived_at IS NULL OR archived_at >= ?)
+        ORDER BY name ASC
+    `;
+
+    db.query(query, [formatDateTime(end), formatDateTime(start)], (err, medications) => {
+        if (err) return callback(err);
+
+        callback(null, medications.map(medication => {
+            if (!medication.archived_at || new Date(medication.archived_at) >= end) return medication;
+
+            const stopped = formatDate(new Date(medication.archived_at));
+            const courseEnd = medication.end_date ? formatDate(new Date(medication.end_date)) : null;
+            return { ...medication, end_date: courseEnd && courseEnd < stopped ? courseEnd : stopped };
+        }));
+    });
+};
+
+// Adherence per medication, and the skipped doses with their reasons
+const summarizeMedications = (medications, events, versions, start, end) => {
+    const names = {};
+    medications.forEach(medication => { names[medication.id] = medication.name; });
+
+    const adherence = computeAdherence(medications, events, start, end, end);
+    const skipped = events
+        .filter(event => event.action === 'skipped')
+        .map(event => ({
+            medication_id: event.medication_id,
+            name: names[event.medication_id] || null,
+            scheduled_time: event.scheduled_time || event.event_time,
+            reason: event.reason,
+            notes: event.notes
+        }));
+
+    return {
+        adherence: adherence.overall,
+        medications: adherence.medications,
+        changes: versions.map(version => ({
+            ...version,
+            changes: typeof version.changes === 'string' ? JSON.parse(version.changes) : version.changes
+        })),
+        missed_doses: {
+            missed: adherence.medications.reduce((sum, medication) => sum + medication.missed, 0),
+            skipped: skipped.length,
+            by_medication: adherence.medications
+                .filter(medication => medication.missed > 0 || medication.skipped > 0)
+                .map(medication => ({
+                    medication_id: medication.medication_id,
+                    name: medication.name,
+                    missed: medication.missed,
+                    skipped: medication.skipped
+                })),
+            skipped_doses: skipped
+        }
+    };
+};
+
+// Reminder occurrences in the period with how each was answered
+const summarizeReminders = (occurrences) => {
+    const byStatus = {};
+    occurrences.forEach(occurrence => {
+        byStatus[occurrence.status] = (byStatus[occurrence.status] || 0) + 1;
+    });
+
+    return {
+        total: occurrences.length,
+        by_status: byStatus,
+        occurrences: occurrences.map(occurrence => ({
+            reminder_id: occurrence.reminder_id,
+            title: occurrence.title,
+            category: occurrence.category,
+            priority: occurrence.priority,
+            date_time: occurrence.date_time,
+            status: occurrence.status,
+            acknowledged_at: occurrence.acknowledged_at
+        }))
+    };
+};
+
+// Build the summary for an appointment row. Calls back with the summary object.
+const buildVisitSummary = (db, appointment, now, callback) => {
+    const appointmentStart = new Date(appointment.date_time);
+    const end = appointmentStart < now ? appointmentStart : now;
+
+    findPreviousAppointment(db, appointment, end, (err, previous) => {
+        if (err) return callback(err);
+
+        const lookback = new Date(end.getFullYear(), end.getMonth(), end.getDate() - LOOKBACK_DAYS);
+        const start = previous ? new Date(previous.date_time) : lookback;
+        const from = formatDateTime(start);
+        const to = formatDateTime(end);
+
+        db.query('SELECT * FROM vitals WHERE recorded_date >= ? AND recorded_date < ? ORDER BY recorded_date ASC', [from, to], (err, vitals) => {
+            if (err) return callback(err);
+
+            loadMedications(db, start, end, (err, medications) => {
+                if (err) return callback(err);
+
+                const eventQuery = `
+                    SELECT medication_id, action, reason, notes, event_time, scheduled_time FROM dose_events
+                    WHERE COALESCE(scheduled_time, event_time) >= ? AND COALESCE(scheduled_time, event_time) < ?
+                    ORDER BY event_time ASC, id ASC
+                `;
+
+                db.query(eventQuery, [from, to], (err, events) => {
+                    if (err) return callback(err);
+
+                    const versionQuery = `
+                        SELECT v.medication_id, m.name, v.version, v.change_type, v.changes, v.changed_at
+                        FROM medication_versions v
+                        JOIN medications m ON m.id = v.medication_id
+                        WHERE v.changed_at >= ? AND v.changed_at < ?
+                        ORDER BY v.changed_at ASC, v.id ASC
+                    `;
+
+                    db.query(versionQuery, [from, to], (err, versions) => {
+                        if (err) return callback(err);
+
+                        fetchReminderOccurrences(db, start, end, (err, occurrences) => {
+                            if (err) return callback(err);
+
+                            attachReminderStates(db, occurrences, (err, reminders) => {
+                                if (err) return callback(err);
+
+                                db.query('SELECT * FROM symptom_checks WHERE checked_at >= ? AND checked_at < ? ORDER BY checked_at ASC', [from, to], (err, checks) => {
+                                    if (err) return callback(err);
+
+                                    callback(null, {
+                                        appointment,
+                                        previous_appointment: previous,
+                                        period: {
+                                            start: from,
+                                            end: to,
+                                            days: Math.round((end - start) / 86400000),
+                                            since: previous ? 'previous_appointment' : 'lookback'
+                                        },
+                                        vitals: summarizeVitals(vitals),
+                                        medications: summarizeMedications(medications, events, versions, start, end),
+                                        reminders: summarizeReminders(reminders),
+                                        symptom_checks: checks.map(check => ({
+                                            ...check,
+                                            probability: check.probability === null ? null : Number(check.probability),
+                                            matched_symptoms: typeof check.matched_symptoms === 'string'
+                                                ? JSON.parse(check.matched_symptoms)
+                                                : check.matched_symptoms
+                                        }))
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+// 'YYYY-MM-DD HH:MM' for a date value, or '' when there is none
+const showTime = (value) => (value ? formatDateTime(new Date(value)).slice(0, 16) : '');
+
+// 'YYYY-MM-DD' for a DATE column, which comes back as a Date or a string
+const showDate = (value) => (value instanceof Date ? formatDate(value) : String(value).slice(0, 10));
+
+const showValue = (value) => {
+    if (value === null || value === undefined) return 'none';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const showPercent = (value) => (value === null ? 'n/a' : `${value}%`);
+
+const table = (headers, rows) => `
+    <table>
+        <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n            ')}
+        </tbody>
+    </table>`;
+
+const section = (title, content, emptyText) => `
+    <section>
+        <h2>${escapeHtml(title)}</h2>
+        ${content || `<p class="empty">${escapeHtml(emptyText)}</p>`}
+    </section>`;
+
+const renderVitals = (vitals) => {
+    const rows = VITAL_METRICS
+        .filter(metric => vitals.metrics[metric.key])
+        .map(metric => {
+            const values = vitals.metrics[metric.key];
+            const change = values.change > 0 ? `+${values.change}` : String(values.change);
+            return [
+                `${metric.label} (${metric.unit})`,
+                values.count,
+                values.first,
+                values.latest,
+                `${values.min} - ${values.max}`,
+                values.average,
+                `${change} (${values.trend})`
+            ];
+        });
+
+    return rows.length ? table(['Vital sign', 'Readings', 'First', 'Latest', 'Range', 'Average', 'Change'], rows) : '';
+};
+
+const renderAdherence = (medications) => {
+    if (medications.medications.length === 0) return '';
+
+    const rows = medications.medications.map(medication => [
+        `${medication.name} ${medication.dosage}`,
+        medication.as_needed ? 'as needed' : medication.expected,
+        medication.taken,
+        medication.as_needed ? '' : medication.missed,
+        medication.skipped,
+        medication.as_needed ? '' : showPercent(medication.adherence)
+    ]);
+
+    return `<p>Overall adherence: <strong>${escapeHtml(showPercent(medications.adherence.adherence))}</strong>
+        (${escapeHtml(medications.adherence.taken)} of ${escapeHtml(medications.adherence.expected)} scheduled doses taken)</p>
+    ${table(['Medication', 'Doses due', 'Taken', 'Missed', 'Skipped', 'Adherence'], rows)}`;
+};
+
+const renderMissedDoses = (missed) => {
+    if (missed.missed === 0 && missed.skipped === 0) return '';
+
+    const counts = table(
+        ['Medication', 'Missed', 'Of which skipped'],
+        missed.by_medication.map(medication => [medication.name, medication.missed, medication.skipped])
+    );
+    const skipped = missed.skipped_doses.length
+        ? table(
+            ['Dose', 'Medication', 'Reason', 'Notes'],
+            missed.skipped_doses.map(dose => [
+                showTime(dose.scheduled_time),
+                dose.name || '',
+                dose.reason ? dose.reason.replace(/_/g, ' ') : '',
+                dose.notes || ''
+            ])
+        )
+        : '';
+
+    return counts + skipped;
+};
+
+const renderChanges = (changes) => {
+    if (changes.length === 0) return '';
+
+    return table(['Date', 'Medication', 'Change', 'Details'], changes.map(change => [
+        showTime(change.changed_at),
+        change.name,
+        change.change_type,
+        Object.keys(change.changes)
+            .map(field => `${field.replace(/_/g, ' ')}: ${showValue(change.changes[field].old)} -> ${showValue(change.changes[field].new)}`)
+            .join('; ')
+    ]));
+};
+
+const renderReminders = (reminders) => {
+    if (reminders.total === 0) return '';
+
+    const counts = Object.keys(reminders.by_status)
+        .map(status => `${reminders.by_status[status]} ${status}`)
+        .join(', ');
+
+    return `<p>${escapeHtml(reminders.total)} ${reminders.total === 1 ? 'reminder' : 'reminders'}: ${escapeHtml(counts)}</p>
+    ${table(['Due', 'Reminder', 'Category', 'Status'], reminders.occurrences.map(occurrence => [
+        showTime(occurrence.date_time),
+        occurrence.title,
+        occurrence.category,
+        occurrence.status
+    ]))}`;
+};
+
+const renderSymptomChecks = (checks) => {
+    if (checks.length === 0) return '';
+
+    return table(['Date', 'Symptoms entered', 'Recognised', 'Suggested condition'], checks.map(check => [
+        showTime(check.checked_at),
+        check.symptoms,
+        (check.matched_symptoms || []).join(', '),
+        check.top_prediction
+            ? `${check.top_prediction}${check.probability !== null ? ` (${Math.round(check.probability * 100)}%)` : ''}`
+            : ''
+    ]));
+};
+
+const renderPrevious = (previous) => {
+    if (!previous) return '';
+
+    const lines = [`${previous.type} on ${showTime(previous.date_time)} (${previous.status})`];
+    if (previous.outcome_notes) lines.push(`Notes: ${previous.outcome_notes}`);
+    if (previous.follow_up_needed) lines.push(`Follow-up requested${previous.follow_up_date ? ` by ${showDate(previous.follow_up_date)}` : ''}`);
+    if (previous.prescription_notes) lines.push(`Prescription changes: ${previous.prescription_notes}`);
+
+    return lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n        ');
+};
+
+// Printable HTML page for a summary from buildVisitSummary
+const renderVisitSummary = (summary) => {
+    const { appointment, period } = summary;
+    const title = `${appointment.type} with ${appointment.doctor}`;
+    const since = period.since === 'previous_appointment'
+        ? 'since the previous visit'
+        : `over the last ${LOOKBACK_DAYS} days (no earlier visit with this provider)`;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Pre-visit summary: ${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+        h1 { margin-bottom: 0.25rem; }
+        h2 { font-size: 1.15rem; border-bottom: 1px solid #ccc; padding-bottom: 0.25rem; margin-top: 1.75rem; }
+        table { width: 100%; border-collapse: collapse; margin: 0.5rem 0; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e2e2e2; vertical-align: top; }
+        th { background: #f4f4f4; }
+        .meta { color: #555; margin: 0.2rem 0; }
+        .empty { color: #777; font-style: italic; }
+        .print { font-size: 1rem; padding: 0.5rem 1rem; margin-top: 1rem; }
+        @media print {
+            .print { display: none; }
+            body { margin: 0; max-width: none; }
+            section { break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <h1>Pre-visit summary</h1>
+    <p class="meta"><strong>${escapeHtml(title)}</strong>, ${escapeHtml(showTime(appointment.date_time))}${appointment.location ? `, ${escapeHtml(appointment.location)}` : ''}</p>
+    <p class="meta">Covers ${escapeHtml(showTime(period.start))} to ${escapeHtml(showTime(period.end))} ${escapeHtml(since)}.</p>
+    <button class="print" onclick="window.print()">Print</button>
+    ${summary.previous_appointment ? section('Previous visit', renderPrevious(summary.previous_appointment)) : ''}
+    ${section('Vital signs', renderVitals(summary.vitals), 'No vitals recorded in this period.')}
+    ${section('Medication adherence', renderAdherence(summary.medications), 'No medications in this period.')}
+    ${section('Missed and skipped doses', renderMissedDoses(summary.medications.missed_doses), 'No missed doses.')}
+    ${section('Medication changes', renderChanges(summary.medications.changes), 'No prescription changes.')}
+    ${section('Reminders', renderReminders(summary.reminders), 'No reminders in this period.')}
+    ${section('AI symptom checks', renderSymptomChecks(summary.symptom_checks), 'No symptom checks in this period.')}
+    <p class="meta">Generated ${escapeHtml(showTime(new Date()))}.</p>
+</body>
+</html>`;
+};
+
+module.exports = {
+    LOOKBACK_DAYS,
+    summarizeVitals,
+    buildVisitSummary,
+    renderVisitSummary
+};